@@ -0,0 +1,420 @@
+// ------------------ admin.js ------------------
+// Operator API: pause/resume tables, void the current round, change table parameters, adjust
+// balances, ban/suspend accounts. Admin users only (users.role = 'admin'); every action is
+// written to admin_audit_log.
+const express = require('express');
+const { promisePool } = require('../db/dbConfig');
+const requireAdmin = require('../middleware/requireAdmin');
+const ledger = require('../services/ledger');
+const tokens = require('../services/tokens');
+const audit = require('../services/audit');
+const { ACCOUNT_STATUSES } = require('../services/accountStatus');
+const gameConfig = require('../game/gameConfig');
+const { parsePage, pageOf } = require('./pagination');
+
+const MAX_REASON_LENGTH = 255;
+
+function cleanReason(raw) {
+  if (typeof raw !== 'string') return null;
+  const reason = raw.trim();
+  return reason ? reason.slice(0, MAX_REASON_LENGTH) : null;
+}
+
+// Usage: app.use('/api/admin', createAdminRouter(engine));
+module.exports = function createAdminRouter(engine) {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  const auditEntry = (req, entry) => ({ adminId: req.admin.userId, ip: req.ip, ...entry });
+
+  function requireEngine(res) {
+    if (engine) return true;
+    res.status(503).json({
+      success: false,
+      error: 'Game engine not running'
+    });
+    return false;
+  }
+
+  // engine actions reject with err.status for anything the operator should see
+  function sendEngineError(res, error, label) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`${label} error:`, error);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : `Failed to ${label.toLowerCase()}`
+    });
+  }
+
+
+  // ====================== PAUSE / RESUME ======================
+  // POST /api/admin/pause, /api/admin/resume               -> every table
+  // POST /api/admin/tables/:tableId/pause, .../resume      -> one table
+  // A paused table finishes its current round and then starts no new one.
+  function scheduling(action) {
+    return async (req, res) => {
+      if (!requireEngine(res)) return;
+      const tableId = req.params.tableId || null;
+      const reason = cleanReason(req.body && req.body.reason);
+      try {
+        const result = await engine.admin[action]({ tableId, reason });
+        await audit.recordAdminAction(null, auditEntry(req, {
+          action: `table.${action}`,
+          targetType: tableId ? 'table' : 'engine',
+          targetId: tableId,
+          reason
+        }));
+        return res.json({
+          success: true,
+          tables: result
+        });
+      } catch (error) {
+        return sendEngineError(res, error, action === 'pause' ? 'Pause' : 'Resume');
+      }
+    };
+  }
+
+  router.post('/pause', scheduling('pause'));
+  router.post('/resume', scheduling('resume'));
+  router.post('/tables/:tableId/pause', scheduling('pause'));
+  router.post('/tables/:tableId/resume', scheduling('resume'));
+
+
+  // ====================== VOID CURRENT ROUND ======================
+  // POST /api/admin/tables/:tableId/void-round { reason }
+  // Cancels the round before its result, refunds every accepted submission, starts the next round.
+  router.post('/tables/:tableId/void-round', async (req, res) => {
+    if (!requireEngine(res)) return;
+    const reason = cleanReason(req.body && req.body.reason);
+    try {
+      const result = await engine.admin.voidRound({ tableId: req.params.tableId, reason });
+      await audit.recordAdminAction(null, auditEntry(req, {
+        action: 'round.void',
+        targetType: 'table',
+        targetId: req.params.tableId,
+        reason,
+        details: result
+      }));
+      return res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      return sendEngineError(res, error, 'Void round');
+    }
+  });
+
+
+  // ====================== TABLE CONFIG ======================
+  // GET    /api/admin/tables/:tableId/config -> static (file/env), current and pending parameters
+  // PUT    /api/admin/tables/:tableId/config { freezeOffsetMs, resultOffsetMs, roundDurationMs,
+  //        winMultiplier, limits, name } -> replaces the table's game_config override (fields left
+  //        out fall back to the static config); applies at the next round boundary
+  // DELETE /api/admin/tables/:tableId/config -> back to the static config from the next round
+  router.get('/tables/:tableId/config', (req, res) => {
+    if (!requireEngine(res)) return;
+    const config = engine.admin.tableConfig(req.params.tableId);
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Table not found'
+      });
+    }
+    return res.json({
+      success: true,
+      tableId: req.params.tableId,
+      ...config
+    });
+  });
+
+  router.put('/tables/:tableId/config', async (req, res) => {
+    if (!requireEngine(res)) return;
+    const tableId = req.params.tableId;
+    const reason = cleanReason(req.body && req.body.reason);
+    try {
+      const fields = { ...(req.body || {}) };
+      delete fields.reason;
+      const override = gameConfig.parseOverride(fields);
+      const config = engine.admin.previewConfig(tableId, override);
+
+      const conn = await promisePool.getConnection();
+      try {
+        await conn.beginTransaction();
+        await gameConfig.saveOverride(conn, tableId, override, req.admin.userId);
+        await audit.recordAdminAction(conn, auditEntry(req, {
+          action: 'table.config',
+          targetType: 'table',
+          targetId: tableId,
+          reason,
+          details: override
+        }));
+        await conn.commit();
+      } catch (err) {
+        try { await conn.rollback(); } catch (e) {}
+        throw err;
+      } finally {
+        conn.release();
+      }
+
+      await engine.admin.reloadConfig();
+      return res.json({
+        success: true,
+        tableId,
+        config,
+        appliesFrom: 'next_round'
+      });
+    } catch (error) {
+      return sendEngineError(res, error, 'Update table config');
+    }
+  });
+
+  router.delete('/tables/:tableId/config', async (req, res) => {
+    if (!requireEngine(res)) return;
+    const tableId = req.params.tableId;
+    const reason = cleanReason(req.body && req.body.reason);
+    try {
+      if (!engine.admin.tableConfig(tableId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Table not found'
+        });
+      }
+      const removed = await gameConfig.deleteOverride(promisePool, tableId);
+      if (removed) {
+        await audit.recordAdminAction(null, auditEntry(req, {
+          action: 'table.config_reset',
+          targetType: 'table',
+          targetId: tableId,
+          reason
+        }));
+        await engine.admin.reloadConfig();
+      }
+      return res.json({
+        success: true,
+        tableId,
+        removed,
+        appliesFrom: 'next_round'
+      });
+    } catch (error) {
+      return sendEngineError(res, error, 'Reset table config');
+    }
+  });
+
+
+  // ====================== CREDIT / DEBIT ======================
+  // POST /api/admin/users/:userId/balance { amount, reason }
+  // amount > 0 credits, amount < 0 debits; posted to the ledger as an 'adjustment'.
+  router.post('/users/:userId/balance', async (req, res) => {
+    const userId = Number(req.params.userId);
+    const { amount } = req.body || {};
+    const reason = cleanReason(req.body && req.body.reason);
+    const value = Number(amount);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
+    if (typeof amount === 'boolean' || amount === null || amount === '' || !Number.isFinite(value) || value === 0 ||
+        Math.round(value * 100) !== value * 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount must be a non-zero number with at most 2 decimals'
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const posted = await ledger.post(conn, {
+        userId,
+        type: 'adjustment',
+        amount: value,
+        reference: `admin:${req.admin.userId}`,
+        description: reason
+      });
+      await audit.recordAdminAction(conn, auditEntry(req, {
+        action: value > 0 ? 'balance.credit' : 'balance.debit',
+        targetType: 'user',
+        targetId: userId,
+        reason,
+        details: { amount: value, transactionId: posted.transactionId, balanceAfter: posted.balanceAfter }
+      }));
+      await conn.commit();
+
+      if (engine) engine.admin.pushBalance(userId, posted.balanceAfter, 'adjustment');
+
+      return res.json({
+        success: true,
+        userId,
+        amount: value,
+        transactionId: posted.transactionId,
+        balance: posted.balanceAfter
+      });
+
+    } catch (error) {
+      try { await conn.rollback(); } catch (e) {}
+      if (error.code === 'LEDGER_NO_USER') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+      if (error.code === 'LEDGER_INSUFFICIENT_FUNDS') {
+        return res.status(409).json({
+          success: false,
+          error: 'Debit would make the balance negative'
+        });
+      }
+      console.error('Balance adjustment error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to adjust balance'
+      });
+    } finally {
+      conn.release();
+    }
+  });
+
+
+  // ====================== BAN / SUSPEND ======================
+  // POST /api/admin/users/:userId/status { status: active|suspended|banned, reason, until? }
+  // Blocking an account logs it out everywhere and drops its game sockets.
+  router.post('/users/:userId/status', async (req, res) => {
+    const userId = Number(req.params.userId);
+    const { status, until } = req.body || {};
+    const reason = cleanReason(req.body && req.body.reason);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
+    if (!Object.values(ACCOUNT_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${Object.values(ACCOUNT_STATUSES).join(', ')}`
+      });
+    }
+    if (status !== ACCOUNT_STATUSES.ACTIVE && !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+    if (userId === req.admin.userId && status !== ACCOUNT_STATUSES.ACTIVE) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot block your own account'
+      });
+    }
+
+    let suspendedUntil = null;
+    if (status === ACCOUNT_STATUSES.SUSPENDED && until !== undefined && until !== null && until !== '') {
+      suspendedUntil = new Date(until);
+      if (Number.isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'until must be a date in the future'
+        });
+      }
+    }
+
+    try {
+      const [result] = await promisePool.execute(
+        'UPDATE users SET status = ?, status_reason = ?, suspended_until = ? WHERE id = ?',
+        [status, reason, suspendedUntil, userId]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (status !== ACCOUNT_STATUSES.ACTIVE) {
+        await tokens.revokeAllForUser(userId);
+        if (engine) engine.admin.disconnectUser(userId, { status, reason, until: suspendedUntil });
+      }
+
+      await audit.recordAdminAction(null, auditEntry(req, {
+        action: `user.${status === ACCOUNT_STATUSES.ACTIVE ? 'reactivate' : status === ACCOUNT_STATUSES.BANNED ? 'ban' : 'suspend'}`,
+        targetType: 'user',
+        targetId: userId,
+        reason,
+        details: suspendedUntil ? { until: suspendedUntil } : null
+      }));
+
+      return res.json({
+        success: true,
+        userId,
+        status,
+        reason,
+        until: suspendedUntil
+      });
+
+    } catch (error) {
+      console.error('Account status error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update account status'
+      });
+    }
+  });
+
+
+  // ====================== AUDIT LOG ======================
+  // GET /api/admin/audit?adminId=&action=&targetType=&targetId=&from=&to=&limit=&cursor=
+  router.get('/audit', async (req, res) => {
+    let page;
+    try {
+      page = parsePage(req.query);
+    } catch (err) {
+      return res.status(err.status).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    try {
+      const rows = await audit.listAdminActions({
+        before: page.before,
+        limit: page.limit + 1,
+        adminId: req.query.adminId ? Number(req.query.adminId) : null,
+        action: req.query.action || null,
+        targetType: req.query.targetType || null,
+        targetId: req.query.targetId || null,
+        from: page.from,
+        to: page.to
+      });
+      const { items, nextCursor } = pageOf(rows, page.limit);
+      return res.json({
+        success: true,
+        entries: items,
+        nextCursor
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to load audit log'
+      });
+    }
+  });
+
+  return router;
+};
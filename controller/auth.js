@@ -1,11 +1,20 @@
 // ------------------ auth.js ------------------
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { promisePool } = require('../db/dbConfig'); // <-- FIXED
+const tokens = require('../services/tokens');
+const accountTokens = require('../services/accountTokens');
+const mailer = require('../services/mailer');
+const requireAuth = require('../middleware/requireAuth');
+const ledger = require('../services/ledger');
+const { ACCOUNT_STATUSES, accountBlock, blockMessage } = require('../services/accountStatus');
+const rg = require('../services/responsibleGaming');
 
 const router = express.Router();
 
+// Starting balance for new accounts, credited through the ledger
+const SIGNUP_BONUS = Number(process.env.SIGNUP_BONUS || 10000);
+
 
 // ====================== REGISTER ======================
 router.post('/register', async (req, res) => {
@@ -43,32 +52,58 @@ router.post('/register', async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const [result] = await promisePool.execute(
-      'INSERT INTO users (username, email, password) VALUES (?, ?, ?)',
-      [username, email, hashedPassword]
-    );
-
-    // JWT
-    const token = jwt.sign(
-      {
+    // Create user with an empty wallet; the starting balance is a ledger 'bonus' entry
+    // posted in the same transaction so users.balance always matches the ledger
+    let result;
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      [result] = await conn.execute(
+        'INSERT INTO users (username, email, password, balance) VALUES (?, ?, ?, 0)',
+        [username, email, hashedPassword]
+      );
+      await ledger.post(conn, {
         userId: result.insertId,
-        username,
-        email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+        type: 'bonus',
+        amount: SIGNUP_BONUS,
+        reference: 'signup',
+        description: 'Sign-up bonus'
+      });
+      await conn.commit();
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    // Access + refresh tokens
+    const issued = await tokens.issueTokens({
+      id: result.insertId,
+      username,
+      email,
+      token_version: 0
+    });
+
+    // Verification email (best-effort: the account exists either way, the user can resend)
+    try {
+      const { token: verifyToken } = await accountTokens.createAccountToken(result.insertId, accountTokens.PURPOSES.EMAIL_VERIFY);
+      await mailer.sendVerificationEmail({ username, email }, verifyToken);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr);
+    }
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      token: issued.accessToken, // kept for older clients
+      ...issued,
       user: {
         id: result.insertId,
         username,
         email,
-        balance: 10000.00
+        balance: SIGNUP_BONUS,
+        emailVerified: false
       }
     });
 
@@ -118,26 +153,43 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        username: user.username,
-        email: user.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Banned / suspended accounts can't sign in (checked after the password so it leaks nothing)
+    const block = accountBlock(user);
+    if (block) {
+      return res.status(403).json({
+        success: false,
+        error: blockMessage(block),
+        code: block.status === ACCOUNT_STATUSES.BANNED ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED',
+        reason: block.reason,
+        until: block.until
+      });
+    }
+
+    // Cool-off / self-exclusion chosen by the player
+    const exclusion = rg.activeExclusion(user);
+    if (exclusion) {
+      return res.status(403).json({
+        success: false,
+        error: rg.exclusionMessage(exclusion),
+        code: rg.exclusionCode(exclusion),
+        until: exclusion.until
+      });
+    }
+
+    // Generate access + refresh tokens
+    const issued = await tokens.issueTokens(user);
 
     return res.json({
       success: true,
       message: 'Login successful',
-      token,
+      token: issued.accessToken, // kept for older clients
+      ...issued,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
-        balance: user.balance
+        balance: user.balance,
+        emailVerified: Boolean(user.email_verified_at)
       }
     });
 
@@ -152,22 +204,238 @@ router.post('/login', async (req, res) => {
 
 
 // ====================== PROFILE (PROTECTED) ======================
-router.get('/profile', async (req, res) => {
+router.get('/profile', requireAuth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    const [users] = await promisePool.execute(
+      'SELECT id, username, email, balance, email_verified_at, created_at FROM users WHERE id = ?',
+      [req.user.userId]
+    );
 
-    if (!token) {
-      return res.status(401).json({
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      user: users[0]
+    });
+
+  } catch (error) {
+    console.error('Profile error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile'
+    });
+  }
+});
+
+
+// ====================== REFRESH ======================
+// Body: { refreshToken }. The presented token is rotated: it stops working once used.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    const rotated = await tokens.rotateRefreshToken(refreshToken);
+
+    return res.json({
+      success: true,
+      token: rotated.accessToken,
+      accessToken: rotated.accessToken,
+      accessTokenExpiresAt: rotated.accessTokenExpiresAt,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: rotated.refreshTokenExpiresAt
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Refresh error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during token refresh'
+    });
+  }
+});
+
+
+// ====================== LOGOUT (THIS DEVICE) ======================
+// Revokes the presented access token and, if sent, its refresh token.
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    await tokens.revokeAccessToken(req.user);
+    await tokens.revokeRefreshToken(refreshToken, req.user.userId);
+
+    return res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during logout'
+    });
+  }
+});
+
+
+// ====================== LOGOUT (ALL DEVICES) ======================
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    await tokens.revokeAllForUser(req.user.userId);
+
+    return res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during logout'
+    });
+  }
+});
+
+
+// ====================== FORGOT PASSWORD ======================
+// Body: { email }. Always answers the same way so it can't be used to probe for accounts.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const [users] = await promisePool.execute(
+      'SELECT id, username, email FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length > 0) {
+      const user = users[0];
+      const { token } = await accountTokens.createAccountToken(user.id, accountTokens.PURPOSES.PASSWORD_RESET);
+      await mailer.sendPasswordResetEmail(user, token, accountTokens.TTL_MINUTES[accountTokens.PURPOSES.PASSWORD_RESET]);
+    }
+
+    return res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during password reset request'
+    });
+  }
+});
+
+
+// ====================== RESET PASSWORD ======================
+// Body: { token, password }. Also logs the account out everywhere.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({
         success: false,
-        error: 'Access token required'
+        error: 'Token and password are required'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
 
+    const userId = await accountTokens.consumeAccountToken(token, accountTokens.PURPOSES.PASSWORD_RESET);
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await promisePool.execute('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+    await tokens.revokeAllForUser(userId);
+
+    return res.json({
+      success: true,
+      message: 'Password updated, please log in again'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during password reset'
+    });
+  }
+});
+
+
+// ====================== VERIFY EMAIL ======================
+// Body: { token } from the link in the verification email.
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    const userId = await accountTokens.consumeAccountToken(token, accountTokens.PURPOSES.EMAIL_VERIFY);
+    await promisePool.execute(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [userId]
+    );
+
+    return res.json({
+      success: true,
+      message: 'Email verified'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during email verification'
+    });
+  }
+});
+
+
+// ====================== RESEND VERIFICATION (PROTECTED) ======================
+router.post('/resend-verification', requireAuth, async (req, res) => {
+  try {
     const [users] = await promisePool.execute(
-      'SELECT id, username, email, balance, created_at FROM users WHERE id = ?',
-      [decoded.userId]
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+      [req.user.userId]
     );
 
     if (users.length === 0) {
@@ -177,16 +445,27 @@ router.get('/profile', async (req, res) => {
       });
     }
 
+    const user = users[0];
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already verified'
+      });
+    }
+
+    const { token } = await accountTokens.createAccountToken(user.id, accountTokens.PURPOSES.EMAIL_VERIFY);
+    await mailer.sendVerificationEmail(user, token);
+
     return res.json({
       success: true,
-      user: users[0]
+      message: 'Verification email sent'
     });
 
   } catch (error) {
-    console.error('Profile error:', error);
+    console.error('Resend verification error:', error);
     return res.status(500).json({
       success: false,
-      error: 'Failed to fetch profile'
+      error: 'Internal server error while sending verification email'
     });
   }
 });
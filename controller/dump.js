@@ -11,6 +11,7 @@ const { pool: promisePool, testConnection } = require('./db/dbConfig');
 
 // Routes
 const authRoutes = require('./controller/auth');
+const requireAuth = require('./middleware/requireAuth');
 
 // ======================= APP SETUP =======================
 const PORT = process.env.PORT || 5000;
@@ -108,17 +109,11 @@ app.get('/api/current-round', (req, res) => {
 });
 
 // Get user balance
-app.get('/api/get-balance', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
-
+app.get('/api/get-balance', requireAuth, async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const [users] = await promisePool.execute(
       'SELECT balance FROM users WHERE id = ?',
-      [decoded.userId]
+      [req.user.userId]
     );
 
     if (users.length === 0) {
@@ -127,7 +122,7 @@ app.get('/api/get-balance', async (req, res) => {
 
     res.json({ balance: users[0].balance });
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: 'Failed to fetch balance' });
   }
 });
 
@@ -239,8 +234,8 @@ async function processRoundResults() {
 
         // Record game round
         await connection.execute(
-          'INSERT INTO game_rounds (round_id, start_time, end_time, winning_line) VALUES (?, NOW(), NOW(), ?)',
-          [currentRound.id, currentRound.winningLine]
+          'INSERT INTO game_rounds (start_time, end_time, winning_line) VALUES (NOW(), NOW(), ?)',
+          [currentRound.winningLine]
         );
 
         // Get updated balance
@@ -0,0 +1,90 @@
+// ------------------ fairness.js ------------------
+const express = require('express');
+const { promisePool } = require('../db/dbConfig');
+const fairness = require('../game/fairness');
+
+const router = express.Router();
+
+
+// ====================== VERIFY ROUND ======================
+// Recomputes the winning line of a finished round from its revealed seed
+// (and, for matrix-mode rounds, the stored grid).
+router.get('/verify/:roundId', async (req, res) => {
+  try {
+    const roundId = Number(req.params.roundId);
+
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid round id'
+      });
+    }
+
+    const [rounds] = await promisePool.execute(
+      'SELECT id, table_id, mode, matrix, winning_line, server_seed, server_seed_hash, client_seed, nonce FROM game_rounds WHERE id = ?',
+      [roundId]
+    );
+
+    if (rounds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found'
+      });
+    }
+
+    const round = rounds[0];
+
+    // Never reveal the seed of a round that hasn't produced its result yet
+    if (round.winning_line === null || round.winning_line === undefined) {
+      return res.status(409).json({
+        success: false,
+        error: 'Round not resolved yet',
+        serverSeedHash: round.server_seed_hash
+      });
+    }
+
+    if (!round.server_seed) {
+      return res.status(422).json({
+        success: false,
+        error: 'Round has no fairness data (played before provably fair rollout)'
+      });
+    }
+
+    const mode = round.mode || 'classic';
+    const matrix = round.matrix ? JSON.parse(round.matrix) : null;
+    const result = fairness.verifyRound({
+      serverSeed: round.server_seed,
+      serverSeedHash: round.server_seed_hash,
+      clientSeed: round.client_seed,
+      nonce: round.nonce,
+      winningLine: round.winning_line,
+      mode,
+      matrix
+    });
+
+    return res.json({
+      success: true,
+      roundId: round.id,
+      tableId: round.table_id,
+      mode,
+      serverSeed: round.server_seed,
+      serverSeedHash: round.server_seed_hash,
+      clientSeed: round.client_seed,
+      nonce: round.nonce,
+      recordedLine: Number(round.winning_line),
+      recordedMatrix: matrix,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Fairness verify error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify round'
+    });
+  }
+});
+
+
+// EXPORT ROUTER
+module.exports = router;
@@ -0,0 +1,230 @@
+// ------------------ me.js ------------------
+// The signed-in player's own history: bets per round (with outcome) and wallet transactions.
+const express = require('express');
+const { promisePool } = require('../db/dbConfig');
+const requireAuth = require('../middleware/requireAuth');
+const ledger = require('../services/ledger');
+const { queryError, parsePage, pageOf } = require('./pagination');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const BET_RESULTS = ['win', 'loss', 'open'];
+
+function sendQueryError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// win/loss of a round for one player, from the round row + what the ledger paid out.
+// A round without a result is open until it is voided or settled by refunds.
+function betOutcome(round, won, refunded) {
+  if (refunded > 0) return 'refunded';
+  if (round.voided_at) return 'voided';
+  if (round.winning_line === null || round.winning_line === undefined) return 'open';
+  return won > 0 || Number(round.hits) > 0 ? 'win' : 'loss';
+}
+
+
+// ====================== MY BETS ======================
+// GET /api/me/bets?result=win|loss|open&tableId=&from=&to=&limit=&cursor=
+// One item per round the player staked on, newest first.
+router.get('/bets', async (req, res) => {
+  try {
+    let page;
+    try {
+      page = parsePage(req.query);
+      if (req.query.result && !BET_RESULTS.includes(req.query.result)) {
+        throw queryError(`result must be one of ${BET_RESULTS.join(', ')}`);
+      }
+    } catch (err) {
+      return sendQueryError(res, err);
+    }
+
+    const userId = req.user.userId;
+    const where = ['pb.user_id = ?'];
+    const params = [userId];
+    if (req.query.tableId) {
+      where.push('r.table_id = ?');
+      params.push(String(req.query.tableId));
+    }
+    if (page.before) {
+      where.push('r.id < ?');
+      params.push(page.before);
+    }
+    if (page.from) {
+      where.push('r.start_time >= ?');
+      params.push(page.from);
+    }
+    if (page.to) {
+      where.push('r.start_time <= ?');
+      params.push(page.to);
+    }
+
+    const having = {
+      win: 'HAVING r.winning_line IS NOT NULL AND r.voided_at IS NULL AND hits > 0',
+      loss: 'HAVING r.winning_line IS NOT NULL AND r.voided_at IS NULL AND hits = 0',
+      open: 'HAVING r.winning_line IS NULL AND r.voided_at IS NULL AND r.settled_at IS NULL'
+    }[req.query.result] || '';
+
+    const [rounds] = await promisePool.query(
+      `SELECT r.id, r.table_id, r.start_time, r.end_time, r.winning_line, r.settled_at, r.voided_at,
+              SUM(pb.amount) AS staked,
+              SUM(CASE WHEN FIND_IN_SET(r.winning_line, pb.covered_lines) > 0 THEN 1 ELSE 0 END) AS hits
+         FROM player_bets pb
+         JOIN game_rounds r ON r.id = pb.round_id
+        WHERE ${where.join(' AND ')}
+        GROUP BY r.id, r.table_id, r.start_time, r.end_time, r.winning_line, r.settled_at, r.voided_at
+        ${having}
+        ORDER BY r.id DESC
+        LIMIT ${page.limit + 1}`,
+      params
+    );
+
+    const { items, nextCursor } = pageOf(rounds, page.limit);
+    const roundIds = items.map(r => r.id);
+
+    const lines = new Map();
+    const credits = new Map();
+    if (roundIds.length) {
+      const [bets] = await promisePool.query(
+        'SELECT round_id, line, amount FROM player_bets WHERE user_id = ? AND round_id IN (?) ORDER BY id',
+        [userId, roundIds]
+      );
+      for (const b of bets) {
+        if (!lines.has(b.round_id)) lines.set(b.round_id, {});
+        const slip = lines.get(b.round_id);
+        slip[b.line] = (slip[b.line] || 0) + Number(b.amount);
+      }
+
+      const [paid] = await promisePool.query(
+        `SELECT t.round_id, t.entry_type, SUM(e.amount) AS amount
+           FROM ledger_transactions t
+           JOIN ledger_entries e ON e.transaction_id = t.id AND e.account = ?
+          WHERE t.user_id = ? AND t.round_id IN (?) AND t.entry_type IN ('win', 'jackpot', 'refund')
+          GROUP BY t.round_id, t.entry_type`,
+        [ledger.walletAccount(userId), userId, roundIds]
+      );
+      for (const p of paid) {
+        if (!credits.has(p.round_id)) credits.set(p.round_id, { win: 0, jackpot: 0, refund: 0 });
+        credits.get(p.round_id)[p.entry_type] = Number(p.amount);
+      }
+    }
+
+    return res.json({
+      success: true,
+      bets: items.map(r => {
+        const staked = Number(r.staked);
+        const { win = 0, jackpot = 0, refund = 0 } = credits.get(r.id) || {};
+        return {
+          roundId: r.id,
+          tableId: r.table_id,
+          startTime: r.start_time,
+          endTime: r.end_time,
+          winningLine: r.winning_line === null ? null : Number(r.winning_line),
+          settled: Boolean(r.settled_at),
+          voided: Boolean(r.voided_at),
+          bets: lines.get(r.id) || {},
+          staked,
+          won: win,
+          jackpot,
+          refunded: refund,
+          net: win + jackpot + refund - staked,
+          result: betOutcome(r, win, refund)
+        };
+      }),
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Bet history error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load bet history'
+    });
+  }
+});
+
+
+// ====================== MY TRANSACTIONS ======================
+// GET /api/me/transactions?type=bet,win&from=&to=&limit=&cursor=
+// Wallet ledger entries, newest first, with the running balance after each one.
+router.get('/transactions', async (req, res) => {
+  try {
+    let page;
+    let types = [];
+    try {
+      page = parsePage(req.query);
+      if (req.query.type) {
+        types = String(req.query.type).split(',').map(t => t.trim()).filter(Boolean);
+        const unknown = types.filter(t => !ledger.ENTRY_TYPES[t]);
+        if (unknown.length) {
+          throw queryError(`Unknown transaction type: ${unknown.join(', ')}`);
+        }
+      }
+    } catch (err) {
+      return sendQueryError(res, err);
+    }
+
+    const where = ['e.account = ?'];
+    const params = [ledger.walletAccount(req.user.userId)];
+    if (types.length) {
+      where.push('t.entry_type IN (?)');
+      params.push(types);
+    }
+    if (page.before) {
+      where.push('e.id < ?');
+      params.push(page.before);
+    }
+    if (page.from) {
+      where.push('e.created_at >= ?');
+      params.push(page.from);
+    }
+    if (page.to) {
+      where.push('e.created_at <= ?');
+      params.push(page.to);
+    }
+
+    const [rows] = await promisePool.query(
+      `SELECT e.id, e.amount, e.balance_after, e.created_at,
+              t.id AS transaction_id, t.entry_type, t.round_id, t.bet_id, t.reference, t.description
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY e.id DESC
+        LIMIT ${page.limit + 1}`,
+      params
+    );
+
+    const { items, nextCursor } = pageOf(rows, page.limit);
+    return res.json({
+      success: true,
+      transactions: items.map(t => ({
+        id: t.transaction_id,
+        type: t.entry_type,
+        amount: Number(t.amount),
+        balanceAfter: t.balance_after === null ? null : Number(t.balance_after),
+        roundId: t.round_id,
+        betId: t.bet_id,
+        reference: t.reference,
+        description: t.description,
+        createdAt: t.created_at
+      })),
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Transaction history error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load transactions'
+    });
+  }
+});
+
+
+// EXPORT ROUTER
+module.exports = router;
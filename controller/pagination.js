@@ -0,0 +1,74 @@
+// ------------------ pagination.js ------------------
+// Query-string helpers shared by the history endpoints.
+//
+// Lists are ordered newest first by id and paged with an opaque cursor: the response carries
+// `nextCursor` (null on the last page) and the client sends it back as `?cursor=`.
+// Rows are fetched with LIMIT n + 1 so we know whether another page exists.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Error carrying the HTTP status the route should answer with
+function queryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+// Resolves to the id to page before, or null for the first page
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === '') return null;
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(id) && id > 0) return id;
+  } catch (err) {}
+  throw queryError('Invalid cursor');
+}
+
+function parseLimit(raw) {
+  if (raw === undefined || raw === '') return DEFAULT_LIMIT;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw queryError('limit must be a positive integer');
+  return Math.min(n, MAX_LIMIT);
+}
+
+// ?from= / ?to= accept anything Date understands (ISO strings, epoch ms)
+function parseDate(raw, name) {
+  if (raw === undefined || raw === '') return null;
+  const date = new Date(/^\d+$/.test(String(raw)) ? Number(raw) : String(raw));
+  if (Number.isNaN(date.getTime())) throw queryError(`${name} must be a valid date`);
+  return date;
+}
+
+function parsePage(query) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) throw queryError('from must be before to');
+  return {
+    before: decodeCursor(query.cursor),
+    limit: parseLimit(query.limit),
+    from,
+    to
+  };
+}
+
+// rows fetched with LIMIT limit + 1 -> { items, nextCursor }
+function pageOf(rows, limit, idOf = (row) => row.id) {
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(Number(idOf(items[items.length - 1]))) : null;
+  return { items, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryError,
+  encodeCursor,
+  decodeCursor,
+  parsePage,
+  pageOf
+};
@@ -0,0 +1,144 @@
+// ------------------ responsibleGaming.js ------------------
+// Player self-service protections: limits, cool-off, self-exclusion, session reminders.
+const express = require('express');
+const { promisePool } = require('../db/dbConfig');
+const requireAuth = require('../middleware/requireAuth');
+const tokens = require('../services/tokens');
+const rg = require('../services/responsibleGaming');
+
+// Usage: app.use('/api/responsible-gaming', createResponsibleGamingRouter(engine));
+// The engine is only used to drop the player's game sockets when an exclusion starts.
+module.exports = function createResponsibleGamingRouter(engine) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  function sendRgError(res, error, label) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`${label} error:`, error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to ${label.toLowerCase()}`
+    });
+  }
+
+
+  // ====================== OVERVIEW ======================
+  // GET /api/responsible-gaming -> limits in force (+ queued raises), usage per period, exclusion, reminder
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const [users] = await promisePool.execute(
+        'SELECT exclusion_type, excluded_until, session_reminder_minutes FROM users WHERE id = ?',
+        [userId]
+      );
+      if (users.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const limits = await rg.loadUserLimits(promisePool, userId);
+      const usage = await rg.loadUsage(promisePool, userId);
+
+      return res.json({
+        success: true,
+        limits: Object.values(limits).map(l => ({
+          kind: l.kind,
+          period: l.period,
+          amount: l.amount,
+          used: usage[l.period][l.kind],
+          pending: l.pending
+        })),
+        usage,
+        exclusion: rg.activeExclusion(users[0]),
+        sessionReminderMinutes: rg.reminderMinutesFor(users[0]),
+        limitIncreaseDelayHours: rg.LIMIT_INCREASE_DELAY_HOURS
+      });
+
+    } catch (error) {
+      return sendRgError(res, error, 'Load limits');
+    }
+  });
+
+
+  // ====================== SET / REMOVE A LIMIT ======================
+  // PUT /api/responsible-gaming/limits { kind: loss|wager|deposit, period: day|week|month, amount|null }
+  // Lower limits apply now; higher ones (or removal) after the configured delay.
+  router.put('/limits', async (req, res) => {
+    try {
+      const { kind, period, amount } = req.body || {};
+      const value = amount === null || amount === undefined ? null : Number(amount);
+      const result = await rg.setLimit(req.user.userId, kind, period, value);
+
+      return res.json({
+        success: true,
+        kind,
+        period,
+        ...result
+      });
+
+    } catch (error) {
+      return sendRgError(res, error, 'Set limit');
+    }
+  });
+
+
+  // ====================== COOL-OFF / SELF-EXCLUSION ======================
+  // POST /api/responsible-gaming/cool-off { days }
+  // POST /api/responsible-gaming/self-exclusion { months } | { permanent: true }
+  // Both log the player out everywhere; neither can be lifted early.
+  function exclusionRoute(type) {
+    return async (req, res) => {
+      try {
+        const { days, months, permanent } = req.body || {};
+        const exclusion = await rg.startExclusion(req.user.userId, {
+          type,
+          days: days === undefined ? undefined : Number(days),
+          months: months === undefined ? undefined : Number(months),
+          permanent: permanent === true
+        });
+
+        await tokens.revokeAllForUser(req.user.userId);
+        if (engine) {
+          engine.admin.disconnectUser(req.user.userId, { status: type, reason: null, until: exclusion.until });
+        }
+
+        return res.json({
+          success: true,
+          exclusion
+        });
+
+      } catch (error) {
+        return sendRgError(res, error, 'Start exclusion');
+      }
+    };
+  }
+
+  router.post('/cool-off', exclusionRoute(rg.EXCLUSION_TYPES.COOL_OFF));
+  router.post('/self-exclusion', exclusionRoute(rg.EXCLUSION_TYPES.SELF_EXCLUSION));
+
+
+  // ====================== SESSION REMINDER ======================
+  // PUT /api/responsible-gaming/session-reminder { minutes } (0 = off); applies from the next connection
+  router.put('/session-reminder', async (req, res) => {
+    try {
+      const minutes = await rg.setSessionReminder(req.user.userId, Number((req.body || {}).minutes));
+      return res.json({
+        success: true,
+        sessionReminderMinutes: minutes
+      });
+
+    } catch (error) {
+      return sendRgError(res, error, 'Set session reminder');
+    }
+  });
+
+  return router;
+};
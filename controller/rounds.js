@@ -0,0 +1,157 @@
+// ------------------ rounds.js ------------------
+// Recent results and round detail (history drawer, hot/cold lines widget).
+const express = require('express');
+const { promisePool } = require('../db/dbConfig');
+const requireAuth = require('../middleware/requireAuth');
+const { parsePage, pageOf } = require('./pagination');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function sendQueryError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// The server seed is only part of the response once the round has its result
+function roundView(row) {
+  const resolved = row.winning_line !== null && row.winning_line !== undefined;
+  return {
+    roundId: row.id,
+    tableId: row.table_id,
+    mode: row.mode || 'classic',
+    startTime: row.start_time,
+    endTime: row.end_time,
+    winningLine: resolved ? Number(row.winning_line) : null,
+    // matrix-mode grid, stored with the result
+    matrix: resolved && row.matrix ? JSON.parse(row.matrix) : null,
+    settled: Boolean(row.settled_at),
+    voided: Boolean(row.voided_at),
+    serverSeedHash: row.server_seed_hash,
+    serverSeed: resolved ? row.server_seed : null
+  };
+}
+
+
+// ====================== RECENT RESULTS ======================
+// GET /api/rounds?tableId=&from=&to=&limit=&cursor=
+// Resolved rounds only, newest first.
+router.get('/', async (req, res) => {
+  try {
+    let page;
+    try {
+      page = parsePage(req.query);
+    } catch (err) {
+      return sendQueryError(res, err);
+    }
+
+    const where = ['winning_line IS NOT NULL'];
+    const params = [];
+    if (req.query.tableId) {
+      where.push('table_id = ?');
+      params.push(String(req.query.tableId));
+    }
+    if (page.before) {
+      where.push('id < ?');
+      params.push(page.before);
+    }
+    if (page.from) {
+      where.push('start_time >= ?');
+      params.push(page.from);
+    }
+    if (page.to) {
+      where.push('start_time <= ?');
+      params.push(page.to);
+    }
+
+    const [rows] = await promisePool.query(
+      `SELECT id, table_id, mode, matrix, start_time, end_time, winning_line, settled_at, voided_at, server_seed, server_seed_hash
+         FROM game_rounds
+        WHERE ${where.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ${page.limit + 1}`,
+      params
+    );
+
+    const { items, nextCursor } = pageOf(rows, page.limit);
+    return res.json({
+      success: true,
+      rounds: items.map(roundView),
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('Round list error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load rounds'
+    });
+  }
+});
+
+
+// ====================== ROUND DETAIL ======================
+// GET /api/rounds/:roundId -> round, stake per line across all players, and the caller's own bets
+router.get('/:roundId', async (req, res) => {
+  try {
+    const roundId = Number(req.params.roundId);
+
+    if (!Number.isInteger(roundId) || roundId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid round id'
+      });
+    }
+
+    const [rounds] = await promisePool.execute(
+      'SELECT id, table_id, mode, matrix, start_time, end_time, winning_line, settled_at, voided_at, server_seed, server_seed_hash FROM game_rounds WHERE id = ?',
+      [roundId]
+    );
+
+    if (rounds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found'
+      });
+    }
+
+    const [lineTotals] = await promisePool.execute(
+      'SELECT line, SUM(amount) AS total, COUNT(DISTINCT user_id) AS players FROM player_bets WHERE round_id = ? GROUP BY line',
+      [roundId]
+    );
+    const [myBets] = await promisePool.execute(
+      'SELECT id, line, amount, settled FROM player_bets WHERE round_id = ? AND user_id = ? ORDER BY id',
+      [roundId, req.user.userId]
+    );
+
+    return res.json({
+      success: true,
+      round: roundView(rounds[0]),
+      lines: lineTotals.map(l => ({
+        line: l.line,
+        total: Number(l.total),
+        players: Number(l.players)
+      })),
+      myBets: myBets.map(b => ({
+        betId: b.id,
+        line: b.line,
+        amount: Number(b.amount),
+        settled: Boolean(b.settled)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Round detail error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load round'
+    });
+  }
+});
+
+
+// EXPORT ROUTER
+module.exports = router;
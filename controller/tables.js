@@ -0,0 +1,52 @@
+// ------------------ tables.js ------------------
+const express = require('express');
+
+// Built from the running game engine so the list reflects live round state.
+// Usage: app.use('/api/tables', createTablesRouter(engine));
+module.exports = function createTablesRouter(engine) {
+  const router = express.Router();
+
+
+  // ====================== LIST TABLES ======================
+  router.get('/', (req, res) => {
+    if (!engine) {
+      return res.status(503).json({
+        success: false,
+        error: 'Game engine not running'
+      });
+    }
+
+    return res.json({
+      success: true,
+      serverTime: Date.now(),
+      tables: engine.listTables()
+    });
+  });
+
+
+  // ====================== SINGLE TABLE ======================
+  router.get('/:tableId', (req, res) => {
+    if (!engine) {
+      return res.status(503).json({
+        success: false,
+        error: 'Game engine not running'
+      });
+    }
+
+    const table = engine.getTable(req.params.tableId);
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: 'Table not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      serverTime: Date.now(),
+      table
+    });
+  });
+
+  return router;
+};
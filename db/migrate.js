@@ -0,0 +1,39 @@
+// ------------------ migrate.js ------------------
+// Schema migration runner:
+//   node db/migrate.js [up] [--to <version>]  -> apply pending migrations
+//   node db/migrate.js down [steps]           -> revert the last <steps> (default 1)
+//   node db/migrate.js status                 -> list migrations and whether they ran
+require('dotenv').config();
+const { pool, promisePool } = require('./dbConfig');
+const migrator = require('./migrator');
+
+function argAfter(flag) {
+  const i = process.argv.indexOf(flag);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+(async () => {
+  const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'up';
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrateUp(promisePool, { to: argAfter('--to') });
+      console.log(applied.length ? `[MIGRATE] applied ${applied.length} migration(s)` : '[MIGRATE] schema is up to date');
+    } else if (command === 'down') {
+      const steps = Number(process.argv[3] || 1);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('down expects a positive number of steps');
+      const reverted = await migrator.migrateDown(promisePool, { steps });
+      console.log(`[MIGRATE] reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const m of await migrator.status(promisePool)) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}${m.appliedAt ? `  (${new Date(m.appliedAt).toISOString()})` : ''}`);
+      }
+    } else {
+      throw new Error(`unknown command "${command}" (expected up | down | status)`);
+    }
+  } catch (err) {
+    console.error('[MIGRATE] failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
@@ -0,0 +1,69 @@
+// Core tables: accounts, legacy transaction log, rounds and accepted bets.
+// CREATE ... IF NOT EXISTS plus the *IfMissing helpers let this run against a database that
+// was set up by hand before migrations existed; it only adds the missing keys there.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS users (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       username VARCHAR(50) NOT NULL,
+       email VARCHAR(191) NOT NULL,
+       password VARCHAR(255) NOT NULL,
+       balance DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       UNIQUE KEY uq_users_username (username),
+       UNIQUE KEY uq_users_email (email)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  // pre-ledger money log, still written by the legacy socket handlers
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS transactions (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       user_id INT NOT NULL,
+       amount DECIMAL(15,2) NOT NULL,
+       type VARCHAR(32) NOT NULL,
+       description VARCHAR(255) NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS game_rounds (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       start_time DATETIME(3) NOT NULL,
+       end_time DATETIME(3) NULL,
+       winning_line TINYINT NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS player_bets (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       round_id INT NOT NULL,
+       user_id INT NOT NULL,
+       line VARCHAR(16) NOT NULL,
+       amount DECIMAL(15,2) NOT NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.addIndexIfMissing('transactions', 'idx_transactions_user', 'user_id, id');
+  // settlement / round detail read a round's bets; history reads a player's rounds
+  await schema.addIndexIfMissing('player_bets', 'idx_player_bets_round_user', 'round_id, user_id');
+  await schema.addIndexIfMissing('player_bets', 'idx_player_bets_user_round', 'user_id, round_id');
+
+  await schema.addForeignKeyIfMissing('transactions', 'fk_transactions_user', 'user_id', 'users(id)');
+  await schema.addForeignKeyIfMissing('player_bets', 'fk_player_bets_round', 'round_id', 'game_rounds(id)');
+  await schema.addForeignKeyIfMissing('player_bets', 'fk_player_bets_user', 'user_id', 'users(id)');
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('player_bets');
+  await schema.dropTableIfExists('game_rounds');
+  await schema.dropTableIfExists('transactions');
+  await schema.dropTableIfExists('users');
+}
+
+module.exports = { up, down };
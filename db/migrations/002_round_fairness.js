@@ -0,0 +1,20 @@
+// Multi-table rounds and the provably-fair commitment stored with every round.
+
+async function up(schema) {
+  await schema.addColumnIfMissing('game_rounds', 'table_id', 'VARCHAR(64) NULL AFTER id');
+  await schema.addColumnIfMissing('game_rounds', 'server_seed', 'CHAR(64) NULL');
+  await schema.addColumnIfMissing('game_rounds', 'server_seed_hash', 'CHAR(64) NULL');
+  await schema.addColumnIfMissing('game_rounds', 'client_seed', 'VARCHAR(128) NULL');
+  await schema.addColumnIfMissing('game_rounds', 'nonce', 'VARCHAR(191) NULL');
+  // round history filters by table and pages by id
+  await schema.addIndexIfMissing('game_rounds', 'idx_game_rounds_table', 'table_id, id');
+}
+
+async function down(schema) {
+  await schema.dropIndexIfExists('game_rounds', 'idx_game_rounds_table');
+  for (const column of ['nonce', 'client_seed', 'server_seed_hash', 'server_seed', 'table_id']) {
+    await schema.dropColumnIfExists('game_rounds', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Settlement markers read by startup recovery (game/recovery.js).
+// Rounds and bets that predate the columns were paid out by the old code, so they are
+// backfilled as settled -- but only when the column is added here, never on a re-run.
+
+async function up(schema) {
+  if (await schema.addColumnIfMissing('game_rounds', 'settled_at', 'DATETIME NULL')) {
+    await schema.query('UPDATE game_rounds SET settled_at = COALESCE(end_time, NOW())');
+  }
+  if (await schema.addColumnIfMissing('player_bets', 'settled', 'TINYINT(1) NOT NULL DEFAULT 0')) {
+    await schema.query('UPDATE player_bets SET settled = 1');
+  }
+  await schema.addIndexIfMissing('game_rounds', 'idx_game_rounds_settled', 'settled_at');
+}
+
+async function down(schema) {
+  await schema.dropIndexIfExists('game_rounds', 'idx_game_rounds_settled');
+  await schema.dropColumnIfExists('player_bets', 'settled');
+  await schema.dropColumnIfExists('game_rounds', 'settled_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// MySQL-backed bus used by game/cluster.js when Redis is not configured.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS cluster_bus (
+       id BIGINT AUTO_INCREMENT PRIMARY KEY,
+       channel VARCHAR(191) NOT NULL,
+       payload MEDIUMTEXT NOT NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_cluster_bus_created (created_at)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('cluster_bus');
+}
+
+module.exports = { up, down };
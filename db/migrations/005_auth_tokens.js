@@ -0,0 +1,41 @@
+// Refresh-token rotation and access-token revocation (services/tokens.js).
+
+async function up(schema) {
+  await schema.addColumnIfMissing('users', 'token_version', 'INT NOT NULL DEFAULT 0');
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       user_id INT NOT NULL,
+       token_hash CHAR(64) NOT NULL UNIQUE,
+       family_id CHAR(32) NOT NULL,
+       expires_at DATETIME NOT NULL,
+       revoked_at DATETIME NULL,
+       replaced_by INT NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_refresh_tokens_user (user_id),
+       INDEX idx_refresh_tokens_family (family_id)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS revoked_tokens (
+       jti CHAR(32) PRIMARY KEY,
+       user_id INT NOT NULL,
+       expires_at DATETIME NOT NULL
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.addIndexIfMissing('revoked_tokens', 'idx_revoked_tokens_expires', 'expires_at');
+
+  await schema.addForeignKeyIfMissing('refresh_tokens', 'fk_refresh_tokens_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+  await schema.addForeignKeyIfMissing('revoked_tokens', 'fk_revoked_tokens_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('revoked_tokens');
+  await schema.dropTableIfExists('refresh_tokens');
+  await schema.dropColumnIfExists('users', 'token_version');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Password reset / email verification tokens (services/accountTokens.js).
+
+async function up(schema) {
+  // accounts that predate verification count as verified: betting requires a verified email, and
+  // existing players shouldn't be locked out until they answer a mail they never asked for
+  if (await schema.addColumnIfMissing('users', 'email_verified_at', 'DATETIME NULL')) {
+    await schema.query('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+  }
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS account_tokens (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       user_id INT NOT NULL,
+       purpose VARCHAR(32) NOT NULL,
+       token_hash CHAR(64) NOT NULL UNIQUE,
+       expires_at DATETIME NOT NULL,
+       used_at DATETIME NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_account_tokens_user (user_id, purpose)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.addForeignKeyIfMissing('account_tokens', 'fk_account_tokens_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('account_tokens');
+  await schema.dropColumnIfExists('users', 'email_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,65 @@
+// Double-entry wallet ledger (services/ledger.js).
+// Sign-up credit is posted as a ledger bonus now, so users.balance starts at 0; run
+// `npm run ledger:reconcile -- --backfill` once to give pre-ledger users opening entries.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS ledger_transactions (
+       id BIGINT AUTO_INCREMENT PRIMARY KEY,
+       entry_type VARCHAR(16) NOT NULL,
+       user_id INT NOT NULL,
+       round_id INT NULL,
+       bet_id INT NULL,
+       reference VARCHAR(191) NULL,
+       description VARCHAR(255) NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_ledger_tx_user (user_id, id),
+       INDEX idx_ledger_tx_round (round_id)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS ledger_entries (
+       id BIGINT AUTO_INCREMENT PRIMARY KEY,
+       transaction_id BIGINT NOT NULL,
+       account VARCHAR(64) NOT NULL,
+       user_id INT NULL,                 -- set on wallet entries only
+       amount DECIMAL(15,2) NOT NULL,    -- signed: + credit to the account, - debit
+       balance_after DECIMAL(15,2) NULL, -- running wallet balance (wallet entries only)
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_ledger_entries_user (user_id, id),
+       INDEX idx_ledger_entries_tx (transaction_id)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS ledger_discrepancies (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       user_id INT NOT NULL,
+       users_balance DECIMAL(15,2) NOT NULL,
+       ledger_balance DECIMAL(15,2) NOT NULL,
+       detected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       resolved_at DATETIME NULL
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.query('ALTER TABLE users ALTER COLUMN balance SET DEFAULT 0.00');
+
+  await schema.addIndexIfMissing('ledger_entries', 'idx_ledger_entries_account', 'account, created_at');
+  await schema.addIndexIfMissing('ledger_discrepancies', 'idx_ledger_discrepancies_user', 'user_id');
+
+  await schema.addForeignKeyIfMissing('ledger_transactions', 'fk_ledger_tx_user', 'user_id', 'users(id)');
+  await schema.addForeignKeyIfMissing('ledger_transactions', 'fk_ledger_tx_round', 'round_id', 'game_rounds(id)');
+  await schema.addForeignKeyIfMissing('ledger_transactions', 'fk_ledger_tx_bet', 'bet_id', 'player_bets(id)');
+  await schema.addForeignKeyIfMissing('ledger_entries', 'fk_ledger_entries_tx', 'transaction_id', 'ledger_transactions(id)');
+  await schema.addForeignKeyIfMissing('ledger_entries', 'fk_ledger_entries_user', 'user_id', 'users(id)');
+  await schema.addForeignKeyIfMissing('ledger_discrepancies', 'fk_ledger_discrepancies_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('ledger_discrepancies');
+  await schema.dropTableIfExists('ledger_entries');
+  await schema.dropTableIfExists('ledger_transactions');
+}
+
+module.exports = { up, down };
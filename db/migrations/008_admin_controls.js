@@ -0,0 +1,40 @@
+// Roles, account status, the admin audit trail and voided rounds.
+
+async function up(schema) {
+  await schema.addColumnIfMissing('users', 'role', "VARCHAR(16) NOT NULL DEFAULT 'player'");
+  await schema.addColumnIfMissing('users', 'status', "VARCHAR(16) NOT NULL DEFAULT 'active'");
+  await schema.addColumnIfMissing('users', 'status_reason', 'VARCHAR(255) NULL');
+  await schema.addColumnIfMissing('users', 'suspended_until', 'DATETIME NULL');
+
+  await schema.addColumnIfMissing('game_rounds', 'voided_at', 'DATETIME NULL');
+  await schema.addColumnIfMissing('game_rounds', 'void_reason', 'VARCHAR(255) NULL');
+
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS admin_audit_log (
+       id BIGINT AUTO_INCREMENT PRIMARY KEY,
+       admin_id INT NOT NULL,
+       action VARCHAR(64) NOT NULL,
+       target_type VARCHAR(32) NULL,     -- 'user' | 'table' | 'round' | 'engine'
+       target_id VARCHAR(64) NULL,
+       reason VARCHAR(255) NULL,
+       details TEXT NULL,                -- JSON
+       ip VARCHAR(64) NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX idx_admin_audit_admin (admin_id, id),
+       INDEX idx_admin_audit_target (target_type, target_id)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.addForeignKeyIfMissing('admin_audit_log', 'fk_admin_audit_admin', 'admin_id', 'users(id)');
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('admin_audit_log');
+  await schema.dropColumnIfExists('game_rounds', 'void_reason');
+  await schema.dropColumnIfExists('game_rounds', 'voided_at');
+  for (const column of ['suspended_until', 'status_reason', 'status', 'role']) {
+    await schema.dropColumnIfExists('users', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Player limits, exclusions and session reminders (services/responsibleGaming.js).
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS rg_limits (
+       user_id INT NOT NULL,
+       kind VARCHAR(16) NOT NULL,             -- loss | wager | deposit
+       period VARCHAR(8) NOT NULL,            -- day | week | month (rolling 24h / 7d / 30d)
+       amount DECIMAL(15,2) NULL,             -- limit in force, NULL = none
+       pending_amount DECIMAL(15,2) NULL,     -- queued raise (NULL + pending_effective_at = removal)
+       pending_effective_at DATETIME NULL,
+       updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+       PRIMARY KEY (user_id, kind, period)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  await schema.addColumnIfMissing('users', 'exclusion_type', 'VARCHAR(16) NULL');    // cool_off | self_exclusion
+  await schema.addColumnIfMissing('users', 'excluded_until', 'DATETIME NULL');       // NULL + self_exclusion = permanent
+  await schema.addColumnIfMissing('users', 'session_reminder_minutes', 'INT NULL');  // NULL = default, 0 = off
+
+  await schema.addForeignKeyIfMissing('rg_limits', 'fk_rg_limits_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+}
+
+async function down(schema) {
+  for (const column of ['session_reminder_minutes', 'excluded_until', 'exclusion_type']) {
+    await schema.dropColumnIfExists('users', column);
+  }
+  await schema.dropTableIfExists('rg_limits');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// Runtime table parameters (game/gameConfig.js) and the multiplier each round was played with,
+// so recovery pays a round at its own multiplier even after the table's config changed.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS game_config (
+       table_id VARCHAR(64) PRIMARY KEY,
+       name VARCHAR(100) NULL,
+       freeze_offset_ms INT NULL,          -- NULL = keep the static (file / env) value
+       result_offset_ms INT NULL,
+       round_duration_ms INT NULL,
+       win_multiplier DECIMAL(8,2) NULL,
+       limits TEXT NULL,                   -- JSON, merged over the static limits
+       updated_by INT NULL,
+       updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await schema.addForeignKeyIfMissing('game_config', 'fk_game_config_updated_by', 'updated_by', 'users(id)', { onDelete: 'SET NULL' });
+
+  await schema.addColumnIfMissing('game_rounds', 'win_multiplier', 'DECIMAL(8,2) NULL');
+}
+
+async function down(schema) {
+  await schema.dropColumnIfExists('game_rounds', 'win_multiplier');
+  await schema.dropTableIfExists('game_config');
+}
+
+module.exports = { up, down };
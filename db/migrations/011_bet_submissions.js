@@ -0,0 +1,28 @@
+// One row per accepted submit_final_bets, written in the same transaction as the deduction.
+// (round_id, user_id) keeps a user to a single charged submission per round even if two
+// requests race past the in-memory check; (user_id, request_id) lets a retried request find its
+// original bet_accepted response, even once its round is over.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS bet_submissions (
+       id INT AUTO_INCREMENT PRIMARY KEY,
+       user_id INT NOT NULL,
+       round_id INT NOT NULL,
+       request_id VARCHAR(64) NULL,         -- client-generated; NULL for clients that don't send one
+       total_amount DECIMAL(15,2) NOT NULL,
+       response TEXT NOT NULL,              -- JSON bet_accepted payload, replayed to duplicates
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await schema.addIndexIfMissing('bet_submissions', 'uq_bet_submissions_round_user', 'round_id, user_id', { unique: true });
+  await schema.addIndexIfMissing('bet_submissions', 'idx_bet_submissions_request', 'user_id, request_id');
+  await schema.addForeignKeyIfMissing('bet_submissions', 'fk_bet_submissions_user', 'user_id', 'users(id)', { onDelete: 'CASCADE' });
+  await schema.addForeignKeyIfMissing('bet_submissions', 'fk_bet_submissions_round', 'round_id', 'game_rounds(id)', { onDelete: 'CASCADE' });
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('bet_submissions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// Per-bet payout bookkeeping: failed payout attempts are counted on the bets they were for,
+// with the last error, so a round that ended up voided can be traced back.
+
+async function up(schema) {
+  await schema.addColumnIfMissing('player_bets', 'payout_attempts', 'INT NOT NULL DEFAULT 0');  // failed attempts only
+  await schema.addColumnIfMissing('player_bets', 'payout_error', 'VARCHAR(255) NULL');
+}
+
+async function down(schema) {
+  await schema.dropColumnIfExists('player_bets', 'payout_error');
+  await schema.dropColumnIfExists('player_bets', 'payout_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// Progressive jackpot pools, one row per table (game/jackpot.js). amount is the pool; the
+// house:jackpot ledger account holds the same money across all tables.
+
+async function up(schema) {
+  await schema.query(
+    `CREATE TABLE IF NOT EXISTS jackpots (
+       table_id VARCHAR(64) PRIMARY KEY,
+       amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+       last_hit_round_id INT NULL,
+       last_hit_at DATETIME NULL,
+       updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function down(schema) {
+  await schema.dropTableIfExists('jackpots');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Outside bets (game/betTypes.js): player_bets.line now holds any bet key ("odd", "split2-3", ...),
+// bet_type its type and covered_lines the lines it wins on ("1,3,5"), so history queries can tell
+// a winning bet without the registry. Existing rows are all straight bets.
+
+async function up(schema) {
+  await schema.addColumnIfMissing('player_bets', 'bet_type', "VARCHAR(16) NOT NULL DEFAULT 'straight'");
+  if (await schema.addColumnIfMissing('player_bets', 'covered_lines', 'VARCHAR(16) NULL')) {
+    await schema.query("UPDATE player_bets SET covered_lines = REPLACE(line, 'line', '') WHERE covered_lines IS NULL");
+  }
+}
+
+async function down(schema) {
+  await schema.dropColumnIfExists('player_bets', 'covered_lines');
+  await schema.dropColumnIfExists('player_bets', 'bet_type');
+}
+
+module.exports = { up, down };
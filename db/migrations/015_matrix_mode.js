@@ -0,0 +1,15 @@
+// Matrix mode (game/matrix.js): each round records the mode its table ran in and, once the result
+// is stored, the drawn grid as JSON ([[5 numbers] x 5 columns]) for history and the verify
+// endpoint. Existing rows are classic rounds without a grid.
+
+async function up(schema) {
+  await schema.addColumnIfMissing('game_rounds', 'mode', "VARCHAR(16) NOT NULL DEFAULT 'classic'");
+  await schema.addColumnIfMissing('game_rounds', 'matrix', 'TEXT NULL');
+}
+
+async function down(schema) {
+  await schema.dropColumnIfExists('game_rounds', 'matrix');
+  await schema.dropColumnIfExists('game_rounds', 'mode');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,185 @@
+// db/migrator.js
+// Versioned schema migrations. Each file in db/migrations is `<version>_<name>.js` and exports
+//   up(schema)   - apply the change
+//   down(schema) - revert it
+// where `schema` wraps one dedicated connection (see schemaHelpers). Applied versions are
+// recorded in schema_migrations; a named lock keeps two runners (e.g. two instances
+// deploying at once) from migrating concurrently.
+//
+// MySQL DDL auto-commits, so a migration that fails halfway is not rolled back. Migrations
+// therefore use the *IfMissing / *IfExists helpers and can simply be re-run after a fix.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'luckyfive_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => /^\d+_[\w-]+\.js$/.test(f))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`migration ${file} must export up() and down()`);
+      }
+      return { version, name, file, ...migration };
+    });
+}
+
+// Helpers handed to every migration; all run on the migration's own connection
+function schemaHelpers(conn) {
+  const count = async (sql, params) => {
+    const [[row]] = await conn.query(sql, params);
+    return Number(row.n);
+  };
+
+  const helpers = {
+    query: (sql, params) => conn.query(sql, params),
+
+    tableExists: async (table) => (await count(
+      'SELECT COUNT(*) AS n FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table]
+    )) > 0,
+
+    columnExists: async (table, column) => (await count(
+      'SELECT COUNT(*) AS n FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+      [table, column]
+    )) > 0,
+
+    indexExists: async (table, index) => (await count(
+      'SELECT COUNT(*) AS n FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+      [table, index]
+    )) > 0,
+
+    foreignKeyExists: async (table, name) => (await count(
+      "SELECT COUNT(*) AS n FROM information_schema.TABLE_CONSTRAINTS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'",
+      [table, name]
+    )) > 0,
+
+    // resolves to true when the column was added (callers backfill only then)
+    async addColumnIfMissing(table, column, definition) {
+      if (await helpers.columnExists(table, column)) return false;
+      await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+      return true;
+    },
+
+    async dropColumnIfExists(table, column) {
+      if (!(await helpers.columnExists(table, column))) return;
+      await conn.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+    },
+
+    async addIndexIfMissing(table, index, columns, { unique = false } = {}) {
+      if (await helpers.indexExists(table, index)) return;
+      await conn.query(`ALTER TABLE \`${table}\` ADD ${unique ? 'UNIQUE ' : ''}INDEX \`${index}\` (${columns})`);
+    },
+
+    async dropIndexIfExists(table, index) {
+      if (!(await helpers.indexExists(table, index))) return;
+      await conn.query(`ALTER TABLE \`${table}\` DROP INDEX \`${index}\``);
+    },
+
+    // references: 'users(id)'; onDelete: CASCADE | SET NULL | RESTRICT
+    async addForeignKeyIfMissing(table, name, column, references, { onDelete = 'RESTRICT' } = {}) {
+      if (await helpers.foreignKeyExists(table, name)) return;
+      await conn.query(`ALTER TABLE \`${table}\` ADD CONSTRAINT \`${name}\` FOREIGN KEY (${column}) REFERENCES ${references} ON DELETE ${onDelete}`);
+    },
+
+    async dropForeignKeyIfExists(table, name) {
+      if (!(await helpers.foreignKeyExists(table, name))) return;
+      await conn.query(`ALTER TABLE \`${table}\` DROP FOREIGN KEY \`${name}\``);
+    },
+
+    async dropTableIfExists(table) {
+      await conn.query(`DROP TABLE IF EXISTS \`${table}\``);
+    }
+  };
+  return helpers;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(32) PRIMARY KEY,
+       name VARCHAR(191) NOT NULL,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function appliedVersions(conn) {
+  await ensureMigrationsTable(conn);
+  const [rows] = await conn.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(r => [r.version, r.applied_at]));
+}
+
+// Run fn on a dedicated connection holding the migration lock
+async function withLock(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (Number(locked) !== 1) throw new Error('another migration run holds the lock');
+    try {
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+async function status(pool, { migrations = loadMigrations() } = {}) {
+  return withLock(pool, async (conn) => {
+    const applied = await appliedVersions(conn);
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      appliedAt: applied.get(m.version) || null
+    }));
+  });
+}
+
+// Apply every pending migration (up to and including `to`, when given)
+async function migrateUp(pool, { to = null, log = console.log, migrations = loadMigrations() } = {}) {
+  return withLock(pool, async (conn) => {
+    const applied = await appliedVersions(conn);
+    const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+    const schema = schemaHelpers(conn);
+
+    for (const m of pending) {
+      log(`[MIGRATE] up ${m.version}_${m.name}`);
+      await m.up(schema);
+      await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+// Revert the last `steps` applied migrations, newest first
+async function migrateDown(pool, { steps = 1, log = console.log, migrations = loadMigrations() } = {}) {
+  return withLock(pool, async (conn) => {
+    const applied = await appliedVersions(conn);
+    const toRevert = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    const schema = schemaHelpers(conn);
+
+    for (const m of toRevert) {
+      log(`[MIGRATE] down ${m.version}_${m.name}`);
+      await m.down(schema);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+    }
+    return toRevert.map(m => m.version);
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  schemaHelpers,
+  status,
+  migrateUp,
+  migrateDown
+};
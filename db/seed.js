@@ -0,0 +1,31 @@
+// ------------------ seed.js ------------------
+// Development seed data: node db/seed.js [--force]
+// Runs every db/seeds/*.js in name order against a migrated database. Seeds are
+// idempotent (they skip rows that already exist), so re-running is safe. Refuses to run
+// with NODE_ENV=production unless --force is given.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool, promisePool } = require('./dbConfig');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+(async () => {
+  try {
+    if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+      throw new Error('refusing to seed a production database (pass --force to override)');
+    }
+
+    const files = fs.readdirSync(SEEDS_DIR).filter(f => f.endsWith('.js')).sort();
+    for (const file of files) {
+      console.log(`[SEED] ${file}`);
+      await require(path.join(SEEDS_DIR, file))(promisePool);
+    }
+    console.log(`[SEED] done (${files.length} seed file(s))`);
+  } catch (err) {
+    console.error('[SEED] failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
@@ -0,0 +1,49 @@
+// Dev accounts: one admin and a few players, all verified, funded through the ledger so
+// reconciliation stays clean. Every account uses SEED_PASSWORD (default "password123").
+const bcrypt = require('bcryptjs');
+const rg = require('../../services/responsibleGaming');
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'password123';
+
+const USERS = [
+  { username: 'admin', email: 'admin@example.com', role: 'admin', balance: 0 },
+  { username: 'alice', email: 'alice@example.com', role: 'player', balance: 10000 },
+  { username: 'bob', email: 'bob@example.com', role: 'player', balance: 10000 },
+  { username: 'carol', email: 'carol@example.com', role: 'player', balance: 500 }
+];
+
+module.exports = async function seedDevUsers(promisePool) {
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+
+  for (const u of USERS) {
+    const [existing] = await promisePool.execute('SELECT id FROM users WHERE username = ? OR email = ?', [u.username, u.email]);
+    if (existing.length > 0) {
+      console.log(`[SEED]   ${u.username} exists, skipped`);
+      continue;
+    }
+
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.execute(
+        'INSERT INTO users (username, email, password, balance, role, email_verified_at) VALUES (?, ?, ?, 0, ?, NOW())',
+        [u.username, u.email, password, u.role]
+      );
+      if (u.balance > 0) {
+        await rg.postDeposit(conn, {
+          userId: result.insertId,
+          amount: u.balance,
+          reference: 'seed',
+          description: 'Dev seed balance'
+        });
+      }
+      await conn.commit();
+      console.log(`[SEED]   ${u.username} (${u.role}) created with balance ${u.balance}`);
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+};
@@ -0,0 +1,185 @@
+// ./game/autoBet.js
+// Server-side auto-bet. A player registers a run for the table they're at (auto_bet_start) and the
+// engine submits it at every freeze_bets through the same submit_final_bets path a client uses
+// (slip validation, balance transaction, player limits), whether the player is online or not.
+//
+// Strategies build each round's slip from a base slip:
+//   repeat_last    - the player's last accepted slip, every round
+//   fixed          - the slip sent with auto_bet_start, every round
+//   double_on_loss - the slip sent (or the last one), doubled after each round that paid back less
+//                    than it staked, back to the base after one that didn't
+//
+// A run stops
+//   - after stop.rounds rounds (never more than AUTO_BET_MAX_ROUNDS)
+//   - once its net result reaches +stop.profit or -stop.loss
+//   - before a bet that would take the balance below stop.balanceBelow
+//   - when a submission is rejected (insufficient balance, table limits, player limits, ...)
+//   - when the player sends auto_bet_stop or the account is blocked
+//
+// Runs live in the leader's memory; a leader change ends them.
+const { BET_ERROR_CODES, betError, validateClientBets, validateChip, validateSlip } = require("./betValidation");
+const betSlip = require("./betSlip");
+
+const AUTO_BET_STRATEGIES = ["repeat_last", "fixed", "double_on_loss"];
+const AUTO_BET_MAX_ROUNDS = Number(process.env.AUTO_BET_MAX_ROUNDS || 500);
+
+const STOP_REASONS = {
+  PLAYER: "stopped",
+  ROUNDS: "rounds",
+  PROFIT: "profit",
+  LOSS: "loss",
+  BALANCE: "balance",
+  REJECTED: "bet_rejected",
+  ACCOUNT: "account_blocked"
+};
+
+const STOP_FIELDS = ["rounds", "profit", "loss", "balanceBelow"];
+
+const invalid = (message, details) => betError(BET_ERROR_CODES.INVALID_AUTO_BET, message, details);
+
+// the slip a run starts from; null when the strategy needs the last slip and there is none
+function baseSlipFor(payload, lastSlip) {
+  if (payload.strategy === "repeat_last") return lastSlip;
+  if (payload.bets) return { ...betSlip.emptySlip(), ...payload.bets };
+  return payload.strategy === "double_on_loss" ? lastSlip : null;
+}
+
+// auto_bet_start payload: { strategy, bets?, stop?: { rounds, profit, loss, balanceBelow } }.
+// lastSlip: the player's last accepted slip (or null). Returns a bet_error object or null.
+function validateAutoBet(payload, limits, lastSlip) {
+  if (!payload || typeof payload !== "object") return invalid("Auto-bet settings must be an object");
+  if (!AUTO_BET_STRATEGIES.includes(payload.strategy)) {
+    return invalid("Unknown auto-bet strategy", { strategy: payload.strategy, allowed: AUTO_BET_STRATEGIES });
+  }
+  if (payload.strategy === "repeat_last" && payload.bets) {
+    return invalid("repeat_last repeats the last slip and takes no bets");
+  }
+  const clientErr = validateClientBets(payload.bets);
+  if (clientErr) return clientErr;
+  // a sent slip stands for the chips a player would place: each stake must be an allowed chip
+  for (const stake of Object.values(payload.bets || {})) {
+    if (stake === 0) continue;
+    const chipErr = validateChip(stake, limits);
+    if (chipErr) return chipErr;
+  }
+
+  const stop = payload.stop ?? {};
+  if (typeof stop !== "object" || Array.isArray(stop)) return invalid("stop must be an object");
+  const unknown = Object.keys(stop).filter(k => !STOP_FIELDS.includes(k));
+  if (unknown.length) return invalid(`Unknown stop condition(s): ${unknown.join(", ")}`);
+  for (const field of ["profit", "loss", "balanceBelow"]) {
+    if (stop[field] === undefined || stop[field] === null) continue;
+    if (typeof stop[field] !== "number" || !(stop[field] > 0)) return invalid(`stop.${field} must be a positive number`);
+  }
+  if (stop.rounds !== undefined && stop.rounds !== null &&
+      !(Number.isInteger(stop.rounds) && stop.rounds >= 1 && stop.rounds <= AUTO_BET_MAX_ROUNDS)) {
+    return invalid(`stop.rounds must be a whole number from 1 to ${AUTO_BET_MAX_ROUNDS}`);
+  }
+
+  const slip = baseSlipFor(payload, lastSlip);
+  if (!slip) {
+    return payload.strategy === "fixed"
+      ? invalid("fixed needs the bets to place")
+      : betError(BET_ERROR_CODES.NO_PREVIOUS_SLIP, "No previous bet slip to repeat");
+  }
+  const slipErr = validateSlip(slip, limits);
+  if (slipErr) return slipErr;
+  if (betSlip.slipTotal(slip) <= 0) return invalid("The auto-bet slip is empty");
+  return null;
+}
+
+// a new run for a payload that passed validateAutoBet
+function createAutoBet(payload, { tableId, lastSlip }) {
+  const stop = payload.stop || {};
+  return {
+    tableId,
+    strategy: payload.strategy,
+    baseBets: baseSlipFor(payload, lastSlip),
+    stop: {
+      rounds: stop.rounds ?? AUTO_BET_MAX_ROUNDS,
+      profit: stop.profit ?? null,
+      loss: stop.loss ?? null,
+      balanceBelow: stop.balanceBelow ?? null
+    },
+    multiplier: 1,     // double_on_loss: stake factor for the next round
+    rounds: 0,         // submissions accepted (refunded ones don't count)
+    staked: 0,
+    won: 0,
+    net: 0,            // won - staked, settled rounds and open stakes alike
+    lastRound: null    // { roundId, stake, won } of the last settled round
+  };
+}
+
+function nextSlip(run) {
+  const slip = {};
+  for (const [key, stake] of Object.entries(run.baseBets)) slip[key] = Number(stake || 0) * run.multiplier;
+  return slip;
+}
+
+// checked at the freeze, before the next slip is submitted
+function stopBeforeBet(run, balance, stake) {
+  if (run.rounds >= run.stop.rounds) return STOP_REASONS.ROUNDS;
+  if (run.stop.balanceBelow !== null && balance - stake < run.stop.balanceBelow) return STOP_REASONS.BALANCE;
+  return null;
+}
+
+// checked once a round's payout is in
+function stopAfterResult(run) {
+  if (run.stop.profit !== null && run.net >= run.stop.profit) return STOP_REASONS.PROFIT;
+  if (run.stop.loss !== null && run.net <= -run.stop.loss) return STOP_REASONS.LOSS;
+  if (run.rounds >= run.stop.rounds) return STOP_REASONS.ROUNDS;
+  return null;
+}
+
+function recordBet(run, stake) {
+  run.rounds += 1;
+  run.staked = betSlip.addCents(run.staked, stake);
+  run.net = betSlip.addCents(run.net, -stake);
+}
+
+// won: everything the round paid back (wins and jackpot share)
+function recordResult(run, { roundId, stake, won }) {
+  run.won = betSlip.addCents(run.won, won);
+  run.net = betSlip.addCents(run.net, won);
+  run.lastRound = { roundId, stake, won };
+  if (run.strategy === "double_on_loss") run.multiplier = won < stake ? run.multiplier * 2 : 1;
+}
+
+// a voided round gives the stake back and doesn't count towards stop.rounds
+function recordRefund(run, stake) {
+  run.rounds -= 1;
+  run.staked = betSlip.addCents(run.staked, -stake);
+  run.net = betSlip.addCents(run.net, stake);
+}
+
+// auto_bet_status payload (without the event-specific fields)
+function describeAutoBet(run) {
+  return {
+    active: !run.stopReason,
+    tableId: run.tableId,
+    strategy: run.strategy,
+    bets: run.baseBets,
+    nextBets: nextSlip(run),
+    stop: run.stop,
+    rounds: run.rounds,
+    staked: run.staked,
+    won: run.won,
+    net: run.net,
+    lastRound: run.lastRound
+  };
+}
+
+module.exports = {
+  AUTO_BET_STRATEGIES,
+  AUTO_BET_MAX_ROUNDS,
+  STOP_REASONS,
+  validateAutoBet,
+  createAutoBet,
+  nextSlip,
+  stopBeforeBet,
+  stopAfterResult,
+  recordBet,
+  recordResult,
+  recordRefund,
+  describeAutoBet
+};
@@ -0,0 +1,55 @@
+// ./game/betSlip.js
+// Server-side bet slip helpers. The slip built from place_bet is the source of truth;
+// anything the client sends in submit_final_bets is only checked against it.
+// A slip holds one stake per bet key (game/betTypes.js): line1..line5 plus the outside bets.
+const { BET_KEYS, BET_TYPES } = require("./betTypes");
+
+// straight bets; stats and result counts are per line
+const LINES = Object.keys(BET_TYPES.straight);
+
+function emptySlip() {
+  const slip = {};
+  for (const key of BET_KEYS) slip[key] = 0;
+  return slip;
+}
+
+// round.bets is keyed by userId so a slip survives socket reconnects
+function getSlip(round, userId) {
+  if (!round.bets.has(userId)) {
+    round.bets.set(userId, emptySlip());
+  }
+  return round.bets.get(userId);
+}
+
+// amounts are kept in whole cents; adding through here avoids float drift in running totals
+const addCents = (a, b) => Math.round((Number(a) + Number(b)) * 100) / 100;
+
+function slipTotal(slip) {
+  return Object.values(slip || {}).reduce((s, v) => s + Number(v || 0), 0);
+}
+
+// Returns null when the client's view agrees with the server slip, else a reason string.
+// Both fields are optional so older clients that send only one of them still work.
+function compareClientSnapshot(slip, clientBets, clientTotal) {
+  if (clientBets && typeof clientBets === "object") {
+    const keys = new Set([...Object.keys(slip), ...Object.keys(clientBets)]);
+    for (const key of keys) {
+      if (Number(clientBets[key] || 0) !== Number(slip[key] || 0)) {
+        return `bets differ on ${key}`;
+      }
+    }
+  }
+  if (clientTotal !== undefined && clientTotal !== null && Number(clientTotal) !== slipTotal(slip)) {
+    return "totalAmount differs from bet slip";
+  }
+  return null;
+}
+
+module.exports = {
+  LINES,
+  emptySlip,
+  getSlip,
+  slipTotal,
+  addCents,
+  compareClientSnapshot
+};
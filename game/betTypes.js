@@ -0,0 +1,77 @@
+// ./game/betTypes.js
+// Bet type registry. Every slip key ("line3", "odd", "split2-3", ...) is one bet on a set of
+// lines and wins when the drawn line is in that set. Payouts keep the table's house edge: a bet
+// covering k of the LINE_COUNT lines returns winMultiplier / k times the stake (a straight bet
+// returns winMultiplier), so every bet has the same expected return, winMultiplier / LINE_COUNT.
+//
+// player_bets stores the key in `line`, the type in `bet_type` and the covered lines in
+// `covered_lines` (db/migrations/014_bet_types.js).
+const { LINE_COUNT } = require("./fairness");
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// type -> { key: covered lines }
+const BET_TYPES = {
+  straight: Object.fromEntries(range(1, LINE_COUNT).map(n => [`line${n}`, [n]])),
+  odd: { odd: range(1, LINE_COUNT).filter(n => n % 2 === 1) },
+  even: { even: range(1, LINE_COUNT).filter(n => n % 2 === 0) },
+  low: { low: [1, 2] },
+  high: { high: [LINE_COUNT - 1, LINE_COUNT] },
+  // two neighbouring lines
+  split: Object.fromEntries(range(1, LINE_COUNT - 1).map(n => [`split${n}-${n + 1}`, [n, n + 1]]))
+};
+
+// key -> { key, type, lines }
+const BETS = new Map();
+for (const [type, bets] of Object.entries(BET_TYPES)) {
+  for (const [key, lines] of Object.entries(bets)) BETS.set(key, { key, type, lines });
+}
+
+// every slip key, straight bets first
+const BET_KEYS = [...BETS.keys()];
+
+const betFor = (key) => BETS.get(key) || null;
+
+// total return per unit staked when the bet wins
+function payoutMultiplier(key, winMultiplier) {
+  const bet = betFor(key);
+  return bet ? winMultiplier / bet.lines.length : 0;
+}
+
+// amount credited for `stake` on `key` when `winningLine` is drawn (0 when it loses); whole cents,
+// rounded down
+function winAmount(key, stake, winningLine, winMultiplier) {
+  const bet = betFor(key);
+  if (!bet || !bet.lines.includes(Number(winningLine))) return 0;
+  return Math.floor(Math.round(Number(stake) * winMultiplier * 10000 / bet.lines.length) / 100) / 100;
+}
+
+// Settle a whole slip: [{ key, stake, amount }] for the winning bets only
+function settleSlip(slip, winningLine, winMultiplier) {
+  const wins = [];
+  for (const [key, value] of Object.entries(slip || {})) {
+    const stake = Number(value || 0);
+    if (stake <= 0) continue;
+    const amount = winAmount(key, stake, winningLine, winMultiplier);
+    if (amount > 0) wins.push({ key, stake, amount });
+  }
+  return wins;
+}
+
+// what clients show on the betting board: [{ key, type, lines, multiplier }]
+function describeBets(winMultiplier) {
+  return BET_KEYS.map((key) => {
+    const { type, lines } = BETS.get(key);
+    return { key, type, lines, multiplier: Math.round(payoutMultiplier(key, winMultiplier) * 10000) / 10000 };
+  });
+}
+
+module.exports = {
+  BET_TYPES,
+  BET_KEYS,
+  betFor,
+  payoutMultiplier,
+  winAmount,
+  settleSlip,
+  describeBets
+};
@@ -0,0 +1,206 @@
+// ./game/betValidation.js
+// Bet validation rules and structured bet errors.
+//
+// Every rejection is a plain object { code, message, details } sent as-is in bet_error;
+// `code` is stable (frontend localizes on it), `message` is English for logs/old clients.
+const { slipTotal } = require("./betSlip");
+const { BET_KEYS } = require("./betTypes");
+
+const BET_ERROR_CODES = {
+  NOT_AUTHENTICATED: "NOT_AUTHENTICATED",
+  EMAIL_NOT_VERIFIED: "EMAIL_NOT_VERIFIED",
+  BETTING_CLOSED: "BETTING_CLOSED",
+  TABLE_PAUSED: "TABLE_PAUSED",
+  ROUND_MISMATCH: "ROUND_MISMATCH",
+  ROUND_NOT_READY: "ROUND_NOT_READY",
+  ALREADY_SUBMITTED: "ALREADY_SUBMITTED",
+  OTHER_DEVICE_ACTIVE: "OTHER_DEVICE_ACTIVE",
+  SLIP_MISMATCH: "SLIP_MISMATCH",
+  INVALID_REQUEST_ID: "INVALID_REQUEST_ID",
+  INVALID_LINE: "INVALID_LINE",
+  INVALID_OPERATION: "INVALID_OPERATION",
+  INVALID_AMOUNT: "INVALID_AMOUNT",
+  INVALID_DENOMINATION: "INVALID_DENOMINATION",
+  STAKE_BELOW_MIN: "STAKE_BELOW_MIN",
+  STAKE_ABOVE_MAX: "STAKE_ABOVE_MAX",
+  ROUND_TOTAL_EXCEEDED: "ROUND_TOTAL_EXCEEDED",
+  INSUFFICIENT_BALANCE: "INSUFFICIENT_BALANCE",
+  LOSS_LIMIT_REACHED: "LOSS_LIMIT_REACHED",
+  WAGER_LIMIT_REACHED: "WAGER_LIMIT_REACHED",
+  COOLING_OFF: "COOLING_OFF",
+  SELF_EXCLUDED: "SELF_EXCLUDED",
+  INVALID_AUTO_BET: "INVALID_AUTO_BET",
+  NO_PREVIOUS_SLIP: "NO_PREVIOUS_SLIP",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  SERVER_ERROR: "SERVER_ERROR"
+};
+
+const DEFAULT_LIMITS = {
+  minStake: 10,          // per line, once a line has any stake
+  maxStake: 5000,        // per line
+  maxRoundTotal: 10000,  // per user per round, all lines together
+  denominations: [10, 50, 100, 500, 1000],
+  lines: {}              // optional per-bet overrides: { line5: { minStake, maxStake }, odd: { ... } }
+};
+
+function betError(code, message, details) {
+  const err = { code, message };
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+function numberFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Limits from env, with optional explicit overrides (used per table / in tests):
+//   BET_MIN_STAKE, BET_MAX_STAKE, BET_MAX_ROUND_TOTAL,
+//   BET_DENOMINATIONS="10,50,100", BET_LINE_LIMITS='{"line5":{"maxStake":1000}}'
+function loadLimits(overrides = {}) {
+  let denominations = DEFAULT_LIMITS.denominations;
+  if (process.env.BET_DENOMINATIONS) {
+    denominations = process.env.BET_DENOMINATIONS.split(",").map(Number).filter(n => Number.isInteger(n) && n > 0);
+  }
+
+  let lines = DEFAULT_LIMITS.lines;
+  if (process.env.BET_LINE_LIMITS) {
+    try {
+      lines = JSON.parse(process.env.BET_LINE_LIMITS);
+    } catch (err) {
+      console.error("[BET] invalid BET_LINE_LIMITS, ignoring:", err.message);
+    }
+  }
+
+  return {
+    minStake: numberFromEnv("BET_MIN_STAKE", DEFAULT_LIMITS.minStake),
+    maxStake: numberFromEnv("BET_MAX_STAKE", DEFAULT_LIMITS.maxStake),
+    maxRoundTotal: numberFromEnv("BET_MAX_ROUND_TOTAL", DEFAULT_LIMITS.maxRoundTotal),
+    denominations,
+    lines,
+    ...overrides
+  };
+}
+
+function lineLimits(limits, line) {
+  const o = (limits.lines && limits.lines[line]) || {};
+  return {
+    minStake: o.minStake ?? limits.minStake,
+    maxStake: o.maxStake ?? limits.maxStake
+  };
+}
+
+// `line` is any bet key from the registry (the field name predates the outside bets)
+function validateLine(line) {
+  if (!BET_KEYS.includes(line)) {
+    return betError(BET_ERROR_CODES.INVALID_LINE, "Unknown bet", { line, allowed: BET_KEYS });
+  }
+  return null;
+}
+
+function validateChip(amount, limits) {
+  const n = Number(amount);
+  if (typeof amount === "boolean" || amount === null || amount === "" || !Number.isInteger(n) || n <= 0) {
+    return betError(BET_ERROR_CODES.INVALID_AMOUNT, "Amount must be a positive whole number", { amount });
+  }
+  if (limits.denominations && limits.denominations.length && !limits.denominations.includes(n)) {
+    return betError(BET_ERROR_CODES.INVALID_DENOMINATION, "Amount is not an allowed chip", { amount: n, allowed: limits.denominations });
+  }
+  return null;
+}
+
+// Validate a single place_bet against the current slip (slip is not modified)
+function validatePlaceBet(slip, data, limits) {
+  const { line, amount, operation } = data || {};
+
+  if (operation !== "add" && operation !== "remove") {
+    return betError(BET_ERROR_CODES.INVALID_OPERATION, "Operation must be add or remove", { operation });
+  }
+  const lineErr = validateLine(line);
+  if (lineErr) return lineErr;
+  if (operation === "remove") return null;
+
+  const chipErr = validateChip(amount, limits);
+  if (chipErr) return chipErr;
+
+  const n = Number(amount);
+  const { maxStake } = lineLimits(limits, line);
+  const newLineStake = Number(slip[line] || 0) + n;
+  if (newLineStake > maxStake) {
+    return betError(BET_ERROR_CODES.STAKE_ABOVE_MAX, "Stake above line maximum", { line, stake: newLineStake, maxStake });
+  }
+  const newTotal = slipTotal(slip) + n;
+  if (newTotal > limits.maxRoundTotal) {
+    return betError(BET_ERROR_CODES.ROUND_TOTAL_EXCEEDED, "Round total above maximum", { total: newTotal, maxRoundTotal: limits.maxRoundTotal });
+  }
+  return null;
+}
+
+// Validate a whole slip at submit time (min stakes are only enforced here, while a
+// line is being built up chip by chip it may sit below the minimum)
+function validateSlip(slip, limits) {
+  for (const [line, value] of Object.entries(slip || {})) {
+    const lineErr = validateLine(line);
+    if (lineErr) return lineErr;
+
+    const stake = Number(value);
+    if (!Number.isInteger(stake) || stake < 0) {
+      return betError(BET_ERROR_CODES.INVALID_AMOUNT, "Stake must be a non-negative whole number", { line, stake: value });
+    }
+    if (stake === 0) continue;
+
+    const { minStake, maxStake } = lineLimits(limits, line);
+    if (stake < minStake) {
+      return betError(BET_ERROR_CODES.STAKE_BELOW_MIN, "Stake below line minimum", { line, stake, minStake });
+    }
+    if (stake > maxStake) {
+      return betError(BET_ERROR_CODES.STAKE_ABOVE_MAX, "Stake above line maximum", { line, stake, maxStake });
+    }
+  }
+
+  const total = slipTotal(slip);
+  if (total > limits.maxRoundTotal) {
+    return betError(BET_ERROR_CODES.ROUND_TOTAL_EXCEEDED, "Round total above maximum", { total, maxRoundTotal: limits.maxRoundTotal });
+  }
+  return null;
+}
+
+// Client-sent bets at submit: only whitelisted keys are allowed
+function validateClientBets(clientBets) {
+  if (clientBets === undefined || clientBets === null) return null;
+  if (typeof clientBets !== "object" || Array.isArray(clientBets)) {
+    return betError(BET_ERROR_CODES.INVALID_AMOUNT, "bets must be an object of line -> amount");
+  }
+  for (const line of Object.keys(clientBets)) {
+    const lineErr = validateLine(line);
+    if (lineErr) return lineErr;
+  }
+  return null;
+}
+
+// Client-generated submit_final_bets id (e.g. a UUID); optional so older clients keep working
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+function validateRequestId(requestId) {
+  if (requestId === undefined || requestId === null) return null;
+  if (typeof requestId !== "string" || !REQUEST_ID_PATTERN.test(requestId)) {
+    return betError(BET_ERROR_CODES.INVALID_REQUEST_ID, "requestId must be 1-64 characters of A-Z, a-z, 0-9, _ . : -");
+  }
+  return null;
+}
+
+module.exports = {
+  BET_ERROR_CODES,
+  DEFAULT_LIMITS,
+  betError,
+  loadLimits,
+  lineLimits,
+  validateLine,
+  validateChip,
+  validatePlaceBet,
+  validateSlip,
+  validateClientBets,
+  validateRequestId
+};
@@ -0,0 +1,276 @@
+// ./game/cluster.js
+// Multi-instance support: a shared message bus, a socket.io adapter on top of it, and
+// leader election so exactly one instance drives round timers and picks results.
+//
+//   CLUSTER_BUS=memory  -> in-process bus + elector (several io servers in one process, tests/dev)
+//   CLUSTER_BUS=mysql   -> bus table polled over the existing pool + GET_LOCK() leader election
+//   (unset)             -> single instance: default socket.io adapter, always leader
+//
+// MySQL bus table: db/migrations/004_cluster_bus.js
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+const LEADER_LOCK_NAME = "luckyfive_leader";
+
+// ---------- Buses: publish(channel, msg) -> Promise, subscribe(channel, fn) -> unsubscribe ----------
+
+const memoryBuses = new Map();
+
+// Process-wide bus; every call with the same name returns the same bus
+function createMemoryBus(name = "default") {
+  if (memoryBuses.has(name)) return memoryBuses.get(name);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const bus = {
+    kind: "memory",
+    publish(channel, msg) {
+      // async delivery, like a real network hop
+      setImmediate(() => emitter.emit(channel, msg));
+      return Promise.resolve();
+    },
+    subscribe(channel, fn) {
+      emitter.on(channel, fn);
+      return () => emitter.off(channel, fn);
+    },
+    close() {}
+  };
+  memoryBuses.set(name, bus);
+  return bus;
+}
+
+// Bus over a MySQL table. Payloads are JSON, so binary attachments are not supported
+// (the game never sends any).
+function createMysqlBus(promisePool, { pollMs = 100, retentionMs = 60_000 } = {}) {
+  const handlers = new Map(); // channel -> Set(fn)
+  let lastId = null;
+  let pollTimer = null;
+  let cleanupTimer = null;
+  let polling = false;
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      if (lastId === null) {
+        const [rows] = await promisePool.execute("SELECT COALESCE(MAX(id), 0) AS maxId FROM cluster_bus");
+        lastId = Number(rows[0].maxId);
+        return;
+      }
+      const [rows] = await promisePool.execute(
+        "SELECT id, channel, payload FROM cluster_bus WHERE id > ? ORDER BY id LIMIT 500",
+        [lastId]
+      );
+      for (const row of rows) {
+        lastId = Number(row.id);
+        const fns = handlers.get(row.channel);
+        if (!fns) continue;
+        const msg = JSON.parse(row.payload);
+        for (const fn of fns) {
+          try { fn(msg); } catch (e) { console.error("[CLUSTER] bus handler error", e); }
+        }
+      }
+    } catch (err) {
+      console.error("[CLUSTER] bus poll error:", err && err.code ? err.code : err);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function ensureTimers() {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, pollMs);
+    cleanupTimer = setInterval(() => {
+      promisePool
+        .execute("DELETE FROM cluster_bus WHERE created_at < ?", [new Date(Date.now() - retentionMs)])
+        .catch(err => console.error("[CLUSTER] bus cleanup error:", err && err.code ? err.code : err));
+    }, retentionMs);
+    poll();
+  }
+
+  return {
+    kind: "mysql",
+    publish(channel, msg) {
+      return promisePool.execute("INSERT INTO cluster_bus (channel, payload) VALUES (?, ?)", [channel, JSON.stringify(msg)]);
+    },
+    subscribe(channel, fn) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(fn);
+      ensureTimers();
+      return () => handlers.get(channel).delete(fn);
+    },
+    close() {
+      clearInterval(pollTimer);
+      clearInterval(cleanupTimer);
+      pollTimer = null;
+      cleanupTimer = null;
+    }
+  };
+}
+
+// ---------- socket.io adapter over a bus ----------
+
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribe = bus.subscribe(this.channel, (msg) => {
+      if (msg.response) {
+        if (msg.target === this.uid) this.onResponse(msg.payload);
+      } else {
+        this.onMessage(msg.payload);
+      }
+    });
+  }
+
+  doPublish(message) {
+    return this.bus.publish(this.channel, { payload: message }).then(() => "");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.bus.publish(this.channel, { response: true, target: requesterUid, payload: response }).then(() => {});
+  }
+
+  close() {
+    super.close();
+    this.unsubscribe();
+  }
+}
+
+// Usage: io.adapter(createBusAdapter(bus))
+function createBusAdapter(bus, opts = {}) {
+  return function (nsp) {
+    return new BusAdapter(nsp, bus, opts);
+  };
+}
+
+// ---------- Leader election: start(onChange) / stop() / isLeader() ----------
+
+const memoryLocks = new Map(); // name -> { holder, queue: [elector] }
+
+// First started elector with a given name leads; the next one in line takes over on stop()
+function createMemoryElector(name = LEADER_LOCK_NAME) {
+  if (!memoryLocks.has(name)) memoryLocks.set(name, { holder: null, queue: [] });
+  const lock = memoryLocks.get(name);
+  let onChange = () => {};
+
+  const elector = {
+    isLeader: () => lock.holder === elector,
+    start(fn) {
+      onChange = fn || onChange;
+      elector._notify = (leader) => onChange(leader);
+      if (!lock.holder) {
+        lock.holder = elector;
+        onChange(true);
+      } else {
+        lock.queue.push(elector);
+        onChange(false);
+      }
+    },
+    stop() {
+      lock.queue = lock.queue.filter(e => e !== elector);
+      if (lock.holder !== elector) return;
+      lock.holder = lock.queue.shift() || null;
+      onChange(false);
+      if (lock.holder) lock.holder._notify(true);
+    }
+  };
+  return elector;
+}
+
+// MySQL named lock held on a dedicated connection; lost if that connection dies
+function createMysqlElector(promisePool, { name = LEADER_LOCK_NAME, retryMs = 2000 } = {}) {
+  let conn = null;
+  let leader = false;
+  let timer = null;
+  let onChange = () => {};
+
+  function setLeader(value) {
+    if (leader === value) return;
+    leader = value;
+    onChange(value);
+  }
+
+  async function dropConnection() {
+    if (!conn) return;
+    const c = conn;
+    conn = null;
+    try { c.release(); } catch (e) {}
+  }
+
+  async function tick() {
+    try {
+      if (leader) {
+        // still holding it? (a dead connection releases the lock server-side)
+        const [rows] = await conn.execute("SELECT IS_USED_LOCK(?) = CONNECTION_ID() AS mine", [name]);
+        if (!rows[0].mine) {
+          await dropConnection();
+          setLeader(false);
+        }
+        return;
+      }
+      if (!conn) conn = await promisePool.getConnection();
+      const [rows] = await conn.execute("SELECT GET_LOCK(?, 0) AS ok", [name]);
+      if (Number(rows[0].ok) === 1) {
+        setLeader(true);
+      }
+    } catch (err) {
+      console.error("[CLUSTER] leader election error:", err && err.code ? err.code : err);
+      await dropConnection();
+      setLeader(false);
+    }
+  }
+
+  return {
+    isLeader: () => leader,
+    start(fn) {
+      onChange = fn || onChange;
+      onChange(false);
+      tick();
+      timer = setInterval(tick, retryMs);
+    },
+    async stop() {
+      clearInterval(timer);
+      if (conn && leader) {
+        try { await conn.execute("SELECT RELEASE_LOCK(?)", [name]); } catch (e) {}
+      }
+      await dropConnection();
+      setLeader(false);
+    }
+  };
+}
+
+// Single instance: always leader, nothing shared
+function createStandaloneElector() {
+  return {
+    isLeader: () => true,
+    start(fn) { if (fn) fn(true); },
+    stop() {}
+  };
+}
+
+// Builds { nodeId, adapter, elector } from CLUSTER_BUS; adapter is null when standalone
+function createCluster({ promisePool, kind = process.env.CLUSTER_BUS, name = process.env.CLUSTER_NAME || "luckyfive" } = {}) {
+  const nodeId = crypto.randomBytes(4).toString("hex");
+  if (kind === "memory") {
+    return { nodeId, kind, adapter: createBusAdapter(createMemoryBus(name)), elector: createMemoryElector(`${name}:leader`) };
+  }
+  if (kind === "mysql") {
+    const bus = createMysqlBus(promisePool);
+    return { nodeId, kind, adapter: createBusAdapter(bus), elector: createMysqlElector(promisePool, { name: `${name}_leader` }) };
+  }
+  return { nodeId, kind: "standalone", adapter: null, elector: createStandaloneElector() };
+}
+
+module.exports = {
+  LEADER_LOCK_NAME,
+  createMemoryBus,
+  createMysqlBus,
+  BusAdapter,
+  createBusAdapter,
+  createMemoryElector,
+  createMysqlElector,
+  createStandaloneElector,
+  createCluster
+};
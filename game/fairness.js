@@ -0,0 +1,135 @@
+// ./game/fairness.js
+// Provably fair helpers for LuckyFive.
+//
+// Scheme (per round):
+//   1. server picks a random serverSeed and publishes sha256(serverSeed) in start_round
+//   2. result = HMAC_SHA256(key = serverSeed, msg = `${clientSeed}:${nonce}`)
+//      -> first 4 bytes as uint32 / 2^32 -> line 1..LINE_COUNT
+//   3. serverSeed is revealed in round_result so anyone can recompute steps 1 + 2
+//   4. jackpot draw: same HMAC over `${clientSeed}:${nonce}:jackpot` -> uint32 / 2^32 in [0, 1)
+//      (independent of the line; see game/jackpot.js for the odds)
+//   5. matrix-mode tables (game/matrix.js) draw a LINE_COUNT x MATRIX_ROWS grid instead:
+//      column c = HMAC over `${clientSeed}:${nonce}:matrix:${c}` -> MATRIX_ROWS 4-byte chunks -> 1..99;
+//      the winning line is the column with the highest sum, a tie going to the tied column
+//      picked by step 2's value
+const crypto = require("crypto");
+
+const LINE_COUNT = 5;
+const DEFAULT_CLIENT_SEED = "luckyfive";
+const MATRIX_ROWS = 5;
+const MATRIX_MAX_NUMBER = 99;
+
+// rng: anything with randomBytes(n) -> Buffer (crypto by default; tests inject a seeded one)
+function generateServerSeed(rng = crypto) {
+  return rng.randomBytes(32).toString("hex");
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash("sha256").update(String(serverSeed)).digest("hex");
+}
+
+// Public client seed mixed into every round. Configurable so operators can rotate it
+// (and announce the rotation) without touching code.
+function getClientSeed() {
+  return process.env.FAIRNESS_CLIENT_SEED || DEFAULT_CLIENT_SEED;
+}
+
+function computeResultHmac(serverSeed, clientSeed, nonce) {
+  return crypto
+    .createHmac("sha256", String(serverSeed))
+    .update(`${clientSeed}:${nonce}`)
+    .digest("hex");
+}
+
+// uint32 at chunk `i` of a hex HMAC, as a fraction in [0, 1)
+const hmacValue = (hmac, i = 0) => parseInt(hmac.slice(i * 8, i * 8 + 8), 16) / 0x100000000;
+
+// Returns winning line number 1..LINE_COUNT
+function computeWinningLine(serverSeed, clientSeed, nonce) {
+  const value = hmacValue(computeResultHmac(serverSeed, clientSeed, nonce));
+  return Math.floor(value * LINE_COUNT) + 1;
+}
+
+// Matrix mode grid: LINE_COUNT columns of MATRIX_ROWS numbers in 1..MATRIX_MAX_NUMBER
+function computeMatrix(serverSeed, clientSeed, nonce) {
+  const matrix = [];
+  for (let c = 1; c <= LINE_COUNT; c++) {
+    const hmac = computeResultHmac(serverSeed, clientSeed, `${nonce}:matrix:${c}`);
+    const column = [];
+    for (let r = 0; r < MATRIX_ROWS; r++) column.push(Math.floor(hmacValue(hmac, r) * MATRIX_MAX_NUMBER) + 1);
+    matrix.push(column);
+  }
+  return matrix;
+}
+
+// 1-based column with the highest sum; tieBreak in [0, 1) picks among tied columns so no column
+// is favoured
+function matrixWinningLine(matrix, tieBreak) {
+  const sums = matrix.map(column => column.reduce((sum, n) => sum + n, 0));
+  const best = Math.max(...sums);
+  const tied = [];
+  sums.forEach((sum, i) => { if (sum === best) tied.push(i + 1); });
+  return tied[Math.floor(tieBreak * tied.length)];
+}
+
+// The result of a round for its table's mode: { winningLine, matrix } (matrix null in classic mode)
+function computeRoundResult(serverSeed, clientSeed, nonce, mode = "classic") {
+  if (mode !== "matrix") return { winningLine: computeWinningLine(serverSeed, clientSeed, nonce), matrix: null };
+  const matrix = computeMatrix(serverSeed, clientSeed, nonce);
+  const tieBreak = hmacValue(computeResultHmac(serverSeed, clientSeed, nonce));
+  return { winningLine: matrixWinningLine(matrix, tieBreak), matrix };
+}
+
+// Uniform draw in [0, 1) for the jackpot, separate from the winning line
+function computeJackpotDraw(serverSeed, clientSeed, nonce) {
+  return hmacValue(computeResultHmac(serverSeed, clientSeed, `${nonce}:jackpot`));
+}
+
+// Build the full set of fairness fields for a new round
+function createRoundSeed(nonce, rng = crypto) {
+  const serverSeed = generateServerSeed(rng);
+  return {
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed: getClientSeed(),
+    nonce: String(nonce)
+  };
+}
+
+// Recompute a stored round; used by the verify endpoint. Matrix rounds also check the stored grid.
+function verifyRound({ serverSeed, serverSeedHash, clientSeed, nonce, winningLine, mode = "classic", matrix = null }) {
+  const computedHash = hashServerSeed(serverSeed);
+  const { winningLine: computedLine, matrix: computedMatrix } = computeRoundResult(serverSeed, clientSeed, nonce, mode);
+  const hashMatches = computedHash === serverSeedHash;
+  const lineMatches = Number(winningLine) === computedLine;
+  const result = {
+    computedHash,
+    computedLine,
+    hashMatches,
+    lineMatches,
+    verified: hashMatches && lineMatches
+  };
+  if (computedMatrix) {
+    result.computedMatrix = computedMatrix;
+    result.matrixMatches = JSON.stringify(matrix) === JSON.stringify(computedMatrix);
+    result.verified = result.verified && result.matrixMatches;
+  }
+  return result;
+}
+
+module.exports = {
+  LINE_COUNT,
+  MATRIX_ROWS,
+  MATRIX_MAX_NUMBER,
+  generateServerSeed,
+  hashServerSeed,
+  getClientSeed,
+  computeResultHmac,
+  computeWinningLine,
+  computeJackpotDraw,
+  computeMatrix,
+  matrixWinningLine,
+  computeRoundResult,
+  createRoundSeed,
+  verifyRound
+};
@@ -0,0 +1,136 @@
+// ./game/gameConfig.js
+// Runtime overrides for table parameters, stored in game_config (db/migrations/010_game_config.js).
+// A row overrides its table's static config (tables.js: defaults / GAME_TABLES / GAME_TABLES_FILE)
+// column by column; NULL keeps the static value. The merged result goes through the same
+// validation as the static config, so a bad row is rejected as a whole and the table keeps
+// running on what it had. The engine picks changes up at the next round boundary.
+const { validateTableConfig, validateLimits } = require("./tables");
+
+// how often the leader re-reads game_config (0 = only on an explicit reload)
+const GAME_CONFIG_POLL_MS = Number(process.env.GAME_CONFIG_POLL_MS || 30_000);
+
+const OVERRIDE_FIELDS = ["name", "freezeOffsetMs", "resultOffsetMs", "roundDurationMs", "winMultiplier", "limits"];
+const NUMERIC_FIELDS = ["freezeOffsetMs", "resultOffsetMs", "roundDurationMs", "winMultiplier"];
+const LIMIT_FIELDS = ["minStake", "maxStake", "maxRoundTotal", "denominations", "lines"];
+
+// Error carrying the HTTP status the admin route should answer with
+function configError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Admin request body -> override object (only the fields given); throws configError on bad types
+function parseOverride(body) {
+  if (!body || typeof body !== "object") throw configError("Config body must be an object");
+  const unknown = Object.keys(body).filter(k => !OVERRIDE_FIELDS.includes(k));
+  if (unknown.length) throw configError(`Unknown config field(s): ${unknown.join(", ")}`);
+
+  const override = {};
+  for (const field of NUMERIC_FIELDS) {
+    if (body[field] === undefined || body[field] === null) continue;
+    const n = Number(body[field]);
+    if (typeof body[field] === "boolean" || !Number.isFinite(n)) throw configError(`${field} must be a number`);
+    override[field] = n;
+  }
+  if (body.name !== undefined && body.name !== null) {
+    if (typeof body.name !== "string" || !body.name.trim()) throw configError("name must be a non-empty string");
+    override.name = body.name.trim().slice(0, 100);
+  }
+  if (body.limits !== undefined && body.limits !== null) {
+    if (typeof body.limits !== "object" || Array.isArray(body.limits)) throw configError("limits must be an object");
+    const badLimit = Object.keys(body.limits).filter(k => !LIMIT_FIELDS.includes(k));
+    if (badLimit.length) throw configError(`Unknown limits field(s): ${badLimit.join(", ")}`);
+    override.limits = body.limits;
+  }
+  return override;
+}
+
+// game_config row -> override object
+function rowToOverride(row) {
+  const override = {};
+  if (row.name !== null && row.name !== undefined) override.name = row.name;
+  if (row.freeze_offset_ms !== null && row.freeze_offset_ms !== undefined) override.freezeOffsetMs = Number(row.freeze_offset_ms);
+  if (row.result_offset_ms !== null && row.result_offset_ms !== undefined) override.resultOffsetMs = Number(row.result_offset_ms);
+  if (row.round_duration_ms !== null && row.round_duration_ms !== undefined) override.roundDurationMs = Number(row.round_duration_ms);
+  if (row.win_multiplier !== null && row.win_multiplier !== undefined) override.winMultiplier = Number(row.win_multiplier);
+  if (row.limits) override.limits = typeof row.limits === "string" ? JSON.parse(row.limits) : row.limits;
+  return override;
+}
+
+// base: a loaded table config (tables.js); returns the validated effective config
+function mergeTableConfig(base, override = {}) {
+  const merged = {
+    ...base,
+    ...override,
+    id: base.id,
+    limits: { ...base.limits, ...(override.limits || {}) }
+  };
+  try {
+    validateTableConfig(merged);
+    validateLimits(merged.id, merged.limits);
+  } catch (err) {
+    throw configError(err.message);
+  }
+  return merged;
+}
+
+// the parameters that matter to a round (what start_round announces)
+function tableParams(config) {
+  return {
+    name: config.name,
+    mode: config.mode,
+    freezeOffsetMs: config.freezeOffsetMs,
+    resultOffsetMs: config.resultOffsetMs,
+    roundDurationMs: config.roundDurationMs,
+    winMultiplier: config.winMultiplier,
+    limits: config.limits
+  };
+}
+
+const sameParams = (a, b) => JSON.stringify(tableParams(a)) === JSON.stringify(tableParams(b));
+
+// tableId -> override for every stored row
+async function loadOverrides(db) {
+  const [rows] = await db.execute("SELECT * FROM game_config");
+  return new Map(rows.map(r => [r.table_id, rowToOverride(r)]));
+}
+
+// Replace a table's override (fields left out fall back to the static config)
+async function saveOverride(db, tableId, override, adminId = null) {
+  await db.execute(
+    `INSERT INTO game_config (table_id, name, freeze_offset_ms, result_offset_ms, round_duration_ms, win_multiplier, limits, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name), freeze_offset_ms = VALUES(freeze_offset_ms),
+       result_offset_ms = VALUES(result_offset_ms), round_duration_ms = VALUES(round_duration_ms),
+       win_multiplier = VALUES(win_multiplier), limits = VALUES(limits), updated_by = VALUES(updated_by)`,
+    [
+      tableId,
+      override.name ?? null,
+      override.freezeOffsetMs ?? null,
+      override.resultOffsetMs ?? null,
+      override.roundDurationMs ?? null,
+      override.winMultiplier ?? null,
+      override.limits ? JSON.stringify(override.limits) : null,
+      adminId
+    ]
+  );
+}
+
+async function deleteOverride(db, tableId) {
+  const [res] = await db.execute("DELETE FROM game_config WHERE table_id = ?", [tableId]);
+  return res.affectedRows > 0;
+}
+
+module.exports = {
+  GAME_CONFIG_POLL_MS,
+  configError,
+  parseOverride,
+  rowToOverride,
+  mergeTableConfig,
+  tableParams,
+  sameParams,
+  loadOverrides,
+  saveOverride,
+  deleteOverride
+};
@@ -0,0 +1,127 @@
+// ./game/jackpot.js
+// Progressive jackpot, one pool per table, on top of the line payout.
+//
+//   - funding: JACKPOT_CONTRIBUTION_RATE of every accepted submit_final_bets stake moves from
+//     house:game into the pool (jackpots.amount, mirrored by the house:jackpot ledger account);
+//     a refunded stake takes its contribution back out
+//   - trigger: fairness.computeJackpotDraw(seed) < 1 / JACKPOT_ODDS, i.e. a rare draw from the
+//     round's committed seed that anyone can check once the seed is revealed
+//   - payout: everyone with a straight bet on the winning line shares the pool in proportion to that
+//     stake (ledger type `jackpot`); with no such bet the pool rolls over (outside bets never share)
+//
+// Shares are paid in the same transaction as the player's wins, so they are retried with them.
+// Startup recovery (recovery.js) re-runs the draw of a round it settles and pays the shares still
+// owed; a round it refunds has its contributions taken back out of the pool.
+//
+// Table: db/migrations/013_jackpot.js
+const fairness = require("./fairness");
+const ledger = require("../services/ledger");
+const { addCents } = require("./betSlip");
+
+// read when the engine starts; JACKPOT_CONTRIBUTION_RATE=0 switches the jackpot off
+function loadJackpotSettings(env = process.env) {
+  const contributionRate = Number(env.JACKPOT_CONTRIBUTION_RATE ?? 0.01);
+  const odds = Number(env.JACKPOT_ODDS || 1000); // one hit in `odds` rounds on average
+  if (!(contributionRate >= 0 && contributionRate < 1)) throw new Error("JACKPOT_CONTRIBUTION_RATE must be in [0, 1)");
+  if (!(odds >= 1)) throw new Error("JACKPOT_ODDS must be at least 1");
+  return { enabled: contributionRate > 0, contributionRate, odds };
+}
+
+// money is kept in whole cents; rounding down never pays out more than the pool holds
+const floorCents = (n) => Math.floor(Math.round(n * 10000) / 100) / 100;
+
+function contributionFor(totalAmount, rate) {
+  return floorCents(Number(totalAmount) * rate);
+}
+
+function isJackpotHit(f, odds) {
+  return fairness.computeJackpotDraw(f.serverSeed, f.clientSeed, f.nonce) < 1 / odds;
+}
+
+// stakes: Map userId -> stake on the winning line. Returns Map userId -> share (cents, rounded down;
+// the remainder stays in the pool)
+function splitPool(pool, stakes) {
+  const total = [...stakes.values()].reduce((sum, s) => sum + s, 0);
+  const shares = new Map();
+  if (!(pool > 0) || !(total > 0)) return shares;
+  for (const [userId, stake] of stakes) {
+    const share = floorCents(pool * stake / total);
+    if (share > 0) shares.set(userId, share);
+  }
+  return shares;
+}
+
+// tableId -> pool amount; tables without a row get one
+async function loadPools(db, tableIds) {
+  const [rows] = await db.execute("SELECT table_id, amount FROM jackpots");
+  const pools = new Map(rows.map(r => [r.table_id, Number(r.amount)]));
+  for (const tableId of tableIds) {
+    if (pools.has(tableId)) continue;
+    await db.execute("INSERT INTO jackpots (table_id, amount) VALUES (?, 0)", [tableId]);
+    pools.set(tableId, 0);
+  }
+  return pools;
+}
+
+// Move a stake's contribution into the pool (or back out, reverse) on the caller's transaction
+async function fund(conn, { tableId, amount, userId, roundId, reverse = false }) {
+  await conn.execute(
+    `UPDATE jackpots SET amount = amount ${reverse ? "-" : "+"} ? WHERE table_id = ?`,
+    [amount, tableId]
+  );
+  await ledger.postHouse(conn, {
+    type: "jackpot_fund",
+    amount,
+    userId,
+    roundId,
+    reverse,
+    description: `Jackpot ${reverse ? "contribution returned" : "contribution"} round ${roundId} (${tableId})`
+  });
+}
+
+// Credit a winner's share from the pool on the caller's transaction
+async function payShare(conn, { tableId, amount, userId, roundId, betId = null }) {
+  await conn.execute("UPDATE jackpots SET amount = amount - ? WHERE table_id = ?", [amount, tableId]);
+  return ledger.post(conn, {
+    userId,
+    type: "jackpot",
+    amount,
+    roundId,
+    betId,
+    description: `Jackpot share round ${roundId} (${tableId})`
+  });
+}
+
+// Net change of the pool account (house:jackpot) caused by one round's ledger transactions of
+// `entryType` ("jackpot_fund": contributions, positive; "jackpot": shares paid, negative),
+// optionally for a single player
+async function poolMovement(conn, { roundId, entryType, userId = null }) {
+  const [txs] = userId === null
+    ? await conn.execute("SELECT id FROM ledger_transactions WHERE round_id = ? AND entry_type = ?", [roundId, entryType])
+    : await conn.execute("SELECT id FROM ledger_transactions WHERE round_id = ? AND entry_type = ? AND user_id = ?", [roundId, entryType, userId]);
+  let total = 0;
+  for (const tx of txs) {
+    const [entries] = await conn.execute(
+      "SELECT amount FROM ledger_entries WHERE transaction_id = ? AND account = ?",
+      [tx.id, ledger.HOUSE_TRANSFERS.jackpot_fund.to]
+    );
+    for (const e of entries) total = addCents(total, e.amount);
+  }
+  return total;
+}
+
+async function recordHit(db, { tableId, roundId }) {
+  await db.execute("UPDATE jackpots SET last_hit_round_id = ?, last_hit_at = NOW() WHERE table_id = ?", [roundId, tableId]);
+}
+
+module.exports = {
+  loadJackpotSettings,
+  contributionFor,
+  isJackpotHit,
+  splitPool,
+  loadPools,
+  fund,
+  payShare,
+  poolMovement,
+  recordHit
+};
@@ -1,47 +1,149 @@
 // ./game/luckyFive.js
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const tokens = require("../services/tokens");
+const ledger = require("../services/ledger");
+const fairness = require("./fairness");
+const { recoverUnsettledRounds } = require("./recovery");
+const betSlip = require("./betSlip");
+const betTypes = require("./betTypes");
+const { BET_ERROR_CODES, betError, validatePlaceBet, validateSlip, validateClientBets, validateRequestId } = require("./betValidation");
+const { loadTableConfigs, getDefaultTableId, tableRoom } = require("./tables");
+const gameConfig = require("./gameConfig");
+const { createStandaloneElector } = require("./cluster");
+const { ROUND_STATS_INTERVAL_MS, RESULTS_HISTORY_SIZE, computeRoundStats, summarizeResults, pushResult } = require("./roundStats");
+const { ROUND_STATES, PAYOUT_MAX_ATTEMPTS, transitionRound, retryDelay } = require("./roundState");
+const jackpot = require("./jackpot");
+const matrix = require("./matrix");
+const autoBet = require("./autoBet");
+const { accountBlock, blockMessage } = require("../services/accountStatus");
+const rg = require("../services/responsibleGaming");
 
-// Export engine as a function taking io and using existing promisePool from dbConfig
-// Usage: const luckyEngine = require('./game/luckyFive'); luckyEngine(io);
-module.exports = function (io) {
-  const { promisePool } = require("../db/dbConfig");
+// server-to-server events (io.serverSideEmit) used when several instances share one adapter
+const CLUSTER_EVENTS = {
+  COMMAND: "lf:command",         // follower -> leader: a socket's game command
+  ROUND_STATE: "lf:round_state", // leader -> followers: public round timing for /api/tables, debug
+  ADMIN: "lf:admin"              // any instance -> leader: operator action (pause/resume/void/reload_config), acked
+};
+
+// Export engine as a function taking io and its dependencies
+// Usage: const luckyEngine = require('./game/luckyFive'); luckyEngine(io, { promisePool, cluster });
+// `cluster` (see cluster.js) is optional; without it this instance is always the leader.
+// Everything time-, randomness- or DB-related can be injected (tests pass fakes):
+//   promisePool - mysql2 promise pool: execute(), getConnection() (defaults to db/dbConfig)
+//   clock       - { now() } epoch ms
+//   timers      - { setTimeout, clearTimeout, setInterval, clearInterval }
+//   rng         - { randomBytes(n) } source of server seeds and session ids
+//   verifyToken - access token -> decoded payload (defaults to services/tokens)
+//   tables      - table configs (defaults to GAME_TABLES / tables.js)
+module.exports = function (io, options = {}) {
+  const promisePool = options.promisePool || require("../db/dbConfig").promisePool;
 
   if (!promisePool) {
     console.error("❌ DB not connected - game engine aborted");
     return;
   }
 
-  const nowIso = () => new Date().toISOString();
+  const clock = options.clock || { now: () => Date.now() };
+  const timers = options.timers || { setTimeout, clearTimeout, setInterval, clearInterval };
+  const rng = options.rng || crypto;
+  const verifyToken = options.verifyToken || tokens.verifyAccessToken;
+
+  const nowMs = () => clock.now();
+  const nowIso = () => new Date(nowMs()).toISOString();
   const log = (...args) => console.log(`[GAME ${nowIso()}]`, ...args);
 
+  // only the elected leader schedules rounds and picks results; others relay commands to it
+  const cluster = options.cluster || null;
+  const clustered = Boolean(cluster && cluster.adapter);
+  const elector = (cluster && cluster.elector) || createStandaloneElector();
+
   // ---------------- CONFIG (single place to change server timing) ----------------
-  const DEFAULT_TIMER = 30 * 1000;     // 30s in ms (used conceptually)
-  const FREEZE_OFFSET_MS = 25_000;     // freeze at 25s
-  const RESULT_OFFSET_MS = 30_000;     // reveal at 30s
-  const ROUND_DURATION_MS = 40_000;    // next start at start + 40s
-  const WIN_MULTIPLIER = 5;
+  // Timing, multiplier and bet limits live per table (see tables.js / GAME_TABLES env); the
+  // game_config table overrides them at runtime, applied at the next round boundary (gameConfig.js)
+  const TABLE_CONFIGS = loadTableConfigs(options.tables);
+  const DEFAULT_TABLE_ID = getDefaultTableId(TABLE_CONFIGS);
+  const baseConfigs = new Map(TABLE_CONFIGS.map(cfg => [cfg.id, cfg]));
   // ------------------------------------------------------------------------------
 
-  // In-memory round object and timers for scheduled tasks
-  let currentRound = createRound(Date.now());
-  // timers for currentRound: will hold setTimeout ids
-  currentRound.timers = {};
+  // tableId -> table state; each table owns its currentRound and timers
+  const tables = new Map();
+  for (const cfg of TABLE_CONFIGS) {
+    // paused: no new round starts once the current one ends; idle: paused and no round running
+    // recentResults: last RESULTS_HISTORY_SIZE results, newest first (leader only)
+    // pendingConfig: validated game_config change waiting for the next round boundary (leader only)
+    // jackpot: pool amount less shares drawn but not paid yet (followers get it from the leader)
+    const table = { ...cfg, room: tableRoom(cfg.id), currentRound: null, paused: false, idle: false, recentResults: [], pendingConfig: null, jackpot: 0 };
+    table.currentRound = createRound(table, nowMs());
+    tables.set(cfg.id, table);
+  }
+
+  // ---------------- Player sessions ----------------
+  // One session per user on this instance, shared by all of that user's sockets here:
+  // userId -> { sessionId, userId, username, balance, emailVerified, tableId, sockets, expireTimer }.
+  // The client gets sessionId in `authenticated`; reconnecting with auth { token, sessionId } within
+  // SESSION_RESUME_TTL_MS of its last socket dropping resumes the session (same table, current_state
+  // with the slip, and any round results it missed). Cross-instance lookups go through the per-user
+  // room (see userRoom); a reconnect landing on another instance simply starts a new session there.
+  const SESSION_RESUME_TTL_MS = Number(process.env.SESSION_RESUME_TTL_MS || 120_000);
+  const sessions = new Map();
+
+  const sessionFor = (socket) => (socket.data.userId ? sessions.get(socket.data.userId) : undefined);
+
+  // what a relayed command carries (no socket set / timers)
+  const sessionView = (session) => (session ? {
+    sessionId: session.sessionId,
+    userId: session.userId,
+    username: session.username,
+    balance: session.balance,
+    emailVerified: session.emailVerified
+  } : null);
 
-  // session map socketId -> { userId, username, balance }
-  const userSessions = new Map();
+  // Personal round results that found no socket (player offline between freeze and result), kept on
+  // the leader and replayed on the player's next join_game: userId -> [{ payload, queuedAt }]
+  const UNDELIVERED_RESULTS_MAX = Number(process.env.UNDELIVERED_RESULTS_MAX || 20);
+  const UNDELIVERED_RESULTS_TTL_MS = Number(process.env.UNDELIVERED_RESULTS_TTL_MS || 60 * 60 * 1000);
+  const undeliveredResults = new Map();
 
-  // ---------- Helper: create a round object for a given startTime ----------
-  function createRound(startTime) {
-    const s = startTime || Date.now();
+  const userRoom = (userId) => `user:${userId}`;
+
+  // the first of a user's sockets to bet in a round owns the slip for that round; the others only watch
+  const SINGLE_BETTING_DEVICE = process.env.SINGLE_BETTING_DEVICE === "true";
+
+  // progressive jackpot (game/jackpot.js)
+  const JACKPOT = jackpot.loadJackpotSettings();
+  const jackpotAmount = (table) => (JACKPOT.enabled ? table.jackpot : null);
+
+  // auto-bet runs (game/autoBet.js) on this leader: userId -> run
+  const autoBets = new Map();
+
+  // betting needs a verified email unless explicitly switched off (REQUIRE_EMAIL_VERIFICATION=false)
+  const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+
+  // ---------- Helper: create a round object for a given table + startTime ----------
+  function createRound(table, startTime) {
+    const s = startTime || nowMs();
+    // provably fair seed material; nonce is `<tableId>:<roundId>` so tables never share one
+    const f = fairness.createRoundSeed(`${table.id}:${s}`, rng);
     return {
+      table,
       startTime: s,
-      freezeTime: s + FREEZE_OFFSET_MS,
-      resultTime: s + RESULT_OFFSET_MS,
-      endTime: s + ROUND_DURATION_MS,
+      fairness: f,
+      mode: table.mode,
+      // matrix mode: the grid is drawn up front (secret like the seed) and revealed after the freeze
+      matrix: table.mode === "matrix" ? fairness.computeMatrix(f.serverSeed, f.clientSeed, f.nonce) : null,
+      revealedColumns: 0,
+      freezeTime: s + table.freezeOffsetMs,
+      resultTime: s + table.resultOffsetMs,
+      endTime: s + table.roundDurationMs,
+      // payouts use the multiplier the round was announced with, whatever the config does meanwhile
+      winMultiplier: table.winMultiplier,
       persistedRoundId: null,
       winningLine: null,
-      bets: new Map(),       // socketId -> incremental bets while betting open
-      finalBets: new Map(),  // socketId -> snapshot accepted at freeze/submit_final_bets
+      bets: new Map(),       // userId -> authoritative slip built by place_bet while betting open
+      finalBets: new Map(),  // userId -> snapshot accepted at freeze/submit_final_bets
+      bettingDevices: new Map(), // userId -> socketId allowed to bet this round (SINGLE_BETTING_DEVICE)
+      state: ROUND_STATES.OPEN, // see game/roundState.js
+      voided: false,
       timers: {}
     };
   }
@@ -51,12 +153,13 @@ module.exports = function (io) {
     try {
       const conn = await promisePool.getConnection();
       try {
+        const f = round.fairness;
         const [res] = await conn.execute(
-          "INSERT INTO game_rounds (start_time) VALUES (?)",
-          [new Date(round.startTime)]
+          "INSERT INTO game_rounds (table_id, start_time, server_seed, server_seed_hash, client_seed, nonce, win_multiplier, mode) VALUES (?,?,?,?,?,?,?,?)",
+          [round.table.id, new Date(round.startTime), f.serverSeed, f.serverSeedHash, f.clientSeed, f.nonce, round.winMultiplier, round.mode]
         );
         round.persistedRoundId = res.insertId;
-        log("persistRoundStart -> id=", res.insertId);
+        log("persistRoundStart -> id=", res.insertId, "table=", round.table.id);
       } finally {
         conn.release();
       }
@@ -65,46 +168,139 @@ module.exports = function (io) {
     }
   }
 
+  // throws on failure; the caller retries (see withRetries) and voids the round if it never lands
   async function persistRoundResult(round) {
+    const storedMatrix = round.matrix ? JSON.stringify(round.matrix) : null;
+    const conn = await promisePool.getConnection();
     try {
       if (!round.persistedRoundId) {
         // fallback insert
-        const conn = await promisePool.getConnection();
-        try {
-          const [res] = await conn.execute(
-            "INSERT INTO game_rounds (start_time, end_time, winning_line) VALUES (?,?,?)",
-            [new Date(round.startTime), new Date(round.endTime), round.winningLine]
-          );
-          round.persistedRoundId = res.insertId;
-          log("persistRoundResult fallback insert -> id=", res.insertId);
-        } finally {
-          conn.release();
-        }
+        const f = round.fairness;
+        const [res] = await conn.execute(
+          "INSERT INTO game_rounds (table_id, start_time, end_time, winning_line, server_seed, server_seed_hash, client_seed, nonce, win_multiplier, mode, matrix) VALUES (?,?,?,?,?,?,?,?,?,?,?)",
+          [round.table.id, new Date(round.startTime), new Date(round.endTime), round.winningLine, f.serverSeed, f.serverSeedHash, f.clientSeed, f.nonce, round.winMultiplier, round.mode, storedMatrix]
+        );
+        round.persistedRoundId = res.insertId;
+        log("persistRoundResult fallback insert -> id=", res.insertId);
         return;
       }
 
-      const conn = await promisePool.getConnection();
+      await conn.execute(
+        "UPDATE game_rounds SET end_time = ?, winning_line = ?, matrix = ? WHERE id = ?",
+        [new Date(round.endTime), round.winningLine, storedMatrix, round.persistedRoundId]
+      );
+      log("persistRoundResult update done -> id=", round.persistedRoundId);
+    } finally {
+      conn.release();
+    }
+  }
+
+  const sleep = (ms) => new Promise(resolve => timers.setTimeout(resolve, ms));
+
+  // run fn up to PAYOUT_MAX_ATTEMPTS times with exponential backoff; rethrows the last error
+  async function withRetries(label, fn) {
+    for (let attempt = 1; ; attempt++) {
       try {
-        await conn.execute(
-          "UPDATE game_rounds SET end_time = ?, winning_line = ? WHERE id = ?",
-          [new Date(round.endTime), round.winningLine, round.persistedRoundId]
-        );
-        log("persistRoundResult update done -> id=", round.persistedRoundId);
-      } finally {
-        conn.release();
+        return await fn();
+      } catch (err) {
+        if (attempt >= PAYOUT_MAX_ATTEMPTS || !elector.isLeader()) throw err;
+        console.error(`[GAME] ${label} failed (attempt ${attempt}/${PAYOUT_MAX_ATTEMPTS}), retrying:`, err.message);
+        await sleep(retryDelay(attempt));
       }
+    }
+  }
+
+  // ---------- Cluster mirror ----------
+  // Followers keep a seedless copy of each table's round so /api/tables and the debug endpoint work anywhere
+  function publishRoundState(round) {
+    if (!clustered) return;
+    io.serverSideEmit(CLUSTER_EVENTS.ROUND_STATE, {
+      tableId: round.table.id,
+      startTime: round.startTime,
+      freezeTime: round.freezeTime,
+      resultTime: round.resultTime,
+      endTime: round.endTime,
+      persistedRoundId: round.persistedRoundId,
+      winningLine: round.winningLine,
+      state: round.state,
+      voided: round.voided,
+      paused: round.table.paused,
+      idle: round.table.idle,
+      jackpot: round.table.jackpot,
+      config: gameConfig.tableParams(round.table),
+      fairness: {
+        serverSeedHash: round.fairness.serverSeedHash,
+        clientSeed: round.fairness.clientSeed,
+        nonce: round.fairness.nonce
+      }
+    });
+  }
+
+  function applyRoundState(state) {
+    const table = tables.get(state.tableId);
+    if (!table || elector.isLeader()) return;
+    // a new leader keeps honouring an operator's pause
+    table.paused = Boolean(state.paused);
+    table.idle = Boolean(state.idle);
+    const { paused, idle, jackpot: pool, config, ...roundState } = state;
+    if (config) Object.assign(table, config);
+    table.jackpot = Number(pool) || 0;
+    table.currentRound = {
+      ...roundState,
+      table,
+      mirror: true,
+      bets: new Map(),
+      finalBets: new Map(),
+      bettingDevices: new Map(),
+      timers: {}
+    };
+  }
+
+  // ---------- Runtime table config ----------
+  // The leader re-reads game_config every GAME_CONFIG_POLL_MS (and on an admin reload) and stages
+  // valid changes; they take effect when the next round is created, never mid-round.
+  let configPollTimer = null;
+
+  async function refreshTableConfigs() {
+    let overrides;
+    try {
+      overrides = await gameConfig.loadOverrides(promisePool);
     } catch (err) {
-      console.error("[DB] persistRoundResult error:", err);
+      console.error("[CONFIG] loading game_config failed:", err);
+      return;
     }
+    for (const table of tables.values()) {
+      let next;
+      try {
+        next = gameConfig.mergeTableConfig(baseConfigs.get(table.id), overrides.get(table.id));
+      } catch (err) {
+        console.error(`[CONFIG] rejected game_config for table ${table.id}: ${err.message}`);
+        continue;
+      }
+      if (gameConfig.sameParams(next, table.pendingConfig || table)) continue;
+      table.pendingConfig = gameConfig.sameParams(next, table) ? null : next;
+      if (table.pendingConfig) log("table config staged for next round", { table: table.id, ...gameConfig.tableParams(next) });
+    }
+  }
+
+  // round boundary: true when a staged config was applied to the table
+  function applyPendingConfig(table) {
+    const next = table.pendingConfig;
+    if (!next) return false;
+    table.pendingConfig = null;
+    Object.assign(table, gameConfig.tableParams(next));
+    log("table config applied", { table: table.id, ...gameConfig.tableParams(table) });
+    return true;
   }
 
   // ---------- Scheduling helpers ----------
   function scheduleRoundTimers(round) {
-    const now = Date.now();
+    const now = nowMs();
+    publishRoundState(round);
 
     // start_round should be emitted at round.startTime
     const startDelay = Math.max(0, round.startTime - now);
-    round.timers.start = setTimeout(() => {
+    round.timers.start = timers.setTimeout(() => {
       try {
         emitStartRound(round);
       } catch (e) {
@@ -114,7 +310,7 @@ module.exports = function (io) {
 
     // freeze_bets at freezeTime
     const freezeDelay = Math.max(0, round.freezeTime - now);
-    round.timers.freeze = setTimeout(() => {
+    round.timers.freeze = timers.setTimeout(() => {
       try {
         emitFreezeBets(round);
       } catch (e) {
@@ -122,9 +318,22 @@ module.exports = function (io) {
       }
     }, freezeDelay);
 
+    // matrix mode: reveal_column for each column between freeze and result
+    if (round.matrix) {
+      matrix.revealTimes(round.freezeTime, round.resultTime).forEach((at, i) => {
+        round.timers[`reveal${i + 1}`] = timers.setTimeout(() => {
+          try {
+            emitRevealColumn(round, i + 1);
+          } catch (e) {
+            console.error("[GAME] emitRevealColumn error", e);
+          }
+        }, Math.max(0, at - now));
+      });
+    }
+
     // result at resultTime
     const resultDelay = Math.max(0, round.resultTime - now);
-    round.timers.result = setTimeout(() => {
+    round.timers.result = timers.setTimeout(() => {
       try {
         emitRoundResultAndProcess(round);
       } catch (e) {
@@ -133,6 +342,7 @@ module.exports = function (io) {
     }, resultDelay);
 
     log("Scheduled timers", {
+      table: round.table.id,
       startIn_ms: startDelay,
       freezeIn_ms: freezeDelay,
       resultIn_ms: resultDelay,
@@ -143,312 +353,1532 @@ module.exports = function (io) {
   function clearRoundTimers(round) {
     if (!round || !round.timers) return;
     for (const k of Object.keys(round.timers)) {
-      try { clearTimeout(round.timers[k]); } catch (e) {}
+      try { timers.clearTimeout(round.timers[k]); } catch (e) {}
     }
     round.timers = {};
   }
 
   // ---------- Emits ----------
   async function emitStartRound(round) {
-    // persist row (non-blocking)
-    persistRoundStart(round).catch(err => console.error(err));
+    // persist row (non-blocking); submit_final_bets awaits this so bets always get a round_id
+    round.persistPromise = persistRoundStart(round).catch(err => console.error(err));
 
-    io.emit("start_round", {
+    io.to(round.table.room).emit("start_round", {
+      tableId: round.table.id,
       roundId: round.startTime,
-      serverTime: Date.now(),
-      freezeIn: Math.max(0, round.freezeTime - Date.now()),
-      resultIn: Math.max(0, round.resultTime - Date.now())
+      serverTime: nowMs(),
+      freezeIn: Math.max(0, round.freezeTime - nowMs()),
+      resultIn: Math.max(0, round.resultTime - nowMs()),
+      // commitment only - the seed itself is revealed in round_result
+      serverSeedHash: round.fairness.serverSeedHash,
+      clientSeed: round.fairness.clientSeed,
+      nonce: round.fairness.nonce,
+      // parameters this round runs with; configChanged = they differ from the previous round
+      config: gameConfig.tableParams(round.table),
+      configChanged: Boolean(round.configChanged),
+      jackpot: jackpotAmount(round.table)
     });
-    log("start_round emitted", { roundId: round.startTime });
+    log("start_round emitted", { table: round.table.id, roundId: round.startTime });
+    round.persistPromise.then(() => publishRoundState(round));
   }
 
   function emitFreezeBets(round) {
-    io.emit("freeze_bets", {
+    if (round.state === ROUND_STATES.OPEN) transitionRound(round, ROUND_STATES.FROZEN);
+    io.to(round.table.room).emit("freeze_bets", {
+      tableId: round.table.id,
       roundId: round.startTime,
-      serverTime: Date.now()
+      serverTime: nowMs()
     });
-    log("freeze_bets emitted", { roundId: round.startTime });
+    log("freeze_bets emitted", { table: round.table.id, roundId: round.startTime });
     // server expects clients to call submit_final_bets which we handle in socket handler
+    runAutoBets(round).catch(err => console.error("[GAME] auto-bet error", err));
   }
 
-  async function emitRoundResultAndProcess(round) {
-    // choose winner (1..5)
+  // matrix mode: show one more column of the grid (submissions are closed from the first one on)
+  function emitRevealColumn(round, column) {
+    if (round.voided || round.winningLine !== null) return;
+    round.revealedColumns = column;
+    io.to(round.table.room).emit("reveal_column", {
+      tableId: round.table.id,
+      roundId: round.startTime,
+      ...matrix.revealedColumn(round.matrix, column),
+      columns: fairness.LINE_COUNT,
+      serverTime: nowMs()
+    });
+    log("reveal_column emitted", { table: round.table.id, roundId: round.startTime, column });
+  }
+
+  // ---------- Live round stats ----------
+  // place_bet marks the round as changed; the table room gets at most one round_stats per
+  // ROUND_STATS_INTERVAL_MS (first change goes out at once, later ones are coalesced)
+  function emitRoundStats(round) {
+    round.statsEmittedAt = nowMs();
+    io.to(round.table.room).emit("round_stats", {
+      tableId: round.table.id,
+      roundId: round.startTime,
+      ...computeRoundStats(round),
+      serverTime: nowMs()
+    });
+  }
+
+  function scheduleRoundStats(round) {
+    if (round.timers.stats) return; // queued emit will include this change
+    const wait = (round.statsEmittedAt ?? -Infinity) + ROUND_STATS_INTERVAL_MS - nowMs();
+    if (wait <= 0) {
+      emitRoundStats(round);
+      return;
+    }
+    round.timers.stats = timers.setTimeout(() => {
+      delete round.timers.stats;
+      if (round.table.currentRound === round && !round.voided) emitRoundStats(round);
+    }, wait);
+  }
+
+  function emitResultsSummary(table) {
+    io.to(table.room).emit("results_summary", {
+      tableId: table.id,
+      ...summarizeResults(table.recentResults),
+      serverTime: nowMs()
+    });
+  }
+
+  // rebuild the rolling window from the DB when this instance starts leading
+  async function loadRecentResults() {
+    for (const table of tables.values()) {
+      try {
+        const [rows] = await promisePool.execute(
+          `SELECT id, winning_line FROM game_rounds WHERE table_id = ? AND winning_line IS NOT NULL AND voided_at IS NULL ORDER BY id DESC LIMIT ${RESULTS_HISTORY_SIZE}`,
+          [table.id]
+        );
+        table.recentResults = rows.map(r => ({ roundId: r.id, winningLine: Number(r.winning_line) }));
+      } catch (err) {
+        console.error("[GAME] loading recent results failed for table", table.id, err);
+      }
+    }
+  }
+
+  // jackpot pools as stored; shares a previous leader drew but never paid are back in the pool
+  async function loadJackpots() {
+    if (!JACKPOT.enabled) return;
     try {
-      round.winningLine = Math.floor(Math.random() * 5) + 1;
-      // persist & compute payouts
-      await persistRoundResult(round);
-      log("persisted round result", { id: round.persistedRoundId, winner: round.winningLine });
+      const pools = await jackpot.loadPools(promisePool, [...tables.keys()]);
+      for (const table of tables.values()) table.jackpot = pools.get(table.id) || 0;
+    } catch (err) {
+      console.error("[GAME] loading jackpot pools failed", err);
+    }
+  }
 
-      // process payouts for every finalBets snapshot
-      for (const [socketId, snapshot] of round.finalBets.entries()) {
-        try {
-          const userId = snapshot.userId;
-          if (!userId) continue;
+  function queueUndeliveredResult(userId, payload) {
+    const now = nowMs();
+    // drop stale queues of players who never came back
+    for (const [id, queue] of undeliveredResults) {
+      const fresh = queue.filter(q => now - q.queuedAt < UNDELIVERED_RESULTS_TTL_MS);
+      if (fresh.length) undeliveredResults.set(id, fresh);
+      else undeliveredResults.delete(id);
+    }
+    const queue = undeliveredResults.get(userId) || [];
+    queue.push({ payload, queuedAt: now });
+    if (queue.length > UNDELIVERED_RESULTS_MAX) queue.splice(0, queue.length - UNDELIVERED_RESULTS_MAX);
+    undeliveredResults.set(userId, queue);
+    log("round_result queued for offline player", { userId, roundId: payload.roundId });
+  }
 
-          const userBets = snapshot.bets || {};
-          const betOnWinningLine = Number(userBets[`line${round.winningLine}`] || 0);
-          const winAmount = betOnWinningLine * WIN_MULTIPLIER;
+  // oldest first, marked replayed so clients don't re-run their result animation
+  function replayUndeliveredResults(ctx, userId) {
+    const queue = undeliveredResults.get(userId);
+    if (!queue) return;
+    undeliveredResults.delete(userId);
+    const now = nowMs();
+    for (const { payload, queuedAt } of queue) {
+      if (now - queuedAt >= UNDELIVERED_RESULTS_TTL_MS) continue;
+      ctx.emit("round_result", { ...payload, replayed: true });
+    }
+    log("replayed undelivered results", { userId, count: queue.length });
+  }
 
-          // process DB transaction per-user (award wins)
-          const conn = await promisePool.getConnection();
-          try {
-            await conn.beginTransaction();
-
-            if (winAmount > 0) {
-              await conn.execute("UPDATE users SET balance = balance + ? WHERE id = ?", [winAmount, userId]);
-              await conn.execute(
-                "INSERT INTO transactions (user_id, amount, type, description) VALUES (?, ?, ?, ?)",
-                [userId, winAmount, "win", `Win on line ${round.winningLine} round ${round.persistedRoundId}`]
-              );
-            }
-
-            await conn.commit();
-          } catch (txErr) {
-            try { await conn.rollback(); } catch (e) {}
-            console.error("[DB] payout tx error for user", userId, txErr);
-          } finally {
-            conn.release();
-          }
+  // fairness fields sent once the result is out (includes the raw server seed)
+  function revealedFairness(round) {
+    const f = round.fairness;
+    return {
+      serverSeed: f.serverSeed,
+      serverSeedHash: f.serverSeedHash,
+      clientSeed: f.clientSeed,
+      nonce: f.nonce
+    };
+  }
 
-          // emit round_result to connected sockets that belong to this user
-          for (const [sId, session] of userSessions.entries()) {
-            if (session.userId === userId) {
-              // fetch fresh balance (best-effort)
-              const [rows] = await promisePool.execute("SELECT balance FROM users WHERE id = ?", [userId]);
-              const newBalance = rows[0]?.balance ?? session.balance;
-
-              io.to(sId).emit("round_result", {
-                roundId: round.persistedRoundId || round.startTime,
-                winningLine: round.winningLine,
-                winAmount,
-                newBalance,
-                serverTime: Date.now()
-              });
-
-              // update server cache
-              session.balance = newBalance;
-              break;
-            }
-          }
-        } catch (innerErr) {
-          console.error("[GAME] Error processing payout for snapshot", innerErr);
-        }
+  // Pay one accepted submission (one transaction per user). Resolves true once it is paid; a failure
+  // is counted on the snapshot and on its player_bets rows and left for the next retry. A snapshot
+  // already being paid (a late commit racing a retry pass) is left to that payout.
+  async function payoutSnapshot(round, snapshot) {
+    if (snapshot.paying) return false;
+    snapshot.paying = true;
+    try {
+      return await paySnapshot(round, snapshot);
+    } finally {
+      snapshot.paying = false;
+    }
+  }
+
+  async function paySnapshot(round, snapshot) {
+    const userId = snapshot.userId;
+    // every bet type settles the same way: one win entry per winning bet (game/betTypes.js)
+    const wins = betTypes.settleSlip(snapshot.bets, round.winningLine, round.winMultiplier);
+    const winAmount = wins.reduce((sum, w) => betSlip.addCents(sum, w.amount), 0);
+    const jackpotWin = snapshot.jackpotWin || 0;
+
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (const win of wins) {
+        await ledger.post(conn, {
+          userId,
+          type: "win",
+          amount: win.amount,
+          roundId: round.persistedRoundId,
+          betId: snapshot.betIds?.[win.key] ?? null,
+          description: `Win on ${win.key} (line ${round.winningLine}) round ${round.persistedRoundId} (${round.table.id})`
+        });
+      }
+      if (jackpotWin > 0) {
+        await jackpot.payShare(conn, {
+          tableId: round.table.id,
+          amount: jackpotWin,
+          userId,
+          roundId: round.persistedRoundId,
+          betId: snapshot.betIds?.[`line${round.winningLine}`] ?? null
+        });
+      }
+      await conn.execute(
+        "UPDATE player_bets SET settled = 1 WHERE round_id = ? AND user_id = ?",
+        [round.persistedRoundId, userId]
+      );
+      await conn.commit();
+    } catch (txErr) {
+      try { await conn.rollback(); } catch (e) {}
+      snapshot.payoutAttempts = (snapshot.payoutAttempts || 0) + 1;
+      console.error("[DB] payout tx error for user", userId, `attempt ${snapshot.payoutAttempts}`, txErr);
+      await promisePool.execute(
+        "UPDATE player_bets SET payout_attempts = payout_attempts + 1, payout_error = ? WHERE round_id = ? AND user_id = ? AND settled = 0",
+        [String(txErr.message).slice(0, 255), round.persistedRoundId, userId]
+      ).catch(err => console.error("[DB] recording payout failure failed for user", userId, err));
+      return false;
+    } finally {
+      conn.release();
+    }
+    snapshot.paid = true;
+
+    try {
+      await sendPersonalResult(round, userId, winAmount, jackpotWin);
+    } catch (err) {
+      console.error("[GAME] Error sending round_result to user", userId, err);
+    }
+    if (snapshot.autoBet) settleAutoBet(round, snapshot, betSlip.addCents(winAmount, jackpotWin));
+    return true;
+  }
+
+  // personal round_result goes to every device of the user (on any instance), or waits for their return
+  async function sendPersonalResult(round, userId, winAmount, jackpotWin) {
+    const session = sessions.get(userId);
+    // fetch fresh balance (best-effort)
+    const [rows] = await promisePool.execute("SELECT balance FROM users WHERE id = ?", [userId]);
+    const newBalance = rows[0]?.balance ?? session?.balance;
+    const personalResult = {
+      tableId: round.table.id,
+      roundId: round.persistedRoundId || round.startTime,
+      winningLine: round.winningLine,
+      matrix: round.matrix,
+      winAmount,
+      jackpotWin,
+      newBalance,
+      serverTime: nowMs(),
+      ...revealedFairness(round)
+    };
+
+    const userSockets = await io.in(userRoom(userId)).fetchSockets();
+    if (userSockets.length > 0) {
+      io.to(userRoom(userId)).emit("round_result", personalResult);
+    } else {
+      queueUndeliveredResult(userId, personalResult);
+    }
+
+    // update server cache (sockets on this instance only)
+    if (session) session.balance = newBalance;
+  }
+
+  // accepted submissions not paid yet (pending = deduction still in flight or rolled back, nothing to pay)
+  const unpaidSnapshots = (round) =>
+    [...round.finalBets.values()].filter(s => s.userId && !s.pending && !s.paid);
+
+  const hasPendingSnapshots = (round) => [...round.finalBets.values()].some(s => s.pending);
+
+  // one payout attempt for everyone still unpaid; true when the round is fully paid. A submission
+  // still committing keeps the round open: handleSubmitFinalBets pays it once it lands.
+  async function payoutPass(round) {
+    for (const snapshot of unpaidSnapshots(round)) {
+      await payoutSnapshot(round, snapshot);
+    }
+    return unpaidSnapshots(round).length === 0 && !hasPendingSnapshots(round);
+  }
+
+  async function markRoundSettled(round) {
+    transitionRound(round, ROUND_STATES.SETTLED);
+    if (!round.persistedRoundId) return;
+    try {
+      await promisePool.execute("UPDATE game_rounds SET settled_at = NOW() WHERE id = ?", [round.persistedRoundId]);
+    } catch (err) {
+      // every bet is settled; startup recovery only has to stamp the round
+      console.error("[DB] marking round settled failed", round.persistedRoundId, err);
+    }
+  }
+
+  // Failed payouts are retried with backoff in the background (the next round doesn't wait for them).
+  // A round that still can't be settled is voided: every stake that was never settled is refunded.
+  async function retrySettlement(round) {
+    for (let attempt = 1; attempt < PAYOUT_MAX_ATTEMPTS; attempt++) {
+      await sleep(retryDelay(attempt));
+      // lost leadership: the new leader's startup recovery settles the round
+      if (!elector.isLeader()) return;
+      log("retrying payouts", { table: round.table.id, id: round.persistedRoundId, attempt: attempt + 1, unpaid: unpaidSnapshots(round).length });
+      if (await payoutPass(round)) {
+        await markRoundSettled(round);
+        return;
       }
+    }
+    console.error("[GAME] round could not be settled, voiding", { table: round.table.id, id: round.persistedRoundId });
+    await closeVoidedRound(round, "settlement_failed");
+  }
+
+  // Jackpot draw for a resolved round: on a hit the pool is split between the straight bets on the
+  // winning line (paid with each player's wins) and reserved off table.jackpot until then
+  async function drawJackpot(round) {
+    const table = round.table;
+    round.jackpot = { hit: false, won: 0 };
+    if (!JACKPOT.enabled || !jackpot.isJackpotHit(round.fairness, JACKPOT.odds)) return;
+
+    const stakes = new Map();
+    for (const snapshot of unpaidSnapshots(round)) {
+      const stake = Number((snapshot.bets || {})[`line${round.winningLine}`] || 0);
+      if (stake > 0) stakes.set(snapshot.userId, stake);
+    }
+    const shares = jackpot.splitPool(table.jackpot, stakes);
+    let won = 0;
+    for (const [userId, share] of shares) {
+      round.finalBets.get(userId).jackpotWin = share;
+      won = betSlip.addCents(won, share);
+    }
+    table.jackpot = betSlip.addCents(table.jackpot, -won);
+    round.jackpot = { hit: true, won };
+    log("jackpot hit", { table: table.id, id: round.persistedRoundId, won, winners: shares.size });
+
+    if (won > 0) {
+      await jackpot.recordHit(promisePool, { tableId: table.id, roundId: round.persistedRoundId })
+        .catch(err => console.error("[DB] recording jackpot hit failed", err));
+    }
+  }
+
+  async function emitRoundResultAndProcess(round) {
+    try {
+      if (round.state === ROUND_STATES.OPEN) transitionRound(round, ROUND_STATES.FROZEN);
+
+      // choose winner (1..5) from the committed seed (the grid's top column in matrix mode)
+      const f = round.fairness;
+      round.winningLine = fairness.computeRoundResult(f.serverSeed, f.clientSeed, f.nonce, round.mode).winningLine;
+      if (round.matrix) round.revealedColumns = fairness.LINE_COUNT;
+      try {
+        await withRetries("persistRoundResult", () => persistRoundResult(round));
+      } catch (err) {
+        // lost leadership while retrying: the new leader's startup recovery owns the round now
+        if (!elector.isLeader()) return;
+        // no stored result means nobody can be paid: cancel the round and give the stakes back
+        console.error("[DB] round result could not be stored, voiding round", err);
+        round.winningLine = null;
+        await closeVoidedRound(round, "result_not_stored");
+        return;
+      }
+      transitionRound(round, ROUND_STATES.RESOLVED);
+      log("persisted round result", { id: round.persistedRoundId, winner: round.winningLine });
+      await drawJackpot(round);
+
+      // process payouts for every finalBets snapshot
+      const settled = await payoutPass(round);
+      if (settled) await markRoundSettled(round);
 
-      // For any players who didn't submit finalBets (or guests), still broadcast round_result globally
-      io.emit("round_result", {
+      // For any players who didn't submit finalBets (or guests), still broadcast round_result to the table
+      io.to(round.table.room).emit("round_result", {
+        tableId: round.table.id,
         roundId: round.persistedRoundId || round.startTime,
         winningLine: round.winningLine,
-        serverTime: Date.now()
+        mode: round.mode,
+        matrix: round.matrix,
+        // pool after this round; hit/won = the jackpot draw and what it paid out
+        jackpot: JACKPOT.enabled ? { amount: round.table.jackpot, ...round.jackpot } : null,
+        serverTime: nowMs(),
+        ...revealedFairness(round)
       });
 
-      log("round_result emitted", { roundId: round.startTime, winningLine: round.winningLine });
+      log("round_result emitted", { table: round.table.id, roundId: round.startTime, winningLine: round.winningLine });
+
+      pushResult(round.table.recentResults, { roundId: round.persistedRoundId || round.startTime, winningLine: round.winningLine });
+      emitResultsSummary(round.table);
+
+      if (!settled) {
+        retrySettlement(round).catch(err => console.error("[GAME] settlement retry error", err));
+      }
     } catch (err) {
       console.error("[GAME] Error in result processing:", err);
     } finally {
+      // lost leadership mid-round: the new leader recovers this round and drives the clock
+      if (!elector.isLeader()) {
+        clearRoundTimers(round);
+        return;
+      }
+
       // After processing result, schedule the next round in a deterministic way:
-      // nextStart = previousStart + ROUND_DURATION_MS
-      const nextStart = round.startTime + ROUND_DURATION_MS;
+      // nextStart = previousStart + table.roundDurationMs
+      const table = round.table;
+      const nextStart = round.startTime + table.roundDurationMs;
       // Clean up timers for completed round to avoid leaks
       clearRoundTimers(round);
 
-      // prepare next round with deterministic startTime
-      const nextRound = createRound(nextStart);
-      currentRound = nextRound;
-      log("scheduling next round", { nextStart: new Date(nextStart).toISOString() });
-      scheduleRoundTimers(currentRound);
+      // paused by an operator: this was the last round until resume
+      if (table.paused) {
+        table.idle = true;
+        publishRoundState(round);
+        log("table paused - not scheduling next round", { table: table.id });
+        return;
+      }
+
+      // prepare next round with deterministic startTime (and any staged config change)
+      const configChanged = applyPendingConfig(table);
+      const nextRound = createRound(table, nextStart);
+      nextRound.configChanged = configChanged;
+      table.currentRound = nextRound;
+      log("scheduling next round", { table: table.id, nextStart: new Date(nextStart).toISOString() });
+      scheduleRoundTimers(table.currentRound);
     }
   }
 
-  // ---------- Socket handlers ----------
-  io.on("connection", (socket) => {
-    log("socket connected", socket.id);
+  // table a socket currently plays at (set by join_game, defaults for legacy clients)
+  function tableFor(tableId) {
+    return tables.get(tableId) || tables.get(DEFAULT_TABLE_ID);
+  }
 
-    // authenticate using token (client sends JWT via 'authenticate' event)
-    socket.on("authenticate", async (token) => {
+  // Public summary of a table, used by /api/tables and join_game
+  function describeTable(table) {
+    const r = table.currentRound;
+    const now = nowMs();
+    return {
+      id: table.id,
+      name: table.name,
+      mode: table.mode,
+      roundDurationMs: table.roundDurationMs,
+      freezeOffsetMs: table.freezeOffsetMs,
+      resultOffsetMs: table.resultOffsetMs,
+      winMultiplier: table.winMultiplier,
+      // bet keys with the multiplier each pays at this table
+      bets: betTypes.describeBets(table.winMultiplier),
+      limits: {
+        minStake: table.limits.minStake,
+        maxStake: table.limits.maxStake,
+        maxRoundTotal: table.limits.maxRoundTotal,
+        denominations: table.limits.denominations,
+        lines: table.limits.lines
+      },
+      roundId: r.startTime,
+      roundState: r.state,
+      isBettingOpen: now < r.freezeTime && !r.voided && !table.idle,
+      paused: table.paused,
+      configPending: Boolean(table.pendingConfig),
+      jackpot: jackpotAmount(table),
+      isDefault: table.id === DEFAULT_TABLE_ID
+    };
+  }
+
+  // place_bet failures: keep the legacy ack shape and also send the structured bet_error
+  function rejectPlaceBet(ctx, err, bets) {
+    ctx.emit("place_bet_ack", { success: false, error: err.message, code: err.code, details: err.details, bets });
+    ctx.emit("bet_error", err);
+  }
+
+  // ---------- Command handlers ----------
+  // Game commands run on the leader only. `ctx` is either a local socket or a socket on another
+  // instance whose command was relayed over the cluster bus: { socketId, tableId, session, emit }.
+  function localContext(socket) {
+    return {
+      socketId: socket.id,
+      tableId: socket.data.tableId,
+      session: sessionFor(socket),
+      emit: (event, data) => socket.emit(event, data)
+    };
+  }
+
+  function remoteContext(cmd) {
+    return {
+      socketId: cmd.socketId,
+      tableId: cmd.tableId,
+      session: cmd.session || undefined,
+      emit: (event, data) => io.to(cmd.socketId).emit(event, data)
+    };
+  }
+
+  // reply with current state; clients should ONLY start countdown on start_round (server-driven)
+  // authenticated users also get their slip back (it is keyed by user, so it survives reconnects)
+  function sendCurrentState(ctx) {
+    const table = tableFor(ctx.tableId);
+    const currentRound = table.currentRound;
+    const userId = ctx.session?.userId ?? null;
+    ctx.emit("current_state", {
+      table: describeTable(table),
+      tableId: table.id,
+      roundId: currentRound.startTime,
+      serverTime: nowMs(),
+      freezeIn: Math.max(0, currentRound.freezeTime - nowMs()),
+      resultIn: Math.max(0, currentRound.resultTime - nowMs()),
+      roundState: currentRound.state,
+      isBettingOpen: !(nowMs() >= currentRound.freezeTime) && !currentRound.voided && !table.idle,
+      paused: table.paused,
+      serverSeedHash: currentRound.fairness.serverSeedHash,
+      clientSeed: currentRound.fairness.clientSeed,
+      nonce: currentRound.fairness.nonce,
+      bets: userId ? (currentRound.bets.get(userId) || betSlip.emptySlip()) : null,
+      betsSubmitted: userId ? currentRound.finalBets.has(userId) : false,
+      bettingOnOtherDevice: Boolean(userId && SINGLE_BETTING_DEVICE && currentRound.bettingDevices.has(userId) &&
+        currentRound.bettingDevices.get(userId) !== ctx.socketId),
+      stats: computeRoundStats(currentRound),
+      recentResults: summarizeResults(table.recentResults),
+      jackpot: jackpotAmount(table),
+      // matrix mode: columns revealed so far, null for the rest
+      matrix: matrix.visibleMatrix(currentRound),
+      autoBet: userId && autoBets.has(userId) ? autoBet.describeAutoBet(autoBets.get(userId)) : null
+    });
+    log("join_game responded to", ctx.socketId, "table=", table.id);
+    if (userId) replayUndeliveredResults(ctx, userId);
+  }
+
+  // SINGLE_BETTING_DEVICE: claim the round's slip for this socket, or refuse if another device has it.
+  // The claim is dropped when the owning socket disconnects, so another device can carry on.
+  function claimBettingDevice(round, userId, socketId) {
+    if (!SINGLE_BETTING_DEVICE) return null;
+    const owner = round.bettingDevices.get(userId);
+    if (owner && owner !== socketId) {
+      return betError(BET_ERROR_CODES.OTHER_DEVICE_ACTIVE, "Bets are being placed from another device");
+    }
+    round.bettingDevices.set(userId, socketId);
+    return null;
+  }
+
+  function releaseBettingDevice(ctx) {
+    const userId = ctx.session?.userId;
+    if (!userId) return;
+    for (const table of tables.values()) {
+      const devices = table.currentRound.bettingDevices;
+      if (devices && devices.get(userId) === ctx.socketId) devices.delete(userId);
+    }
+  }
+
+  // incremental place_bet while betting open (server doesn't deduct balance here until submit_final_bets)
+  // the resulting slip is authoritative: submit_final_bets deducts exactly this
+  function handlePlaceBet(ctx, data) {
+    try {
+      const session = ctx.session;
+      if (!session || !session.userId) {
+        rejectPlaceBet(ctx, betError(BET_ERROR_CODES.NOT_AUTHENTICATED, "Not authenticated"));
+        return;
+      }
+      if (REQUIRE_EMAIL_VERIFICATION && !session.emailVerified) {
+        rejectPlaceBet(ctx, betError(BET_ERROR_CODES.EMAIL_NOT_VERIFIED, "Verify your email to place bets"));
+        return;
+      }
+      const userId = session.userId;
+      const table = tableFor(ctx.tableId);
+      const currentRound = table.currentRound;
+      if (table.idle) {
+        rejectPlaceBet(ctx, betError(BET_ERROR_CODES.TABLE_PAUSED, "Table paused"), currentRound.bets.get(userId) || betSlip.emptySlip());
+        return;
+      }
+      if (nowMs() >= currentRound.freezeTime || currentRound.voided || currentRound.finalBets.has(userId)) {
+        rejectPlaceBet(ctx, betError(BET_ERROR_CODES.BETTING_CLOSED, "Betting closed"), currentRound.bets.get(userId) || betSlip.emptySlip());
+        return;
+      }
+
+      const deviceErr = claimBettingDevice(currentRound, userId, ctx.socketId);
+      if (deviceErr) {
+        rejectPlaceBet(ctx, deviceErr, currentRound.bets.get(userId) || betSlip.emptySlip());
+        return;
+      }
+
+      const betsObj = betSlip.getSlip(currentRound, userId);
+      const invalid = validatePlaceBet(betsObj, data, table.limits);
+      if (invalid) {
+        rejectPlaceBet(ctx, invalid, betsObj);
+        log("place_bet rejected", { userId, code: invalid.code });
+        return;
+      }
+
+      const { line, amount, operation } = data;
+      if (operation === "add") {
+        betsObj[line] = (betsObj[line] || 0) + Number(amount);
+      } else if (operation === "remove") {
+        betsObj[line] = 0;
+      }
+      ctx.emit("place_bet_ack", { success: true, bets: betsObj });
+      log("place_bet updated for user", userId, "table=", table.id, betsObj);
+      scheduleRoundStats(currentRound);
+    } catch (err) {
+      console.error("[SOCKET] place_bet error", err);
+      rejectPlaceBet(ctx, betError(BET_ERROR_CODES.SERVER_ERROR, "server error"));
+    }
+  }
+
+  // A submission for this (round, user) is already in bet_submissions (committed by a request this
+  // instance no longer tracks): the same requestId gets the stored response, anything else is refused
+  async function answerStoredSubmission(ctx, round, userId, requestId) {
+    const [rows] = await promisePool.execute(
+      "SELECT request_id, response FROM bet_submissions WHERE round_id = ? AND user_id = ?",
+      [round.persistedRoundId, userId]
+    );
+    const stored = rows[0];
+    log("submit_final_bets hit stored submission", { userId, roundId: round.persistedRoundId, requestId, stored: stored ? stored.request_id : null });
+    if (stored && requestId && stored.request_id === requestId) {
+      ctx.emit("bet_accepted", { ...JSON.parse(stored.response), duplicate: true });
+      return;
+    }
+    ctx.emit("bet_error", betError(BET_ERROR_CODES.ALREADY_SUBMITTED, "Bets already submitted"));
+  }
+
+  // A stored submission with this requestId (any round): replays its bet_accepted, false if none
+  async function replayStoredRequest(ctx, userId, requestId) {
+    const [rows] = await promisePool.execute(
+      "SELECT response FROM bet_submissions WHERE user_id = ? AND request_id = ? ORDER BY id DESC LIMIT 1",
+      [userId, requestId]
+    );
+    if (!rows.length) return false;
+    ctx.emit("bet_accepted", { ...JSON.parse(rows[0].response), duplicate: true });
+    log("submit_final_bets duplicate request after its round", { userId, requestId });
+    return true;
+  }
+
+  // FINAL SUBMIT: client confirms its slip at freeze_bets (server will deduct & persist).
+  // payload.bets / payload.totalAmount are optional and only cross-checked against the server slip.
+  // payload.requestId (client-generated, reused on retries) makes the submit idempotent: a retry
+  // gets the original bet_accepted back (with duplicate: true) instead of a second deduction.
+  async function handleSubmitFinalBets(ctx, payload) {
+    try {
+      payload = payload || {};
+      const session = ctx.session;
+      if (!session || !session.userId) {
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.NOT_AUTHENTICATED, "Not authenticated"));
+        return;
+      }
+      if (REQUIRE_EMAIL_VERIFICATION && !session.emailVerified) {
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.EMAIL_NOT_VERIFIED, "Verify your email to place bets"));
+        return;
+      }
+      const userId = session.userId;
+      const table = tableFor(ctx.tableId);
+      const round = table.currentRound;
+
+      const requestIdErr = validateRequestId(payload.requestId);
+      if (requestIdErr) {
+        ctx.emit("bet_error", requestIdErr);
+        return;
+      }
+      const requestId = payload.requestId || null;
+
+      // payload roundId must match currentRound.startTime to accept on-time bets; a retry that
+      // arrives once the next round has started still gets its original answer
+      if (String(payload.roundId) !== String(round.startTime)) {
+        if (requestId && await replayStoredRequest(ctx, userId, requestId)) return;
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.ROUND_MISMATCH, "Round mismatch", { roundId: round.startTime }));
+        log("submit_final_bets rejected round mismatch", { socketId: ctx.socketId, payloadRound: payload.roundId, currentStart: round.startTime });
+        return;
+      }
+
+      // a retry of a submission already taken (checked before BETTING_CLOSED: the retry may
+      // arrive after the freeze, and the client still needs its original answer)
+      const previous = round.finalBets.get(userId);
+      if (requestId && previous && previous.requestId === requestId) {
+        // still committing: its bet_accepted goes to every device of the user, this one included
+        if (!previous.pending) ctx.emit("bet_accepted", { ...previous.response, duplicate: true });
+        log("submit_final_bets duplicate request", { userId, requestId, pending: Boolean(previous.pending) });
+        return;
+      }
+
+      // result already drawn (e.g. the last round before a pause), voided by an operator, or the
+      // matrix reveal has started
+      if (round.winningLine !== null || round.voided || round.revealedColumns > 0) {
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.BETTING_CLOSED, "Betting closed"));
+        return;
+      }
+
+      if (round.finalBets.has(userId)) {
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.ALREADY_SUBMITTED, "Bets already submitted"));
+        return;
+      }
+
+      const deviceErr = claimBettingDevice(round, userId, ctx.socketId);
+      if (deviceErr) {
+        ctx.emit("bet_error", deviceErr);
+        return;
+      }
+
+      const clientErr = validateClientBets(payload.bets);
+      if (clientErr) {
+        ctx.emit("bet_error", clientErr);
+        return;
+      }
+
+      const slip = { ...(round.bets.get(userId) || betSlip.emptySlip()) };
+      const slipErr = validateSlip(slip, table.limits);
+      if (slipErr) {
+        ctx.emit("bet_error", slipErr);
+        log("submit_final_bets rejected invalid slip", { userId, code: slipErr.code });
+        return;
+      }
+
+      const mismatch = betSlip.compareClientSnapshot(slip, payload.bets, payload.totalAmount);
+      if (mismatch) {
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.SLIP_MISMATCH, "Bet slip mismatch", { reason: mismatch, bets: slip }));
+        log("submit_final_bets rejected slip mismatch", { userId, reason: mismatch });
+        return;
+      }
+
+      const totalAmount = betSlip.slipTotal(slip);
+      if (totalAmount <= 0) {
+        // nothing to deduct; ack so existing clients don't treat an empty slip as a failure
+        ctx.emit("bet_accepted", { success: true, newBalance: session.balance, bets: slip, requestId });
+        return;
+      }
+
+      // reserve the submission in the same synchronous step as the ALREADY_SUBMITTED check, before
+      // any await, so a second socket of the same user can't double-deduct. Only this request's own
+      // reservation is ever removed again.
+      const reservation = { userId, bets: slip, totalAmount, requestId, pending: true };
+      round.finalBets.set(userId, reservation);
+      const releaseReservation = () => {
+        if (round.finalBets.get(userId) === reservation) round.finalBets.delete(userId);
+      };
+
+      // make sure the round row exists so player_bets get a round_id (needed for recovery)
+      if (!round.persistedRoundId && round.persistPromise) {
+        await round.persistPromise;
+      }
+      if (!round.persistedRoundId) {
+        releaseReservation();
+        ctx.emit("bet_error", betError(BET_ERROR_CODES.ROUND_NOT_READY, "Round not ready"));
+        log("submit_final_bets rejected, round not persisted", { socketId: ctx.socketId, currentStart: round.startTime });
+        return;
+      }
+
+      // DB transaction: verify balance and deduct
+      let accepted = false;
+      const conn = await promisePool.getConnection();
       try {
-        if (!token) {
-          socket.emit("auth_error", { error: "No token" });
+        await conn.beginTransaction();
+        const [rows] = await conn.execute("SELECT balance FROM users WHERE id = ? FOR UPDATE", [userId]);
+        if (!rows.length) {
+          await conn.rollback();
+          ctx.emit("bet_error", betError(BET_ERROR_CODES.USER_NOT_FOUND, "User not found"));
           return;
         }
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.userId;
-        const [rows] = await promisePool.execute("SELECT id, username, balance FROM users WHERE id = ?", [userId]);
-        if (!rows.length) {
-          socket.emit("auth_error", { error: "User not found" });
+        const currentBalance = Number(rows[0].balance);
+        if (currentBalance < totalAmount) {
+          await conn.rollback();
+          ctx.emit("bet_error", betError(BET_ERROR_CODES.INSUFFICIENT_BALANCE, "Insufficient balance", { balance: currentBalance, required: totalAmount }));
           return;
         }
-        const u = rows[0];
-        userSessions.set(socket.id, { userId: u.id, username: u.username, balance: Number(u.balance) });
-        socket.emit("authenticated", { userId: u.id, balance: Number(u.balance) });
-        log("socket authenticated", { socketId: socket.id, userId: u.id });
+
+        // responsible gaming: exclusion, loss and wager limits (checked under the users row lock)
+        const rgErr = await rg.checkStake(conn, userId, totalAmount, new Date(nowMs()));
+        if (rgErr) {
+          await conn.rollback();
+          ctx.emit("bet_error", rgErr);
+          log("submit_final_bets rejected by player limits", { userId, code: rgErr.code });
+          return;
+        }
+
+        // insert player_bets and deduct each stake through the ledger (one bet entry per line)
+        const betIds = {};
+        let balanceAfter = currentBalance;
+        for (const [line, amt] of Object.entries(slip)) {
+          const amountNum = Number(amt || 0);
+          if (amountNum <= 0) continue;
+          const bet = betTypes.betFor(line);
+          const [betRes] = await conn.execute(
+            "INSERT INTO player_bets (round_id, user_id, line, bet_type, covered_lines, amount) VALUES (?, ?, ?, ?, ?, ?)",
+            [round.persistedRoundId, userId, line, bet.type, bet.lines.join(","), amountNum]
+          );
+          betIds[line] = betRes.insertId;
+          const posted = await ledger.post(conn, {
+            userId,
+            type: "bet",
+            amount: amountNum,
+            roundId: round.persistedRoundId,
+            betId: betRes.insertId,
+            description: `Bet ${line} on round ${round.persistedRoundId} (${table.id})`
+          });
+          balanceAfter = posted.balanceAfter;
+        }
+
+        const jackpotContribution = JACKPOT.enabled ? jackpot.contributionFor(totalAmount, JACKPOT.contributionRate) : 0;
+        if (jackpotContribution > 0) {
+          await jackpot.fund(conn, { tableId: table.id, amount: jackpotContribution, userId, roundId: round.persistedRoundId });
+        }
+
+        // the unique keys on bet_submissions are the last line of defence against a double
+        // charge: a second submission for this (round, user) fails here and rolls everything back
+        const response = { success: true, newBalance: balanceAfter, bets: slip, requestId };
+        await conn.execute(
+          "INSERT INTO bet_submissions (user_id, round_id, request_id, total_amount, response) VALUES (?, ?, ?, ?, ?)",
+          [userId, round.persistedRoundId, requestId, totalAmount, JSON.stringify(response)]
+        );
+
+        await conn.commit();
+        accepted = true;
+
+        // store final snapshot in memory (for computing payouts)
+        round.finalBets.set(userId, {
+          userId,
+          bets: slip,
+          betIds,
+          totalAmount,
+          requestId,
+          response,
+          jackpotContribution
+        });
+        if (jackpotContribution > 0) table.jackpot = betSlip.addCents(table.jackpot, jackpotContribution);
+
+        // update session balance cache
+        session.balance = balanceAfter;
+
+        // every device of the user learns the slip is in and sees the new balance
+        io.to(userRoom(userId)).emit("bet_accepted", response);
+        pushBalance(userId, balanceAfter, "bet");
+        log("final bets accepted for user", userId, "table=", table.id, totalAmount);
+
+        // the round was voided while this deduction was committing: give it straight back;
+        // its result came out meanwhile: pay it now (the round stays unsettled until it is paid)
+        if (round.voided) {
+          await refundSnapshot(round, round.finalBets.get(userId), round.voidReason)
+            .catch(err => console.error("[DB] void refund error for user", userId, err));
+        } else if (round.winningLine !== null) {
+          await payoutSnapshot(round, round.finalBets.get(userId))
+            .catch(err => console.error("[DB] late payout error for user", userId, err));
+        }
+      } catch (txErr) {
+        try { await conn.rollback(); } catch (e) {}
+        if (txErr.code === "ER_DUP_ENTRY") {
+          await answerStoredSubmission(ctx, round, userId, requestId);
+        } else {
+          console.error("[DB] submit_final_bets tx error:", txErr);
+          ctx.emit("bet_error", betError(BET_ERROR_CODES.SERVER_ERROR, "Server DB error"));
+        }
+      } finally {
+        if (!accepted) releaseReservation();
+        try { conn.release(); } catch (e) {}
+      }
+    } catch (err) {
+      console.error("[SOCKET] submit_final_bets error", err);
+      ctx.emit("bet_error", betError(BET_ERROR_CODES.SERVER_ERROR, "Server error"));
+    }
+  }
+
+  // ---------- Auto-bet ----------
+  // progress goes to every device of the player; an offline player sees the run in current_state
+  function emitAutoBetStatus(userId, run, extra = {}) {
+    io.to(userRoom(userId)).emit("auto_bet_status", { ...autoBet.describeAutoBet(run), ...extra, serverTime: nowMs() });
+  }
+
+  function stopAutoBet(userId, reason, error = null) {
+    const run = autoBets.get(userId);
+    if (!run) return;
+    autoBets.delete(userId);
+    run.stopReason = reason;
+    emitAutoBetStatus(userId, run, { reason, error });
+    log("auto-bet stopped", { userId, reason, rounds: run.rounds, net: run.net });
+  }
+
+  // the slip of the player's newest accepted submission (any table)
+  async function lastAcceptedSlip(userId) {
+    const [rows] = await promisePool.execute(
+      "SELECT response FROM bet_submissions WHERE user_id = ? ORDER BY id DESC LIMIT 1",
+      [userId]
+    );
+    if (!rows.length) return null;
+    return JSON.parse(rows[0].response).bets || null;
+  }
+
+  async function handleAutoBetStart(ctx, payload) {
+    try {
+      const session = ctx.session;
+      if (!session || !session.userId) {
+        ctx.emit("auto_bet_error", betError(BET_ERROR_CODES.NOT_AUTHENTICATED, "Not authenticated"));
+        return;
+      }
+      if (REQUIRE_EMAIL_VERIFICATION && !session.emailVerified) {
+        ctx.emit("auto_bet_error", betError(BET_ERROR_CODES.EMAIL_NOT_VERIFIED, "Verify your email to place bets"));
+        return;
+      }
+      const table = tableFor(ctx.tableId);
+      const lastSlip = await lastAcceptedSlip(session.userId);
+      const err = autoBet.validateAutoBet(payload, table.limits, lastSlip);
+      if (err) {
+        ctx.emit("auto_bet_error", err);
+        return;
+      }
+      // one run per player: a new one replaces the old
+      if (autoBets.has(session.userId)) stopAutoBet(session.userId, autoBet.STOP_REASONS.PLAYER);
+      const run = autoBet.createAutoBet(payload, { tableId: table.id, lastSlip });
+      autoBets.set(session.userId, run);
+      emitAutoBetStatus(session.userId, run);
+      log("auto-bet started", { userId: session.userId, table: table.id, strategy: run.strategy });
+    } catch (err) {
+      console.error("[SOCKET] auto_bet_start error", err);
+      ctx.emit("auto_bet_error", betError(BET_ERROR_CODES.SERVER_ERROR, "Server error"));
+    }
+  }
+
+  function handleAutoBetStop(ctx) {
+    const userId = ctx.session?.userId;
+    if (!userId) return;
+    if (autoBets.has(userId)) stopAutoBet(userId, autoBet.STOP_REASONS.PLAYER);
+    else ctx.emit("auto_bet_status", { active: false, serverTime: nowMs() });
+  }
+
+  // freeze_bets: submit every run at this table, one player after the other
+  async function runAutoBets(round) {
+    for (const [userId, run] of [...autoBets]) {
+      if (run.tableId !== round.table.id) continue;
+      try {
+        await runAutoBet(round, userId, run);
       } catch (err) {
-        console.error("[AUTH] token error:", err);
-        socket.emit("auth_error", { error: "Invalid token" });
+        console.error("[GAME] auto-bet failed for user", userId, err);
       }
+    }
+  }
+
+  async function runAutoBet(round, userId, run) {
+    // the player bet by hand this round: that slip goes in instead (their client submits it)
+    if (round.finalBets.has(userId) || betSlip.slipTotal(round.bets.get(userId)) > 0) {
+      emitAutoBetStatus(userId, run, { skippedRoundId: round.startTime });
+      return;
+    }
+
+    const [rows] = await promisePool.execute(
+      "SELECT balance, email_verified_at, status, status_reason, suspended_until FROM users WHERE id = ?",
+      [userId]
+    );
+    if (!rows.length || accountBlock(rows[0])) {
+      stopAutoBet(userId, autoBet.STOP_REASONS.ACCOUNT);
+      return;
+    }
+    const balance = Number(rows[0].balance);
+    const slip = autoBet.nextSlip(run);
+    const reason = autoBet.stopBeforeBet(run, balance, betSlip.slipTotal(slip));
+    if (reason) {
+      stopAutoBet(userId, reason);
+      return;
+    }
+
+    // submitted like a client would: the slip becomes the round's slip and goes through submit_final_bets
+    round.bets.set(userId, { ...betSlip.emptySlip(), ...slip });
+    const requestId = `auto:${round.startTime}`;
+    let rejection = null;
+    const ctx = {
+      socketId: `auto-bet:${userId}`,
+      tableId: run.tableId,
+      session: sessions.get(userId) || { userId, balance, emailVerified: Boolean(rows[0].email_verified_at) },
+      emit: (event, data) => { if (event === "bet_error") rejection = data; }
+    };
+    await handleSubmitFinalBets(ctx, { roundId: round.startTime, requestId });
+
+    if (autoBets.get(userId) !== run) return; // stopped while submitting
+    const snapshot = round.finalBets.get(userId);
+    if (!snapshot || snapshot.pending || snapshot.requestId !== requestId) {
+      stopAutoBet(userId, autoBet.STOP_REASONS.REJECTED, rejection);
+      return;
+    }
+    snapshot.autoBet = run;
+    autoBet.recordBet(run, snapshot.totalAmount);
+    emitAutoBetStatus(userId, run, { betRoundId: round.startTime });
+  }
+
+  // a paid auto-bet round: report it and check the stop conditions
+  function settleAutoBet(round, snapshot, won) {
+    const run = snapshot.autoBet;
+    autoBet.recordResult(run, { roundId: round.persistedRoundId || round.startTime, stake: snapshot.totalAmount, won });
+    if (autoBets.get(snapshot.userId) !== run) return;
+    const reason = autoBet.stopAfterResult(run);
+    if (reason) stopAutoBet(snapshot.userId, reason);
+    else emitAutoBetStatus(snapshot.userId, run);
+  }
+
+  const commandHandlers = {
+    join_game: (ctx) => sendCurrentState(ctx),
+    place_bet: handlePlaceBet,
+    submit_final_bets: handleSubmitFinalBets,
+    release_betting_device: releaseBettingDevice,
+    auto_bet_start: handleAutoBetStart,
+    auto_bet_stop: handleAutoBetStop
+  };
+
+  // run locally when leading, otherwise relay to the leader (which answers the socket through the adapter)
+  function dispatch(socket, event, payload) {
+    if (elector.isLeader()) {
+      return commandHandlers[event](localContext(socket), payload);
+    }
+    io.serverSideEmit(CLUSTER_EVENTS.COMMAND, {
+      event,
+      socketId: socket.id,
+      tableId: socket.data.tableId,
+      session: sessionView(sessionFor(socket)),
+      payload
     });
+  }
+
+  // ---------- Operator actions (admin API) ----------
+  // Error carrying the HTTP status the admin route should answer with
+  function adminError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+
+  function requireTable(tableId) {
+    const table = tables.get(tableId);
+    if (!table) throw adminError("Unknown table", 404);
+    return table;
+  }
+
+  // update the cached balance of this user's sockets on this instance and tell every device
+  function pushBalance(userId, balance, reason) {
+    const session = sessions.get(userId);
+    if (session) session.balance = balance;
+    io.to(userRoom(userId)).emit("balance_update", { balance, reason, serverTime: nowMs() });
+  }
+
+  // Refund whatever this user still has unsettled in the round (player_bets rows are the source of
+  // truth, so running it twice for the same user refunds nothing the second time)
+  async function refundSnapshot(round, snapshot, reason) {
+    const userId = snapshot.userId;
+    let refunded = 0;
+    let balanceAfter = null;
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [bets] = await conn.execute(
+        "SELECT id, line, amount FROM player_bets WHERE round_id = ? AND user_id = ? AND settled = 0 FOR UPDATE",
+        [round.persistedRoundId, userId]
+      );
+      for (const bet of bets) {
+        const posted = await ledger.post(conn, {
+          userId,
+          type: "refund",
+          amount: Number(bet.amount),
+          roundId: round.persistedRoundId,
+          betId: bet.id,
+          description: `Refund ${bet.line} round ${round.persistedRoundId} (voided)`
+        });
+        refunded += Number(bet.amount);
+        balanceAfter = posted.balanceAfter;
+        await conn.execute("UPDATE player_bets SET settled = 1 WHERE id = ?", [bet.id]);
+      }
+      // the stake's jackpot contribution comes back out of the pool with it
+      if (refunded > 0 && snapshot.jackpotContribution > 0) {
+        await jackpot.fund(conn, { tableId: round.table.id, amount: snapshot.jackpotContribution, userId, roundId: round.persistedRoundId, reverse: true });
+      }
+      await conn.commit();
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      throw err;
+    } finally {
+      conn.release();
+    }
 
-    socket.on("join_game", () => {
-      // reply with current state; clients should ONLY start countdown on start_round (server-driven)
-      socket.emit("current_state", {
-        roundId: currentRound.startTime,
-        serverTime: Date.now(),
-        freezeIn: Math.max(0, currentRound.freezeTime - Date.now()),
-        resultIn: Math.max(0, currentRound.resultTime - Date.now()),
-        isBettingOpen: !(Date.now() >= currentRound.freezeTime)
+    if (refunded > 0 && snapshot.jackpotContribution > 0) {
+      round.table.jackpot = betSlip.addCents(round.table.jackpot, -snapshot.jackpotContribution);
+    }
+    if (refunded > 0) {
+      io.to(userRoom(userId)).emit("bet_refunded", {
+        tableId: round.table.id,
+        roundId: round.startTime,
+        amount: refunded,
+        newBalance: balanceAfter,
+        reason: reason || null
       });
-      log("join_game responded to", socket.id);
-    });
+      pushBalance(userId, balanceAfter, "refund");
+      if (snapshot.autoBet && autoBets.get(userId) === snapshot.autoBet) {
+        autoBet.recordRefund(snapshot.autoBet, refunded);
+        emitAutoBetStatus(userId, snapshot.autoBet, { refundedRoundId: round.startTime });
+      }
+    }
+    return refunded;
+  }
+
+  // next round right away, or nothing if the table is paused
+  function startNextRound(table) {
+    if (table.paused) {
+      table.idle = true;
+      publishRoundState(table.currentRound);
+      return;
+    }
+    const configChanged = applyPendingConfig(table);
+    table.currentRound = createRound(table, nowMs());
+    table.currentRound.configChanged = configChanged;
+    scheduleRoundTimers(table.currentRound);
+  }
+
+  // Void a round and refund every stake still unsettled (all of them before the result; after it,
+  // only those whose payout never landed). Anything not refunded here stays unsettled for startup
+  // recovery, which always refunds voided rounds.
+  async function closeVoidedRound(round, reason) {
+    const table = round.table;
+    transitionRound(round, ROUND_STATES.VOIDED);
+    round.voidReason = reason;
+    clearRoundTimers(round);
+    if (round.persistPromise) await round.persistPromise;
+
+    let players = 0;
+    let totalRefunded = 0;
+    let allRefunded = true;
+    for (const snapshot of round.finalBets.values()) {
+      if (snapshot.paid) continue;
+      // a jackpot share that was never paid goes back into the pool
+      if (snapshot.jackpotWin) {
+        table.jackpot = betSlip.addCents(table.jackpot, snapshot.jackpotWin);
+        snapshot.jackpotWin = 0;
+      }
+      // still committing: handleSubmitFinalBets refunds it itself once the deduction lands
+      if (snapshot.pending) {
+        allRefunded = false;
+        continue;
+      }
+      try {
+        const refunded = await refundSnapshot(round, snapshot, reason);
+        if (refunded > 0) players++;
+        totalRefunded += refunded;
+      } catch (err) {
+        allRefunded = false;
+        console.error("[DB] void refund error for user", snapshot.userId, err);
+      }
+    }
 
-    // incremental place_bet while betting open (server doesn't deduct balance here until submit_final_bets)
-    socket.on("place_bet", (data) => {
+    if (round.persistedRoundId) {
       try {
-        const session = userSessions.get(socket.id);
-        const userId = session?.userId ?? null;
-        // create bets object if not present
-        if (!currentRound.bets.has(socket.id)) {
-          currentRound.bets.set(socket.id, { line1: 0, line2: 0, line3: 0, line4: 0, line5: 0 });
-        }
-        const betsObj = currentRound.bets.get(socket.id);
-        const { line, amount, operation } = data || {};
-        if (operation === "add") {
-          betsObj[line] = (betsObj[line] || 0) + Number(amount || 0);
-        } else if (operation === "remove") {
-          betsObj[line] = 0;
-        }
-        currentRound.bets.set(socket.id, betsObj);
-        socket.emit("place_bet_ack", { success: true, bets: betsObj });
-        log("place_bet updated for socket", socket.id, betsObj);
+        await promisePool.execute(
+          "UPDATE game_rounds SET voided_at = NOW(), void_reason = ?, end_time = COALESCE(end_time, NOW()), settled_at = IF(?, NOW(), NULL) WHERE id = ?",
+          [reason, allRefunded ? 1 : 0, round.persistedRoundId]
+        );
       } catch (err) {
-        console.error("[SOCKET] place_bet error", err);
-        socket.emit("place_bet_ack", { success: false, error: "server error" });
+        allRefunded = false;
+        console.error("[DB] marking round voided failed", round.persistedRoundId, err);
       }
+    }
+
+    // a result that was already announced no longer counts
+    const shown = table.recentResults.findIndex(r => r.roundId === (round.persistedRoundId || round.startTime));
+    if (shown !== -1) {
+      table.recentResults.splice(shown, 1);
+      emitResultsSummary(table);
+    }
+
+    io.to(table.room).emit("round_voided", {
+      tableId: table.id,
+      roundId: round.startTime,
+      reason,
+      serverTime: nowMs()
     });
+    log("round voided", { table: table.id, roundId: round.startTime, id: round.persistedRoundId, players, totalRefunded });
+    return { players, totalRefunded, allRefunded };
+  }
 
-    // FINAL SUBMIT: client sends snapshot at freeze_bets (server will deduct & persist)
-    socket.on("submit_final_bets", async (payload) => {
-      try {
-        const session = userSessions.get(socket.id);
-        if (!session || !session.userId) {
-          socket.emit("bet_error", { message: "Not authenticated" });
-          return;
-        }
-        const userId = session.userId;
+  // Cancel the table's current round before its result and refund every accepted submission
+  async function voidRound({ tableId, reason = null }) {
+    const table = requireTable(tableId);
+    const round = table.currentRound;
+    if (table.idle) throw adminError("Table is paused between rounds, nothing to void", 409);
+    if (round.winningLine !== null) throw adminError("Round already has its result", 409);
+    if (round.voided) throw adminError("Round already voided", 409);
 
-        // payload roundId must match currentRound.startTime to accept on-time bets
-        if (String(payload.roundId) !== String(currentRound.startTime)) {
-          socket.emit("bet_error", { message: "Round mismatch" });
-          log("submit_final_bets rejected round mismatch", { socketId: socket.id, payloadRound: payload.roundId, currentStart: currentRound.startTime });
-          return;
-        }
+    const { players, totalRefunded, allRefunded } = await closeVoidedRound(round, reason);
 
-        const bets = payload.bets || {};
-        const totalAmount = Number(payload.totalAmount || Object.values(bets).reduce((s, v) => s + Number(v || 0), 0));
-
-        // DB transaction: verify balance and deduct
-        const conn = await promisePool.getConnection();
-        try {
-          await conn.beginTransaction();
-          const [rows] = await conn.execute("SELECT balance FROM users WHERE id = ? FOR UPDATE", [userId]);
-          if (!rows.length) {
-            await conn.rollback();
-            socket.emit("bet_error", { message: "User not found" });
-            return;
-          }
-          const currentBalance = Number(rows[0].balance);
-          if (currentBalance < totalAmount) {
-            await conn.rollback();
-            socket.emit("bet_error", { message: "Insufficient balance" });
-            return;
-          }
+    startNextRound(table);
+    return {
+      tableId: table.id,
+      roundId: round.startTime,
+      persistedRoundId: round.persistedRoundId,
+      players,
+      totalRefunded,
+      allRefunded
+    };
+  }
 
-          // deduct balance
-          await conn.execute("UPDATE users SET balance = balance - ? WHERE id = ?", [totalAmount, userId]);
+  // Pausing lets the current round finish; no new round starts until resume. No tableId = every table.
+  function pauseTables({ tableId = null, reason = null } = {}) {
+    const targets = tableId ? [requireTable(tableId)] : [...tables.values()];
+    for (const table of targets) {
+      if (table.paused) continue;
+      table.paused = true;
+      io.to(table.room).emit("table_paused", { tableId: table.id, reason, serverTime: nowMs() });
+      publishRoundState(table.currentRound);
+      log("table paused", { table: table.id });
+    }
+    return targets.map(describeTable);
+  }
 
-          // insert transactions and player_bets
-          for (const [line, amt] of Object.entries(bets)) {
-            const amountNum = Number(amt || 0);
-            if (amountNum <= 0) continue;
-            await conn.execute("INSERT INTO transactions (user_id, amount, type, description) VALUES (?, ?, ?, ?)", [userId, amountNum, "bet", `Bet ${line} on round ${currentRound.startTime}`]);
-            await conn.execute("INSERT INTO player_bets (round_id, user_id, line, amount) VALUES (?, ?, ?, ?)", [currentRound.persistedRoundId || null, userId, line, amountNum]);
-          }
+  function resumeTables({ tableId = null } = {}) {
+    const targets = tableId ? [requireTable(tableId)] : [...tables.values()];
+    for (const table of targets) {
+      if (!table.paused) continue;
+      table.paused = false;
+      if (table.idle) {
+        table.idle = false;
+        startNextRound(table);
+      } else {
+        publishRoundState(table.currentRound);
+      }
+      io.to(table.room).emit("table_resumed", { tableId: table.id, serverTime: nowMs() });
+      log("table resumed", { table: table.id });
+    }
+    return targets.map(describeTable);
+  }
 
-          await conn.commit();
+  const adminActions = {
+    pause: pauseTables,
+    resume: resumeTables,
+    void_round: voidRound,
+    reload_config: async () => {
+      await refreshTableConfigs();
+      return [...tables.values()].map(describeTable);
+    }
+  };
 
-          // store final snapshot in memory (for computing payouts)
-          currentRound.finalBets.set(socket.id, {
-            userId,
-            bets,
-            totalAmount
-          });
+  // round state lives on the leader: run there, relaying over the cluster (with an ack) if needed;
+  // the adapter fails the ack with an error if some instance doesn't answer within its request timeout
+  function runOnLeader(action, args) {
+    if (elector.isLeader()) {
+      return Promise.resolve().then(() => adminActions[action](args));
+    }
+    if (!clustered) return Promise.reject(adminError("Game engine is not leading", 503));
 
-          // update session balance cache
-          session.balance = currentBalance - totalAmount;
+    return new Promise((resolve, reject) => {
+      io.serverSideEmit(CLUSTER_EVENTS.ADMIN, { action, args }, (err, replies) => {
+        if (err) return reject(adminError("Leader did not answer", 504));
+        const reply = (replies || []).find(Boolean);
+        if (!reply) return reject(adminError("No leader available", 503));
+        if (reply.error) return reject(adminError(reply.error.message, reply.error.status));
+        resolve(reply.result);
+      });
+    });
+  }
 
-          // ack
-          socket.emit("bet_accepted", { success: true, newBalance: session.balance });
-          log("final bets accepted for user", userId, totalAmount);
-        } catch (txErr) {
-          try { await conn.rollback(); } catch (e) {}
-          console.error("[DB] submit_final_bets tx error:", txErr);
-          socket.emit("bet_error", { message: "Server DB error" });
-        } finally {
-          try { conn.release(); } catch (e) {}
+  // banned / suspended: tell every device of the user, then drop their sockets (all instances)
+  function disconnectUser(userId, payload) {
+    io.to(userRoom(userId)).emit("account_blocked", payload);
+    io.in(userRoom(userId)).disconnectSockets(true);
+  }
+
+  // ---------- Socket authentication ----------
+  // same checks as the HTTP routes (signature, expiry, revoked jti, token version), then the user row
+  async function loadUserForToken(token) {
+    const decoded = await verifyToken(token);
+    const [rows] = await promisePool.execute(
+      "SELECT id, username, balance, email_verified_at, status, status_reason, suspended_until, exclusion_type, excluded_until, session_reminder_minutes FROM users WHERE id = ?",
+      [decoded.userId]
+    );
+    if (!rows.length) throw tokens.authError("User not found");
+    const block = accountBlock(rows[0]);
+    if (block) throw tokens.authError(blockMessage(block), 403);
+    const exclusion = rg.activeExclusion(rows[0]);
+    if (exclusion) throw tokens.authError(rg.exclusionMessage(exclusion), 403);
+    return rows[0];
+  }
+
+  // Attach the socket to its user's session, resuming it when the client presents the current
+  // sessionId. A session held for resume (no sockets left) is only picked up with its own id;
+  // anything else starts a new one. A user's further devices join the live session unresumed.
+  // Returns the `authenticated` payload.
+  function openSession(socket, u, requestedSessionId = null) {
+    if (socket.data.userId && socket.data.userId !== u.id) detachSocket(socket);
+
+    const emailVerified = Boolean(u.email_verified_at);
+    let session = sessions.get(u.id);
+    const resumed = Boolean(session && requestedSessionId && session.sessionId === requestedSessionId);
+    if (session && !resumed && session.sockets.size === 0) {
+      timers.clearTimeout(session.expireTimer);
+      sessions.delete(u.id);
+      session = null;
+    }
+    if (!session) {
+      session = { sessionId: rng.randomBytes(16).toString("hex"), userId: u.id, tableId: null, sockets: new Set(), expireTimer: null };
+      sessions.set(u.id, session);
+    }
+    timers.clearTimeout(session.expireTimer);
+    session.expireTimer = null;
+    Object.assign(session, { username: u.username, balance: Number(u.balance), emailVerified });
+    session.sockets.add(socket.id);
+
+    // per-user room + socket.data make this session visible to every instance (fetchSockets)
+    socket.data.userId = u.id;
+    socket.join(userRoom(u.id));
+    if (resumed && session.tableId && tables.has(session.tableId)) moveToTable(socket, session.tableId);
+    startSessionReminders(socket, u);
+    log("socket authenticated", { socketId: socket.id, userId: u.id, resumed });
+    return { userId: u.id, balance: Number(u.balance), emailVerified, sessionId: session.sessionId, resumed };
+  }
+
+  // last socket gone: keep the session for SESSION_RESUME_TTL_MS so a reconnect can resume it
+  function detachSocket(socket) {
+    const session = sessionFor(socket);
+    if (!session) return;
+    session.sockets.delete(socket.id);
+    if (session.sockets.size > 0) return;
+    timers.clearTimeout(session.expireTimer);
+    session.expireTimer = timers.setTimeout(() => {
+      if (session.sockets.size === 0 && sessions.get(session.userId) === session) sessions.delete(session.userId);
+    }, SESSION_RESUME_TTL_MS);
+  }
+
+  // a socket plays at exactly one table at a time
+  function moveToTable(socket, tableId) {
+    if (socket.data.tableId !== tableId) {
+      socket.leave(tableRoom(socket.data.tableId));
+      socket.data.tableId = tableId;
+    }
+    socket.join(tableRoom(tableId));
+  }
+
+  // Reality check: every N minutes (player setting) tell the socket how long it has been playing
+  // and what it wagered / won since connecting
+  function startSessionReminders(socket, u) {
+    timers.clearInterval(socket.data.reminderTimer);
+    const minutes = rg.reminderMinutesFor(u);
+    if (!minutes) return;
+
+    const startedAt = new Date(nowMs());
+    socket.data.reminderTimer = timers.setInterval(async () => {
+      try {
+        const summary = await rg.sessionSummary(promisePool, u.id, startedAt);
+        socket.emit("session_reminder", {
+          sessionStartedAt: startedAt.toISOString(),
+          elapsedMinutes: Math.round((nowMs() - startedAt.getTime()) / 60000),
+          ...summary,
+          serverTime: nowMs()
+        });
+      } catch (err) {
+        console.error("[RG] session reminder error:", err);
+      }
+    }, minutes * 60 * 1000);
+  }
+
+  // Handshake auth: io(url, { auth: { token } }). No token = anonymous connection (spectators and
+  // legacy clients that still use the 'authenticate' event); a bad token refuses the connection.
+  io.use(async (socket, next) => {
+    const token = tokens.tokenFromHandshake(socket.handshake);
+    if (!token) return next();
+    try {
+      socket.data.authUser = await loadUserForToken(token);
+      next();
+    } catch (err) {
+      if (!err.status) console.error("[AUTH] handshake error:", err);
+      const authErr = new Error(err.status ? err.message : "Authentication failed");
+      authErr.data = { code: "AUTH_FAILED" };
+      next(authErr);
+    }
+  });
+
+  // ---------- Socket handlers ----------
+  io.on("connection", (socket) => {
+    log("socket connected", socket.id);
+
+    // everyone starts in the default table room so pre-tables clients keep receiving rounds
+    socket.data.tableId = DEFAULT_TABLE_ID;
+    socket.join(tableRoom(DEFAULT_TABLE_ID));
+
+    // handshake-authenticated sockets are signed in before any game event can arrive
+    // a resumed session goes straight back to its table with a fresh current_state (slip + missed results)
+    if (socket.data.authUser) {
+      const user = openSession(socket, socket.data.authUser, socket.handshake.auth?.sessionId || null);
+      delete socket.data.authUser;
+      socket.emit("authenticated", user);
+      if (user.resumed) dispatch(socket, "join_game");
+    }
+
+    // legacy: authenticate using token sent later via the 'authenticate' event
+    socket.on("authenticate", async (token) => {
+      try {
+        if (!token) {
+          socket.emit("auth_error", { error: "No token" });
+          return;
         }
+        const user = openSession(socket, await loadUserForToken(token));
+        // clients re-send authenticate after verifying their email to refresh emailVerified
+        socket.emit("authenticated", user);
       } catch (err) {
-        console.error("[SOCKET] submit_final_bets error", err);
-        socket.emit("bet_error", { message: "Server error" });
+        if (err.status) {
+          socket.emit("auth_error", { error: err.message });
+          return;
+        }
+        console.error("[AUTH] token error:", err);
+        socket.emit("auth_error", { error: "Invalid token" });
       }
     });
 
+    socket.on("join_game", (payload) => {
+      const requested = payload && payload.tableId;
+      if (requested && !tables.has(requested)) {
+        socket.emit("join_error", { code: "UNKNOWN_TABLE", message: "Unknown table", details: { tableId: requested } });
+        return;
+      }
+
+      const tableId = requested || socket.data.tableId || DEFAULT_TABLE_ID;
+      moveToTable(socket, tableId);
+      const session = sessionFor(socket);
+      if (session) session.tableId = tableId;
+
+      // the slip lives on the leader, so the state reply comes from there
+      dispatch(socket, "join_game");
+    });
+
+    socket.on("place_bet", (data) => dispatch(socket, "place_bet", data));
+
+    socket.on("submit_final_bets", (payload) => dispatch(socket, "submit_final_bets", payload));
+
+    socket.on("auto_bet_start", (payload) => dispatch(socket, "auto_bet_start", payload));
+
+    socket.on("auto_bet_stop", () => dispatch(socket, "auto_bet_stop"));
+
     socket.on("disconnect", () => {
       log("socket disconnected", socket.id);
-      userSessions.delete(socket.id);
-      // do not delete bets in currentRound; user might rejoin and server persists based on finalBets
+      if (SINGLE_BETTING_DEVICE && sessionFor(socket)) dispatch(socket, "release_betting_device");
+      detachSocket(socket);
+      timers.clearInterval(socket.data.reminderTimer);
+      // bets and finalBets are keyed by user and stay in the round; a reconnect picks them up
     });
   });
 
   // ---------- Start engine scheduling ----------
-  // We want deterministic rounds at startTime, startTime + ROUND_DURATION_MS, etc.
-  // If currentRound.startTime is in the past (e.g. first load), normalize to nearest upcoming start slot.
-  (function bootstrap() {
-    const now = Date.now();
-    // if startTime is far in the past, compute a new startTime aligned to now
-    if (currentRound.startTime + ROUND_DURATION_MS <= now) {
-      // align to next slot
-      const slotsPassed = Math.floor((now - currentRound.startTime) / ROUND_DURATION_MS) + 1;
-      const newStart = currentRound.startTime + slotsPassed * ROUND_DURATION_MS;
-      currentRound = createRound(newStart);
-    }
-    log("LuckyFive Engine Started - scheduling first round", {
-      start: new Date(currentRound.startTime).toISOString(),
-      freezeOffsetMs: FREEZE_OFFSET_MS,
-      resultOffsetMs: RESULT_OFFSET_MS,
-      roundDurationMs: ROUND_DURATION_MS
+  // We want deterministic rounds at startTime, startTime + table.roundDurationMs, etc. (per table)
+  // If a table's currentRound.startTime is in the past (e.g. first load), normalize to nearest upcoming start slot.
+  function bootstrap() {
+    const now = nowMs();
+    for (const table of tables.values()) {
+      const duration = table.roundDurationMs;
+      // paused by an operator (possibly on the previous leader): stay idle until resume
+      if (table.paused) {
+        table.idle = true;
+        publishRoundState(table.currentRound);
+        log("LuckyFive table paused - not scheduling", { table: table.id });
+        continue;
+      }
+      // a mirrored round has no seed: a newly elected leader starts a fresh one
+      if (table.currentRound.mirror) {
+        table.currentRound = createRound(table, now);
+      }
+      // nothing has run yet, so a config loaded at startup applies to the first round
+      if (applyPendingConfig(table)) {
+        table.currentRound = createRound(table, table.currentRound.startTime);
+        table.currentRound.configChanged = true;
+      }
+      // if startTime is far in the past, compute a new startTime aligned to now
+      if (table.currentRound.startTime + duration <= now) {
+        // align to next slot
+        const slotsPassed = Math.floor((now - table.currentRound.startTime) / duration) + 1;
+        const newStart = table.currentRound.startTime + slotsPassed * duration;
+        table.currentRound = createRound(table, newStart);
+      }
+      log("LuckyFive table started - scheduling first round", {
+        table: table.id,
+        start: new Date(table.currentRound.startTime).toISOString(),
+        freezeOffsetMs: table.freezeOffsetMs,
+        resultOffsetMs: table.resultOffsetMs,
+        roundDurationMs: duration
+      });
+      scheduleRoundTimers(table.currentRound);
+    }
+  }
+
+  // Stop driving rounds (leadership lost). In-flight rounds stay unsettled for the next leader's recovery.
+  function stopScheduling() {
+    for (const table of tables.values()) {
+      clearRoundTimers(table.currentRound);
+    }
+    // auto-bet runs don't move to the new leader
+    autoBets.clear();
+    timers.clearInterval(configPollTimer);
+    configPollTimer = null;
+  }
+
+  // Settle anything a previous process (or a previous leader) left behind before the first new round starts.
+  // Rounds from before tables existed have no table_id and settle with the default table's multiplier.
+  const winMultiplierFor = (tableId) => (tables.get(tableId) || tables.get(DEFAULT_TABLE_ID)).winMultiplier;
+  function startLeading() {
+    recoverUnsettledRounds({ promisePool, winMultiplierFor, log, jackpotSettings: JACKPOT })
+      .catch(err => console.error("[RECOVERY] startup recovery error:", err))
+      .then(loadRecentResults)
+      .then(loadJackpots)
+      .then(refreshTableConfigs)
+      .finally(() => {
+        if (!elector.isLeader()) return;
+        bootstrap();
+        if (gameConfig.GAME_CONFIG_POLL_MS > 0) {
+          timers.clearInterval(configPollTimer);
+          configPollTimer = timers.setInterval(refreshTableConfigs, gameConfig.GAME_CONFIG_POLL_MS);
+        }
+      });
+  }
+
+  if (clustered) {
+    io.on(CLUSTER_EVENTS.COMMAND, (cmd) => {
+      if (!elector.isLeader() || !commandHandlers[cmd.event]) return;
+      commandHandlers[cmd.event](remoteContext(cmd), cmd.payload);
+    });
+    io.on(CLUSTER_EVENTS.ROUND_STATE, applyRoundState);
+    // followers answer null so the relaying instance knows everyone replied
+    io.on(CLUSTER_EVENTS.ADMIN, ({ action, args }, reply) => {
+      if (!elector.isLeader() || !adminActions[action]) return reply(null);
+      Promise.resolve()
+        .then(() => adminActions[action](args))
+        .then(
+          (result) => reply({ result }),
+          (err) => reply({ error: { message: err.message, status: err.status || 500 } })
+        );
     });
-    scheduleRoundTimers(currentRound);
-  })();
+  }
+
+  elector.start((isLeader) => {
+    log(isLeader ? "elected leader - driving rounds" : "follower - relaying to leader", { node: cluster?.nodeId ?? "standalone" });
+    if (isLeader) startLeading();
+    else stopScheduling();
+  });
 
   // ---------- Optional: debug HTTP endpoint if DEBUG_HTTP_PORT env set ----------
-  // Very simple single-route HTTP server for debugging currentRound summary
+  // Very simple single-route HTTP server for debugging currentRound summary (one entry per table)
   const debugPort = process.env.DEBUG_HTTP_PORT;
   if (debugPort) {
     try {
       const http = require("http");
       const debugServer = http.createServer((req, res) => {
         if (req.method === "GET" && req.url === "/__debug/current_round") {
-          const r = currentRound;
-          const summary = {
-            startTime: r.startTime,
-            now: Date.now(),
-            freezeTime: r.freezeTime,
-            resultTime: r.resultTime,
-            endTime: r.endTime,
-            persistedRoundId: r.persistedRoundId,
-            winningLine: r.winningLine,
-            betsCount: r.bets.size,
-            finalBetsCount: r.finalBets.size
-          };
+          const summary = [];
+          for (const table of tables.values()) {
+            const r = table.currentRound;
+            summary.push({
+              tableId: table.id,
+              mode: table.mode,
+              startTime: r.startTime,
+              now: nowMs(),
+              freezeTime: r.freezeTime,
+              resultTime: r.resultTime,
+              endTime: r.endTime,
+              persistedRoundId: r.persistedRoundId,
+              winningLine: r.winningLine,
+              state: r.state,
+              betsCount: r.bets.size,
+              finalBetsCount: r.finalBets.size
+            });
+          }
           res.writeHead(200, { "Content-Type": "application/json" });
           res.end(JSON.stringify(summary));
           return;
@@ -465,4 +1895,34 @@ module.exports = function (io) {
   } else {
     log("Debug HTTP endpoint not started (set DEBUG_HTTP_PORT env to enable)");
   }
+
+  // Small handle for HTTP routes (e.g. /api/tables, /api/admin)
+  return {
+    isLeader: () => elector.isLeader(),
+    listTables: () => [...tables.values()].map(describeTable),
+    getTable: (tableId) => (tables.has(tableId) ? describeTable(tables.get(tableId)) : null),
+    admin: {
+      pause: (args) => runOnLeader("pause", args),
+      resume: (args) => runOnLeader("resume", args),
+      voidRound: (args) => runOnLeader("void_round", args),
+      reloadConfig: () => runOnLeader("reload_config"),
+      // effective config of a table with `override` (parsed game_config fields) applied; throws 400 if invalid
+      previewConfig: (tableId, override) => {
+        const base = baseConfigs.get(tableId);
+        if (!base) throw adminError("Unknown table", 404);
+        return gameConfig.tableParams(gameConfig.mergeTableConfig(base, override));
+      },
+      tableConfig: (tableId) => {
+        const table = tables.get(tableId);
+        if (!table) return null;
+        return {
+          static: gameConfig.tableParams(baseConfigs.get(tableId)),
+          current: gameConfig.tableParams(table),
+          pending: table.pendingConfig ? gameConfig.tableParams(table.pendingConfig) : null
+        };
+      },
+      pushBalance,
+      disconnectUser
+    }
+  };
 };
@@ -0,0 +1,44 @@
+// ./game/matrix.js
+// Matrix mode: instead of a bare line number the round draws a LINE_COUNT x MATRIX_ROWS grid of
+// numbers (fairness.computeMatrix) and the winning line is the column with the highest sum. The
+// grid stays on the server until the freeze; the columns are then revealed one by one
+// (`reveal_column`) and round_result follows with the whole grid.
+//
+//   freeze ---- col 1 ---- col 2 ---- ... ---- col 5 ---- result
+//          step       step                          step
+//
+// A revealed column gives the outcome away, so submit_final_bets closes at the first reveal.
+// The grid is stored with the round (game_rounds.mode / matrix, db/migrations/015_matrix_mode.js).
+const { LINE_COUNT } = require("./fairness");
+
+const GAME_MODES = ["classic", "matrix"];
+const DEFAULT_MODE = "classic";
+
+const columnSum = (column) => column.reduce((sum, n) => sum + n, 0);
+
+// absolute times of the reveals of columns 1..LINE_COUNT, evenly spread between freeze and result
+function revealTimes(freezeTime, resultTime) {
+  const step = (resultTime - freezeTime) / (LINE_COUNT + 1);
+  return Array.from({ length: LINE_COUNT }, (_, i) => Math.round(freezeTime + step * (i + 1)));
+}
+
+// reveal_column payload fields for column 1..LINE_COUNT
+function revealedColumn(matrix, column) {
+  const numbers = matrix[column - 1];
+  return { column, numbers, sum: columnSum(numbers) };
+}
+
+// the grid as far as players have seen it: unrevealed columns are null (null outside matrix mode)
+function visibleMatrix(round) {
+  if (!round.matrix) return null;
+  return round.matrix.map((numbers, i) => (i < (round.revealedColumns || 0) ? numbers : null));
+}
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_MODE,
+  columnSum,
+  revealTimes,
+  revealedColumn,
+  visibleMatrix
+};
@@ -0,0 +1,202 @@
+// ./game/recovery.js
+// Startup crash recovery for rounds that never finished settling.
+//
+// A round is "unsettled" when game_rounds.settled_at IS NULL. Bets are deducted at
+// submit_final_bets, so every unsettled player_bets row is money the player is owed
+// either a result or a refund for:
+//   - winning_line already stored  -> pay out the remaining bets with that line
+//   - no winning_line, mode=resolve -> derive the line from the committed seed (and the round's
+//                                     game mode), then pay out
+//   - no winning_line, mode=refund  -> refund every stake (default)
+//   - voided by an operator          -> always refund
+//
+// Columns: db/migrations/003_round_settlement.js (backfills existing rows as settled)
+// and 008_admin_controls.js (voided_at / void_reason). Wins are priced by game/betTypes.js.
+//
+// The progressive jackpot (game/jackpot.js) is settled too: a resolved round whose seed proves a
+// hit pays the shares its players are still owed, and a refunded round takes their stakes'
+// contributions back out of the pool.
+const fairness = require("./fairness");
+const betTypes = require("./betTypes");
+const betSlip = require("./betSlip");
+const jackpot = require("./jackpot");
+const ledger = require("../services/ledger");
+
+const RECOVERY_MODES = ["refund", "resolve"];
+
+function getRecoveryMode() {
+  const mode = (process.env.RECOVERY_MODE || "refund").toLowerCase();
+  return RECOVERY_MODES.includes(mode) ? mode : "refund";
+}
+
+// Pick the line to settle with, or null when the round should be refunded
+function resolveLineForRound(round, mode) {
+  if (round.voided_at) return null;
+  if (round.winning_line !== null && round.winning_line !== undefined) {
+    return Number(round.winning_line);
+  }
+  if (mode === "resolve" && round.server_seed) {
+    return fairness.computeRoundResult(round.server_seed, round.client_seed, round.nonce, round.mode).winningLine;
+  }
+  return null;
+}
+
+// Jackpot shares owed on a resolved round: re-run the draw and pay the unsettled straight bets on the
+// winning line their part of the pool as it was drawn (what is left plus the shares already paid)
+async function payUnpaidJackpot(conn, round, winningLine, unsettledBets, jackpotSettings) {
+  if (!jackpotSettings.enabled || !round.server_seed || !round.table_id) return 0;
+  const seed = { serverSeed: round.server_seed, clientSeed: round.client_seed, nonce: round.nonce };
+  if (!jackpot.isJackpotHit(seed, jackpotSettings.odds)) return 0;
+
+  const key = `line${winningLine}`;
+  const owed = unsettledBets.filter(b => b.line === key);
+  if (!owed.length) return 0;
+
+  const [pools] = await conn.execute("SELECT amount FROM jackpots WHERE table_id = ? FOR UPDATE", [round.table_id]);
+  if (!pools.length) return 0;
+  let left = Number(pools[0].amount);
+  const alreadyPaid = -(await jackpot.poolMovement(conn, { roundId: round.id, entryType: "jackpot" }));
+
+  const [winningBets] = await conn.execute("SELECT user_id, amount FROM player_bets WHERE round_id = ? AND line = ?", [round.id, key]);
+  const stakes = new Map();
+  for (const b of winningBets) stakes.set(b.user_id, (stakes.get(b.user_id) || 0) + Number(b.amount));
+  const shares = jackpot.splitPool(betSlip.addCents(left, alreadyPaid), stakes);
+
+  let paid = 0;
+  for (const bet of owed) {
+    const share = Math.min(shares.get(bet.user_id) || 0, left);
+    if (!(share > 0)) continue;
+    await jackpot.payShare(conn, { tableId: round.table_id, amount: share, userId: bet.user_id, roundId: round.id, betId: bet.id });
+    left = betSlip.addCents(left, -share);
+    paid = betSlip.addCents(paid, share);
+  }
+  if (paid > 0) await jackpot.recordHit(conn, { tableId: round.table_id, roundId: round.id });
+  return paid;
+}
+
+// Refunded stakes take their jackpot contributions back out of the pool (per player, as posted)
+async function returnContributions(conn, round, refundedBets) {
+  if (!round.table_id) return;
+  for (const userId of new Set(refundedBets.map(b => b.user_id))) {
+    const contribution = await jackpot.poolMovement(conn, { roundId: round.id, entryType: "jackpot_fund", userId });
+    if (contribution > 0) {
+      await jackpot.fund(conn, { tableId: round.table_id, amount: contribution, userId, roundId: round.id, reverse: true });
+    }
+  }
+}
+
+async function settleRound(conn, round, { mode, winMultiplierFor, jackpotSettings, log }) {
+  const winningLine = resolveLineForRound(round, mode);
+  // rounds record their own multiplier; older rows fall back to the table's current one
+  const winMultiplier = round.win_multiplier !== null && round.win_multiplier !== undefined
+    ? Number(round.win_multiplier)
+    : winMultiplierFor(round.table_id);
+
+  const [bets] = await conn.execute(
+    "SELECT id, user_id, line, amount FROM player_bets WHERE round_id = ? AND settled = 0 FOR UPDATE",
+    [round.id]
+  );
+
+  let credited = 0;
+  for (const bet of bets) {
+    const amount = Number(bet.amount);
+    let credit = 0;
+    let type;
+    let description;
+
+    if (winningLine === null) {
+      credit = amount;
+      type = "refund";
+      description = `Refund ${bet.line} round ${round.id} (recovered after restart)`;
+    } else {
+      credit = betTypes.winAmount(bet.line, amount, winningLine, winMultiplier);
+      type = "win";
+      description = `Win on ${bet.line} (line ${winningLine}) round ${round.id} (recovered after restart)`;
+    }
+
+    if (credit > 0) {
+      await ledger.post(conn, { userId: bet.user_id, type, amount: credit, roundId: round.id, betId: bet.id, description });
+      credited += credit;
+    }
+
+    await conn.execute("UPDATE player_bets SET settled = 1 WHERE id = ?", [bet.id]);
+  }
+
+  let jackpotPaid = 0;
+  if (winningLine === null) {
+    await returnContributions(conn, round, bets);
+  } else {
+    jackpotPaid = await payUnpaidJackpot(conn, round, winningLine, bets, jackpotSettings);
+  }
+
+  // a matrix round resolved here gets its grid stored too
+  let matrix = round.matrix ?? null;
+  if (!matrix && winningLine !== null && round.mode === "matrix") {
+    matrix = JSON.stringify(fairness.computeMatrix(round.server_seed, round.client_seed, round.nonce));
+  }
+  await conn.execute(
+    "UPDATE game_rounds SET winning_line = ?, matrix = ?, end_time = COALESCE(end_time, NOW()), settled_at = NOW() WHERE id = ?",
+    [winningLine, matrix, round.id]
+  );
+
+  log("recovered round", {
+    id: round.id,
+    table: round.table_id,
+    action: winningLine === null ? "refund" : "resolve",
+    winningLine,
+    bets: bets.length,
+    credited,
+    jackpotPaid
+  });
+}
+
+// Settle every round left behind by a previous process. Each round runs in its own
+// transaction so one bad round doesn't block the rest.
+// winMultiplierFor(tableId) returns the payout multiplier of the table the round was played on
+// (only used for rounds stored before game_rounds.win_multiplier existed).
+// jackpotSettings: the engine's jackpot.loadJackpotSettings() (read from env when left out).
+async function recoverUnsettledRounds({
+  promisePool,
+  winMultiplierFor,
+  log = console.log,
+  mode = getRecoveryMode(),
+  jackpotSettings = jackpot.loadJackpotSettings()
+}) {
+  const [rounds] = await promisePool.execute(
+    "SELECT id, table_id, winning_line, server_seed, client_seed, nonce, voided_at, win_multiplier, mode, matrix FROM game_rounds WHERE settled_at IS NULL ORDER BY id"
+  );
+
+  if (!rounds.length) {
+    log("recovery: no unsettled rounds");
+    return { recovered: 0, failed: 0 };
+  }
+
+  log(`recovery: ${rounds.length} unsettled round(s), mode=${mode}`);
+
+  let recovered = 0;
+  let failed = 0;
+  for (const round of rounds) {
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await settleRound(conn, round, { mode, winMultiplierFor, jackpotSettings, log });
+      await conn.commit();
+      recovered++;
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      failed++;
+      console.error("[RECOVERY] failed to settle round", round.id, err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { recovered, failed };
+}
+
+module.exports = {
+  RECOVERY_MODES,
+  getRecoveryMode,
+  resolveLineForRound,
+  recoverUnsettledRounds
+};
@@ -0,0 +1,62 @@
+// ./game/roundState.js
+// Round lifecycle. A round only moves forward:
+//
+//   open -> frozen -> resolved -> settled
+//     \        \          \
+//      +--------+----------+--> voided
+//
+//   open     - betting (place_bet / submit_final_bets)
+//   frozen   - freeze_bets sent, waiting for the result
+//   resolved - winning line drawn and stored, payouts in progress (failed ones are retried)
+//   settled  - every accepted submission paid out
+//   voided   - cancelled by an operator, or settlement gave up; unsettled stakes are refunded
+const ROUND_STATES = {
+  OPEN: "open",
+  FROZEN: "frozen",
+  RESOLVED: "resolved",
+  SETTLED: "settled",
+  VOIDED: "voided"
+};
+
+const TRANSITIONS = {
+  open: ["frozen", "voided"],
+  frozen: ["resolved", "voided"],
+  resolved: ["settled", "voided"],
+  settled: [],
+  voided: []
+};
+
+// payout retries: PAYOUT_MAX_ATTEMPTS tries per round, waiting base, 2x base, 4x base... in between
+const PAYOUT_MAX_ATTEMPTS = Number(process.env.PAYOUT_MAX_ATTEMPTS || 5);
+const PAYOUT_RETRY_BASE_MS = Number(process.env.PAYOUT_RETRY_BASE_MS || 500);
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Move round.state forward; throws on an illegal step so a bug can't e.g. pay out a voided round
+function transitionRound(round, to) {
+  if (!canTransition(round.state, to)) {
+    throw new Error(`illegal round transition ${round.state} -> ${to}`);
+  }
+  round.state = to;
+  if (to === ROUND_STATES.VOIDED) round.voided = true;
+  return round;
+}
+
+const isFinalState = (state) => TRANSITIONS[state] && TRANSITIONS[state].length === 0;
+
+// delay before retry number `attempt` (1 = first retry)
+function retryDelay(attempt, base = PAYOUT_RETRY_BASE_MS) {
+  return base * 2 ** (attempt - 1);
+}
+
+module.exports = {
+  ROUND_STATES,
+  PAYOUT_MAX_ATTEMPTS,
+  PAYOUT_RETRY_BASE_MS,
+  canTransition,
+  transitionRound,
+  isFinalState,
+  retryDelay
+};
@@ -0,0 +1,67 @@
+// ./game/roundStats.js
+// Live table statistics: per-line pool totals / player counts for the round in progress
+// (built from the place_bet slips in round.bets) and a rolling summary of recent results.
+const { LINES, slipTotal } = require("./betSlip");
+const { BET_KEYS } = require("./betTypes");
+
+const OUTSIDE_BETS = BET_KEYS.filter(key => !LINES.includes(key));
+
+const ROUND_STATS_INTERVAL_MS = Number(process.env.ROUND_STATS_INTERVAL_MS || 1000);
+const RESULTS_HISTORY_SIZE = Number(process.env.RESULTS_HISTORY_SIZE || 20);
+
+// { lines: { line1: { total, players }, ... }, bets: { odd: { total, players }, ... }, totalStake, activePlayers }
+// (lines = straight bets, bets = the outside bets: odd / even / low / high / splits)
+function computeRoundStats(round) {
+  const lines = {};
+  for (const line of LINES) lines[line] = { total: 0, players: 0 };
+  const bets = {};
+  for (const key of OUTSIDE_BETS) bets[key] = { total: 0, players: 0 };
+
+  let totalStake = 0;
+  let activePlayers = 0;
+  for (const slip of round.bets.values()) {
+    const total = slipTotal(slip);
+    if (total <= 0) continue;
+    activePlayers++;
+    totalStake += total;
+    for (const [key, amount] of Object.entries(slip)) {
+      const value = Number(amount || 0);
+      const entry = lines[key] || bets[key];
+      if (value <= 0 || !entry) continue;
+      entry.total += value;
+      entry.players++;
+    }
+  }
+  return { lines, bets, totalStake, activePlayers };
+}
+
+// results: newest first [{ roundId, winningLine }]; counts how often each line won in the window
+function summarizeResults(results) {
+  const counts = {};
+  for (const line of LINES) counts[line] = 0;
+  for (const r of results) {
+    const key = `line${r.winningLine}`;
+    if (key in counts) counts[key]++;
+  }
+  return {
+    size: results.length,
+    winningLines: results.map(r => r.winningLine),
+    rounds: results.map(r => r.roundId),
+    counts
+  };
+}
+
+// newest first, capped at RESULTS_HISTORY_SIZE
+function pushResult(results, entry, size = RESULTS_HISTORY_SIZE) {
+  results.unshift(entry);
+  if (results.length > size) results.length = size;
+  return results;
+}
+
+module.exports = {
+  ROUND_STATS_INTERVAL_MS,
+  RESULTS_HISTORY_SIZE,
+  computeRoundStats,
+  summarizeResults,
+  pushResult
+};
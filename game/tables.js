@@ -0,0 +1,155 @@
+// ./game/tables.js
+// Table definitions. Every table runs its own round clock, multiplier and bet limits
+// in its own socket.io room (`table:<id>`).
+//
+// Override the whole list with GAME_TABLES (JSON array of the same shape), e.g.
+//   GAME_TABLES='[{"id":"main","name":"Main","freezeOffsetMs":25000,"resultOffsetMs":30000,"roundDurationMs":40000}]'
+// or point GAME_TABLES_FILE at a JSON file holding that array (GAME_TABLES wins if both are set).
+// Per-table changes at runtime go through the game_config table instead (see gameConfig.js).
+// `mode` ("classic" or "matrix", see matrix.js) is static: it can only change with a restart.
+const fs = require("fs");
+const { loadLimits } = require("./betValidation");
+const { BET_KEYS } = require("./betTypes");
+const { GAME_MODES, DEFAULT_MODE } = require("./matrix");
+
+const DEFAULT_TABLES = [
+  {
+    id: "low-stakes",
+    name: "Low stakes 40s",
+    freezeOffsetMs: 25_000,
+    resultOffsetMs: 30_000,
+    roundDurationMs: 40_000,
+    winMultiplier: 5,
+    limits: {}
+  },
+  {
+    id: "high-roller",
+    name: "High roller 60s",
+    freezeOffsetMs: 45_000,
+    resultOffsetMs: 50_000,
+    roundDurationMs: 60_000,
+    winMultiplier: 5,
+    limits: { minStake: 100, maxStake: 50_000, maxRoundTotal: 100_000, denominations: [100, 500, 1000, 5000, 10_000] }
+  },
+  {
+    id: "turbo",
+    name: "Turbo 15s",
+    freezeOffsetMs: 9_000,
+    resultOffsetMs: 11_000,
+    roundDurationMs: 15_000,
+    winMultiplier: 5,
+    limits: {}
+  }
+];
+
+function validateTableConfig(t) {
+  if (!t || typeof t.id !== "string" || !t.id) throw new Error("table needs a string id");
+  const { freezeOffsetMs, resultOffsetMs, roundDurationMs, winMultiplier } = t;
+  for (const [k, v] of Object.entries({ freezeOffsetMs, resultOffsetMs, roundDurationMs, winMultiplier })) {
+    if (!Number.isFinite(v) || v <= 0) throw new Error(`table ${t.id}: ${k} must be a positive number`);
+  }
+  if (!(freezeOffsetMs < resultOffsetMs && resultOffsetMs <= roundDurationMs)) {
+    throw new Error(`table ${t.id}: expected freezeOffsetMs < resultOffsetMs <= roundDurationMs`);
+  }
+  if (t.mode !== undefined && !GAME_MODES.includes(t.mode)) {
+    throw new Error(`table ${t.id}: mode must be one of ${GAME_MODES.join(", ")}`);
+  }
+}
+
+function validateLimits(tableId, limits) {
+  const { minStake, maxStake, maxRoundTotal, denominations } = limits;
+  for (const [k, v] of Object.entries({ minStake, maxStake, maxRoundTotal })) {
+    if (!Number.isFinite(v) || v <= 0) throw new Error(`table ${tableId}: limits.${k} must be a positive number`);
+  }
+  if (minStake > maxStake) throw new Error(`table ${tableId}: limits.minStake is above limits.maxStake`);
+  if (minStake > maxRoundTotal) throw new Error(`table ${tableId}: limits.minStake is above limits.maxRoundTotal`);
+  if (!Array.isArray(denominations) || !denominations.length || !denominations.every(d => Number.isInteger(d) && d > 0)) {
+    throw new Error(`table ${tableId}: limits.denominations must be a list of positive integers`);
+  }
+  validateLineLimits(tableId, limits);
+}
+
+// limits.lines: { <bet key>: { minStake?, maxStake? } }, each bound falling back to the table's own
+function validateLineLimits(tableId, limits) {
+  const { lines } = limits;
+  if (lines === undefined || lines === null) return;
+  if (typeof lines !== "object" || Array.isArray(lines)) throw new Error(`table ${tableId}: limits.lines must be an object`);
+  for (const [key, o] of Object.entries(lines)) {
+    if (!BET_KEYS.includes(key)) throw new Error(`table ${tableId}: limits.lines.${key} is not a bet (${BET_KEYS.join(", ")})`);
+    if (!o || typeof o !== "object" || Array.isArray(o)) throw new Error(`table ${tableId}: limits.lines.${key} must be an object`);
+    const unknown = Object.keys(o).filter(k => k !== "minStake" && k !== "maxStake");
+    if (unknown.length) throw new Error(`table ${tableId}: unknown limits.lines.${key} field(s): ${unknown.join(", ")}`);
+    for (const k of ["minStake", "maxStake"]) {
+      if (o[k] !== undefined && (!Number.isFinite(o[k]) || o[k] <= 0)) {
+        throw new Error(`table ${tableId}: limits.lines.${key}.${k} must be a positive number`);
+      }
+    }
+    const minStake = o.minStake ?? limits.minStake;
+    const maxStake = o.maxStake ?? limits.maxStake;
+    if (minStake > maxStake) throw new Error(`table ${tableId}: limits.lines.${key} minStake is above its maxStake`);
+    if (minStake > limits.maxRoundTotal) throw new Error(`table ${tableId}: limits.lines.${key} minStake is above limits.maxRoundTotal`);
+  }
+}
+
+// raw table list from GAME_TABLES / GAME_TABLES_FILE, or the defaults
+function readConfiguredTables() {
+  const sources = [
+    ["GAME_TABLES", () => process.env.GAME_TABLES],
+    ["GAME_TABLES_FILE", () => fs.readFileSync(process.env.GAME_TABLES_FILE, "utf8")]
+  ];
+  for (const [name, read] of sources) {
+    if (!process.env[name]) continue;
+    try {
+      return JSON.parse(read());
+    } catch (err) {
+      console.error(`[TABLES] invalid ${name}, using defaults:`, err.message);
+      return DEFAULT_TABLES;
+    }
+  }
+  return DEFAULT_TABLES;
+}
+
+// configs: raw table definitions (tests pass their own); GAME_TABLES(_FILE) or the defaults otherwise
+function loadTableConfigs(configs) {
+  if (!configs) configs = readConfiguredTables();
+
+  const seen = new Set();
+  return configs.map((c) => {
+    const t = { winMultiplier: 5, mode: DEFAULT_MODE, ...c };
+    validateTableConfig(t);
+    if (seen.has(t.id)) throw new Error(`duplicate table id ${t.id}`);
+    seen.add(t.id);
+    const limits = loadLimits(t.limits || {});
+    validateLimits(t.id, limits);
+    return {
+      id: t.id,
+      name: t.name || t.id,
+      mode: t.mode,
+      freezeOffsetMs: t.freezeOffsetMs,
+      resultOffsetMs: t.resultOffsetMs,
+      roundDurationMs: t.roundDurationMs,
+      winMultiplier: t.winMultiplier,
+      limits
+    };
+  });
+}
+
+// Table used by clients that call join_game without a tableId (pre-tables clients)
+function getDefaultTableId(tables) {
+  const wanted = process.env.DEFAULT_TABLE_ID;
+  if (wanted && tables.some(t => t.id === wanted)) return wanted;
+  return tables[0].id;
+}
+
+function tableRoom(tableId) {
+  return `table:${tableId}`;
+}
+
+module.exports = {
+  DEFAULT_TABLES,
+  validateTableConfig,
+  validateLimits,
+  loadTableConfigs,
+  getDefaultTableId,
+  tableRoom
+};
@@ -0,0 +1,35 @@
+// ------------------ requireAdmin.js ------------------
+// Express middleware for operator routes: a valid access token (requireAuth) of a user whose
+// users.role is 'admin'. The role is read from the DB on every request, so demoting an admin
+// takes effect immediately. Attaches req.admin = { userId, username }.
+const { promisePool } = require('../db/dbConfig');
+const requireAuth = require('./requireAuth');
+const { ROLES, accountBlock } = require('../services/accountStatus');
+
+async function checkAdmin(req, res, next) {
+  try {
+    const [users] = await promisePool.execute(
+      'SELECT id, username, role, status, suspended_until FROM users WHERE id = ?',
+      [req.user.userId]
+    );
+
+    if (users.length === 0 || users[0].role !== ROLES.ADMIN || accountBlock(users[0])) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    req.admin = { userId: users[0].id, username: users[0].username };
+    return next();
+
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify admin access'
+    });
+  }
+}
+
+module.exports = [requireAuth, checkAdmin];
@@ -0,0 +1,36 @@
+// ------------------ requireAuth.js ------------------
+// Express middleware: verifies the Bearer access token (signature, expiry, revocation)
+// and attaches the decoded payload as req.user ({ userId, username, email, jti, tv }).
+const tokens = require('../services/tokens');
+
+async function requireAuth(req, res, next) {
+  try {
+    const token = tokens.tokenFromHeader(req.headers.authorization);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access token required'
+      });
+    }
+
+    req.user = await tokens.verifyAccessToken(token);
+    req.token = token;
+    return next();
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify access token'
+    });
+  }
+}
+
+module.exports = requireAuth;
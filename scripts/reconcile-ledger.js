@@ -0,0 +1,29 @@
+// ------------------ reconcile-ledger.js ------------------
+// One-shot ledger reconciliation:
+//   node scripts/reconcile-ledger.js             -> report mismatches (exit 1 if any)
+//   node scripts/reconcile-ledger.js --backfill  -> first record opening entries for
+//                                                   users created before the ledger
+require('dotenv').config();
+const { pool } = require('../db/dbConfig');
+const ledger = require('../services/ledger');
+
+(async () => {
+  try {
+    if (process.argv.includes('--backfill')) {
+      const recorded = await ledger.recordOpeningBalances();
+      console.log(`[LEDGER] opening balances recorded for ${recorded} user(s)`);
+    }
+
+    const report = await ledger.reconcile();
+    console.log(`[LEDGER] ledger total ${report.ledgerTotal} (${report.balanced ? 'balanced' : 'NOT balanced'})`);
+    for (const d of report.discrepancies) {
+      console.log(`[LEDGER] user ${d.userId}: users.balance=${d.usersBalance} ledger=${d.ledgerBalance} diff=${d.difference}`);
+    }
+    process.exitCode = report.discrepancies.length || !report.balanced ? 1 : 0;
+  } catch (err) {
+    console.error('[LEDGER] reconciliation failed:', err);
+    process.exitCode = 2;
+  } finally {
+    pool.end();
+  }
+})();
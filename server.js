@@ -6,7 +6,6 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const socketio = require('socket.io');
-const jwt = require('jsonwebtoken');
 
 // DB config - keep your existing file (exports pool and promisePool)
 const { pool, promisePool } = require('./db/dbConfig');
@@ -14,9 +13,31 @@ const { pool, promisePool } = require('./db/dbConfig');
 // Auth routes (unchanged)
 const authRoutes = require('./controller/auth');
 
-// Game engine (keeps DB integration inside engine). We will pass promisePool and jwt.
+// Provably fair verification API
+const fairnessRoutes = require('./controller/fairness');
+
+// Player history APIs (recent rounds, my bets, my transactions)
+const roundsRoutes = require('./controller/rounds');
+const meRoutes = require('./controller/me');
+
+// Table list API (needs the running engine)
+const createTablesRouter = require('./controller/tables');
+
+// Responsible gaming self-service (limits, cool-off, self-exclusion)
+const createResponsibleGamingRouter = require('./controller/responsibleGaming');
+
+// Operator API (needs the running engine)
+const createAdminRouter = require('./controller/admin');
+
+// Game engine (keeps DB integration inside engine). We will pass promisePool and the cluster.
 const startLuckyFive = require('./game/luckyFive');
 
+// Multi-instance support (CLUSTER_BUS=memory|mysql); standalone when unset
+const { createCluster } = require('./game/cluster');
+
+// Wallet ledger (periodic reconciliation below)
+const ledger = require('./services/ledger');
+
 const app = express();
 app.use(cors());
 app.use(express.json());
@@ -24,6 +45,13 @@ app.use(express.json());
 // mount auth API (same as your previous)
 app.use('/api/auth', authRoutes);
 
+// mount fairness API (public: recompute a finished round from its revealed seed)
+app.use('/api/fairness', fairnessRoutes);
+
+// mount history APIs (authenticated, cursor-paginated)
+app.use('/api/rounds', roundsRoutes);
+app.use('/api/me', meRoutes);
+
 // create HTTP server + socket.io
 const server = http.createServer(app);
 
@@ -37,11 +65,18 @@ const io = socketio(server, {
   transports: ['websocket', 'polling']
 });
 
+// shared adapter so broadcasts / rooms / fetchSockets span every instance
+const cluster = createCluster({ promisePool });
+if (cluster.adapter) {
+  io.adapter(cluster.adapter);
+}
+
 // Helpful startup logs
 console.log('-----------------------------');
 console.log('🌐 LuckyFive Server starting');
 console.log('PORT:', process.env.PORT || 5000);
 console.log('DB Host:', process.env.DB_HOST || 'localhost');
+console.log('Cluster:', cluster.kind, `(node ${cluster.nodeId})`);
 console.log('-----------------------------');
 
 // Basic DB connectivity check (non-blocking)
@@ -56,17 +91,42 @@ console.log('-----------------------------');
 })();
 
 // Start the LuckyFive game engine.
-// We pass io, promisePool and jwt so engine has DB + JWT access.
-// The engine file (./game/luckyFive.js) should be implemented as:
-// module.exports = function(io, { promisePool, jwtLib }) { ... }
+// We pass io, promisePool and the cluster; socket tokens are checked through services/tokens.
+let engine = null;
 try {
-  startLuckyFive(io, { promisePool, jwtLib: jwt });
+  engine = startLuckyFive(io, { promisePool, cluster });
   console.log('🎮 LuckyFive Engine attached');
 } catch (err) {
   console.error('❌ Failed to attach LuckyFive engine:', err);
   // still continue: server will run but game engine might be broken
 }
 
+// mount tables API (lists every table with its timing, limits and live round)
+app.use('/api/tables', createTablesRouter(engine));
+
+// mount responsible gaming API (player limits are enforced in the engine at bet acceptance)
+app.use('/api/responsible-gaming', createResponsibleGamingRouter(engine));
+
+// mount admin API (role-based: users.role = 'admin', every action audit-logged)
+app.use('/api/admin', createAdminRouter(engine));
+
+// Ledger reconciliation: every LEDGER_RECONCILE_INTERVAL_MS (default 10 min, 0 = off),
+// on the leader only, flag users whose cached balance differs from their ledger entries
+const LEDGER_RECONCILE_INTERVAL_MS = Number(process.env.LEDGER_RECONCILE_INTERVAL_MS ?? 10 * 60 * 1000);
+if (LEDGER_RECONCILE_INTERVAL_MS > 0) {
+  setInterval(async () => {
+    if (engine && !engine.isLeader()) return;
+    try {
+      const report = await ledger.reconcile();
+      if (report.discrepancies.length || !report.balanced) {
+        console.warn(`⚠️ [LEDGER] ${report.discrepancies.length} balance mismatch(es), ledger total ${report.ledgerTotal}`, report.discrepancies);
+      }
+    } catch (err) {
+      console.error('❌ [LEDGER] reconciliation failed:', err && err.code ? err.code : err);
+    }
+  }, LEDGER_RECONCILE_INTERVAL_MS).unref();
+}
+
 // Fallback: small socket-level logs for connection (keeps your previous behavior)
 io.on('connection', (socket) => {
   console.log(`[SOCKET] Connected: ${socket.id}`);
@@ -0,0 +1,42 @@
+// ------------------ accountStatus.js ------------------
+// Account standing set by operators (admin API): active, suspended (optionally until a date)
+// or banned. Blocked accounts can't log in or open a game socket.
+//
+// Columns: db/migrations/008_admin_controls.js
+
+const ROLES = {
+  PLAYER: 'player',
+  ADMIN: 'admin'
+};
+
+const ACCOUNT_STATUSES = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  BANNED: 'banned'
+};
+
+// null when the user may play, otherwise { status, reason, until }.
+// A suspension whose suspended_until has passed no longer blocks.
+function accountBlock(user, now = new Date()) {
+  if (!user || !user.status || user.status === ACCOUNT_STATUSES.ACTIVE) return null;
+  if (user.status === ACCOUNT_STATUSES.SUSPENDED && user.suspended_until && new Date(user.suspended_until) <= now) {
+    return null;
+  }
+  return {
+    status: user.status,
+    reason: user.status_reason || null,
+    until: user.suspended_until ? new Date(user.suspended_until) : null
+  };
+}
+
+function blockMessage(block) {
+  if (block.status === ACCOUNT_STATUSES.BANNED) return 'Account banned';
+  return block.until ? `Account suspended until ${block.until.toISOString()}` : 'Account suspended';
+}
+
+module.exports = {
+  ROLES,
+  ACCOUNT_STATUSES,
+  accountBlock,
+  blockMessage
+};
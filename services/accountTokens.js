@@ -0,0 +1,60 @@
+// ------------------ accountTokens.js ------------------
+// Single-use, expiring tokens for email links (password reset, email verification).
+// Only the sha256 of a token is stored; consuming it marks it used in the same statement,
+// so a link can never be redeemed twice.
+//
+// Tables: db/migrations/006_account_tokens.js
+const crypto = require('crypto');
+const { promisePool } = require('../db/dbConfig');
+const { authError, hashToken } = require('./tokens');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFY: 'email_verify'
+};
+
+const TTL_MINUTES = {
+  [PURPOSES.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60),
+  [PURPOSES.EMAIL_VERIFY]: Number(process.env.EMAIL_VERIFY_TTL_MINUTES || 24 * 60)
+};
+
+// Creates a token and invalidates any older unused one for the same purpose
+async function createAccountToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000);
+
+  await promisePool.execute(
+    'UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await promisePool.execute(
+    'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+}
+
+// Resolves to the user id the token was issued for; rejects with a 400 authError otherwise
+async function consumeAccountToken(token, purpose) {
+  if (!token) throw authError('Token required', 400);
+
+  const tokenHash = hashToken(token);
+  const [result] = await promisePool.execute(
+    'UPDATE account_tokens SET used_at = NOW() WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()',
+    [tokenHash, purpose]
+  );
+  if (result.affectedRows === 0) {
+    throw authError('Invalid or expired token', 400);
+  }
+
+  const [rows] = await promisePool.execute('SELECT user_id FROM account_tokens WHERE token_hash = ?', [tokenHash]);
+  return rows[0].user_id;
+}
+
+module.exports = {
+  PURPOSES,
+  TTL_MINUTES,
+  createAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,54 @@
+// ------------------ audit.js ------------------
+// Append-only log of operator actions (admin API). Rows are written on the same connection
+// as the change they describe where there is one, so the action and its audit entry commit together.
+//
+// Table: db/migrations/008_admin_controls.js
+const { promisePool } = require('../db/dbConfig');
+
+// db: an open connection (inside the caller's transaction) or the pool
+async function recordAdminAction(db, { adminId, action, targetType = null, targetId = null, reason = null, details = null, ip = null }) {
+  const [result] = await (db || promisePool).execute(
+    'INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, reason, details, ip) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [adminId, action, targetType, targetId === null ? null : String(targetId), reason, details === null ? null : JSON.stringify(details), ip]
+  );
+  return result.insertId;
+}
+
+// Newest first; `before` is an id cursor (see controller/pagination.js)
+async function listAdminActions({ before = null, limit = 50, adminId = null, action = null, targetType = null, targetId = null, from = null, to = null } = {}) {
+  const where = [];
+  const params = [];
+  if (before) { where.push('id < ?'); params.push(before); }
+  if (adminId) { where.push('admin_id = ?'); params.push(adminId); }
+  if (action) { where.push('action = ?'); params.push(action); }
+  if (targetType) { where.push('target_type = ?'); params.push(targetType); }
+  if (targetId) { where.push('target_id = ?'); params.push(String(targetId)); }
+  if (from) { where.push('created_at >= ?'); params.push(from); }
+  if (to) { where.push('created_at <= ?'); params.push(to); }
+
+  const [rows] = await promisePool.query(
+    `SELECT id, admin_id, action, target_type, target_id, reason, details, ip, created_at
+       FROM admin_audit_log
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ${Number(limit)}`,
+    params
+  );
+
+  return rows.map(r => ({
+    id: r.id,
+    adminId: r.admin_id,
+    action: r.action,
+    targetType: r.target_type,
+    targetId: r.target_id,
+    reason: r.reason,
+    details: r.details ? JSON.parse(r.details) : null,
+    ip: r.ip,
+    createdAt: r.created_at
+  }));
+}
+
+module.exports = {
+  recordAdminAction,
+  listAdminActions
+};
@@ -0,0 +1,199 @@
+// ------------------ ledger.js ------------------
+// Double-entry wallet ledger. Every balance change is one ledger transaction with two
+// entries that sum to zero: the player's wallet account (`user:<id>`) and a house account.
+// users.balance is kept as the cached wallet balance and must always equal the sum of the
+// user's wallet entries; reconcile() flags anyone for whom it doesn't.
+//
+// Tables: db/migrations/007_wallet_ledger.js
+const { promisePool } = require('../db/dbConfig');
+
+// entry type -> sign applied to the wallet + the house account on the other side
+const ENTRY_TYPES = {
+  bet: { sign: -1, counter: 'house:game' },
+  win: { sign: 1, counter: 'house:game' },
+  refund: { sign: 1, counter: 'house:game' },
+  jackpot: { sign: 1, counter: 'house:jackpot' },          // progressive jackpot share (game/jackpot.js)
+  deposit: { sign: 1, counter: 'house:cashier' },        // via responsibleGaming.postDeposit (deposit limits)
+  bonus: { sign: 1, counter: 'house:promotions' },
+  adjustment: { sign: 1, counter: 'house:adjustments' }, // signed amount (operator credit/debit)
+  opening: { sign: 1, counter: 'house:opening' }         // backfill of pre-ledger balances
+};
+
+// house-internal movements with no wallet side: type -> account debited / credited
+const HOUSE_TRANSFERS = {
+  jackpot_fund: { from: 'house:game', to: 'house:jackpot' } // slice of a stake into the jackpot pool
+};
+
+const walletAccount = (userId) => `user:${userId}`;
+
+function ledgerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Post one ledger transaction on an open DB connection. The caller owns the SQL
+// transaction (beginTransaction/commit), so a post commits or rolls back together with
+// the game rows written alongside it (player_bets etc.).
+// amount is a positive magnitude, except for 'adjustment' where it is signed.
+async function post(conn, { userId, type, amount, roundId = null, betId = null, reference = null, description = null }) {
+  const spec = ENTRY_TYPES[type];
+  if (!spec) throw ledgerError('LEDGER_BAD_TYPE', `Unknown ledger entry type: ${type}`);
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value === 0 || (type !== 'adjustment' && value < 0)) {
+    throw ledgerError('LEDGER_BAD_AMOUNT', `Invalid ledger amount: ${amount}`);
+  }
+  const delta = spec.sign * value;
+
+  const [rows] = await conn.execute('SELECT balance FROM users WHERE id = ? FOR UPDATE', [userId]);
+  if (!rows.length) throw ledgerError('LEDGER_NO_USER', `User ${userId} not found`);
+
+  const balanceAfter = Number(rows[0].balance) + delta;
+  if (delta < 0 && balanceAfter < 0) {
+    throw ledgerError('LEDGER_INSUFFICIENT_FUNDS', 'Insufficient balance');
+  }
+
+  await conn.execute('UPDATE users SET balance = ? WHERE id = ?', [balanceAfter, userId]);
+
+  const [tx] = await conn.execute(
+    'INSERT INTO ledger_transactions (entry_type, user_id, round_id, bet_id, reference, description) VALUES (?, ?, ?, ?, ?, ?)',
+    [type, userId, roundId, betId, reference, description]
+  );
+  await conn.execute(
+    'INSERT INTO ledger_entries (transaction_id, account, user_id, amount, balance_after) VALUES (?, ?, ?, ?, ?), (?, ?, NULL, ?, NULL)',
+    [tx.insertId, walletAccount(userId), userId, delta, balanceAfter, tx.insertId, spec.counter, -delta]
+  );
+
+  return { transactionId: tx.insertId, balanceAfter };
+}
+
+// Post a house-internal transfer on an open DB connection (same transaction rules as post()).
+// It is attributed to the player whose stake caused it but never touches their wallet;
+// reverse moves the amount back (e.g. the stake was refunded).
+async function postHouse(conn, { type, amount, userId, roundId = null, betId = null, reference = null, description = null, reverse = false }) {
+  const spec = HOUSE_TRANSFERS[type];
+  if (!spec) throw ledgerError('LEDGER_BAD_TYPE', `Unknown house transfer type: ${type}`);
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw ledgerError('LEDGER_BAD_AMOUNT', `Invalid ledger amount: ${amount}`);
+  }
+  const [from, to] = reverse ? [spec.to, spec.from] : [spec.from, spec.to];
+
+  const [tx] = await conn.execute(
+    'INSERT INTO ledger_transactions (entry_type, user_id, round_id, bet_id, reference, description) VALUES (?, ?, ?, ?, ?, ?)',
+    [type, userId, roundId, betId, reference, description]
+  );
+  await conn.execute(
+    'INSERT INTO ledger_entries (transaction_id, account, user_id, amount, balance_after) VALUES (?, ?, NULL, ?, NULL), (?, ?, NULL, ?, NULL)',
+    [tx.insertId, to, value, tx.insertId, from, -value]
+  );
+  return { transactionId: tx.insertId };
+}
+
+// Convenience wrapper: post in its own SQL transaction
+async function postStandalone(entry) {
+  const conn = await promisePool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await post(conn, entry);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// One-off for users created before the ledger existed: records their current balance as an
+// 'opening' entry without touching users.balance. Skips anyone who already has entries.
+async function recordOpeningBalances() {
+  const [users] = await promisePool.execute(
+    `SELECT u.id, u.balance FROM users u
+      WHERE NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.user_id = u.id)`
+  );
+
+  let recorded = 0;
+  for (const u of users) {
+    const balance = Number(u.balance);
+    if (balance === 0) continue;
+    const conn = await promisePool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [tx] = await conn.execute(
+        'INSERT INTO ledger_transactions (entry_type, user_id, description) VALUES (?, ?, ?)',
+        ['opening', u.id, 'Opening balance (pre-ledger)']
+      );
+      await conn.execute(
+        'INSERT INTO ledger_entries (transaction_id, account, user_id, amount, balance_after) VALUES (?, ?, ?, ?, ?), (?, ?, NULL, ?, NULL)',
+        [tx.insertId, walletAccount(u.id), u.id, balance, balance, tx.insertId, ENTRY_TYPES.opening.counter, -balance]
+      );
+      await conn.commit();
+      recorded++;
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+  return recorded;
+}
+
+// Compare users.balance with the sum of wallet entries; every mismatch is returned and kept in
+// ledger_discrepancies, one open row per user (a later run refreshes its figures until an
+// operator sets resolved_at). Also checks that the whole ledger sums to zero.
+async function reconcile({ tolerance = 0.005, pool = promisePool } = {}) {
+  const [mismatches] = await pool.execute(
+    `SELECT u.id AS userId, u.balance AS usersBalance, COALESCE(SUM(e.amount), 0) AS ledgerBalance
+       FROM users u
+       LEFT JOIN ledger_entries e ON e.user_id = u.id
+      GROUP BY u.id, u.balance
+     HAVING ABS(u.balance - COALESCE(SUM(e.amount), 0)) > ?`,
+    [tolerance]
+  );
+
+  const [open] = await pool.execute('SELECT user_id FROM ledger_discrepancies WHERE resolved_at IS NULL');
+  const flagged = new Set(open.map(r => Number(r.user_id)));
+  for (const m of mismatches) {
+    if (flagged.has(Number(m.userId))) {
+      await pool.execute(
+        'UPDATE ledger_discrepancies SET users_balance = ?, ledger_balance = ? WHERE user_id = ? AND resolved_at IS NULL',
+        [m.usersBalance, m.ledgerBalance, m.userId]
+      );
+    } else {
+      await pool.execute(
+        'INSERT INTO ledger_discrepancies (user_id, users_balance, ledger_balance) VALUES (?, ?, ?)',
+        [m.userId, m.usersBalance, m.ledgerBalance]
+      );
+    }
+  }
+
+  const [[totals]] = await pool.execute('SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries');
+
+  return {
+    checkedAt: new Date(),
+    discrepancies: mismatches.map(m => ({
+      userId: m.userId,
+      usersBalance: Number(m.usersBalance),
+      ledgerBalance: Number(m.ledgerBalance),
+      difference: Number(m.usersBalance) - Number(m.ledgerBalance)
+    })),
+    ledgerTotal: Number(totals.total),
+    balanced: Math.abs(Number(totals.total)) <= tolerance
+  };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  HOUSE_TRANSFERS,
+  walletAccount,
+  post,
+  postHouse,
+  postStandalone,
+  recordOpeningBalances,
+  reconcile
+};
@@ -0,0 +1,91 @@
+// ------------------ mailer.js ------------------
+// Outgoing email behind a tiny transport interface:
+//   transport.send({ to, subject, text, html }) -> Promise
+//
+// MAILER_TRANSPORT=console (default) logs the message, =file writes one JSON file per
+// message into MAILER_FILE_DIR (dev / tests). A real provider plugs in with setTransport().
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const MAIL_FROM = process.env.MAIL_FROM || 'LuckyFive <no-reply@luckyfive.local>';
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('📧 [MAIL]', JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+function createFileTransport(dir = process.env.MAILER_FILE_DIR || path.join(os.tmpdir(), 'luckyfive-mail')) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    }
+  };
+}
+
+function transportFromEnv() {
+  switch ((process.env.MAILER_TRANSPORT || 'console').toLowerCase()) {
+    case 'file':
+      return createFileTransport();
+    case 'console':
+    default:
+      return createConsoleTransport();
+  }
+}
+
+let transport = transportFromEnv();
+
+function setTransport(next) {
+  if (!next || typeof next.send !== 'function') {
+    throw new Error('mail transport must implement send(message)');
+  }
+  transport = next;
+}
+
+function getTransport() {
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// ---------- account emails ----------
+
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your LuckyFive email',
+    text: `Hi ${user.username},\n\nConfirm your email address to start playing:\n${link}\n\nIf you didn't create an account, ignore this email.`
+  });
+}
+
+async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your LuckyFive password',
+    text: `Hi ${user.username},\n\nUse this link to choose a new password (valid for ${ttlMinutes} minutes, one use only):\n${link}\n\nIf you didn't ask for a reset, you can ignore this email.`
+  });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,302 @@
+// ------------------ responsibleGaming.js ------------------
+// Player-set protections: loss / wager / deposit limits per rolling day, week and month,
+// cool-off and self-exclusion periods, and the session reminder interval.
+//
+// Limits follow the usual compliance rule: tightening (lower amount, or a new limit) applies at
+// once, loosening (higher amount, or removing the limit) is queued and only takes effect after
+// RG_LIMIT_INCREASE_DELAY_HOURS. Pending changes are promoted lazily whenever limits are read.
+// Usage is computed from the ledger (wallet entries), so it covers every table.
+//
+// Tables: db/migrations/009_responsible_gaming.js
+const { promisePool } = require('../db/dbConfig');
+const { BET_ERROR_CODES, betError } = require('../game/betValidation');
+const ledger = require('./ledger');
+
+const LIMIT_KINDS = ['loss', 'wager', 'deposit'];
+
+const PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+const PERIOD_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+
+const EXCLUSION_TYPES = {
+  COOL_OFF: 'cool_off',
+  SELF_EXCLUSION: 'self_exclusion'
+};
+
+const LIMIT_INCREASE_DELAY_HOURS = Number(process.env.RG_LIMIT_INCREASE_DELAY_HOURS || 24);
+const COOL_OFF_MAX_DAYS = Number(process.env.RG_COOL_OFF_MAX_DAYS || 42);
+const SELF_EXCLUSION_MONTHS = [6, 12, 24, 60];
+const DEFAULT_SESSION_REMINDER_MINUTES = Number(process.env.RG_SESSION_REMINDER_MINUTES || 60);
+
+// Error carrying the HTTP status the route should answer with
+function rgError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// null, or { type, until } while a cool-off / self-exclusion is running
+function activeExclusion(user, now = new Date()) {
+  if (!user || !user.exclusion_type) return null;
+  const until = user.excluded_until ? new Date(user.excluded_until) : null;
+  if (until && until <= now) return null;
+  return { type: user.exclusion_type, until };
+}
+
+function exclusionMessage(exclusion) {
+  const label = exclusion.type === EXCLUSION_TYPES.COOL_OFF ? 'Cool-off period' : 'Self-exclusion';
+  return exclusion.until ? `${label} active until ${exclusion.until.toISOString()}` : `${label} active (permanent)`;
+}
+
+function exclusionCode(exclusion) {
+  return exclusion.type === EXCLUSION_TYPES.COOL_OFF ? BET_ERROR_CODES.COOLING_OFF : BET_ERROR_CODES.SELF_EXCLUDED;
+}
+
+// Limits in force for a user ({ 'loss:day': row, ... }), promoting queued raises that are due
+async function loadUserLimits(db, userId, now = new Date()) {
+  const [rows] = await db.execute(
+    'SELECT kind, period, amount, pending_amount, pending_effective_at FROM rg_limits WHERE user_id = ?',
+    [userId]
+  );
+
+  const limits = {};
+  for (const row of rows) {
+    let amount = row.amount === null ? null : Number(row.amount);
+    let pending = row.pending_effective_at
+      ? { amount: row.pending_amount === null ? null : Number(row.pending_amount), effectiveAt: new Date(row.pending_effective_at) }
+      : null;
+
+    if (pending && pending.effectiveAt <= now) {
+      amount = pending.amount;
+      pending = null;
+      await db.execute(
+        'UPDATE rg_limits SET amount = pending_amount, pending_amount = NULL, pending_effective_at = NULL WHERE user_id = ? AND kind = ? AND period = ?',
+        [userId, row.kind, row.period]
+      );
+    }
+
+    if (amount === null && !pending) continue;
+    limits[`${row.kind}:${row.period}`] = { kind: row.kind, period: row.period, amount, pending };
+  }
+  return limits;
+}
+
+// Wagered / lost / deposited over each rolling period, from the user's wallet entries
+async function loadUsage(db, userId, now = new Date()) {
+  const since = (period) => new Date(now.getTime() - PERIODS[period]);
+  const [rows] = await db.execute(
+    `SELECT t.entry_type,
+            SUM(CASE WHEN e.created_at >= ? THEN e.amount ELSE 0 END) AS day,
+            SUM(CASE WHEN e.created_at >= ? THEN e.amount ELSE 0 END) AS week,
+            SUM(e.amount) AS month
+       FROM ledger_entries e
+       JOIN ledger_transactions t ON t.id = e.transaction_id
+      WHERE e.account = ? AND e.created_at >= ? AND t.entry_type IN ('bet', 'win', 'jackpot', 'refund', 'deposit')
+      GROUP BY t.entry_type`,
+    [since('day'), since('week'), ledger.walletAccount(userId), since('month')]
+  );
+
+  const usage = {};
+  for (const period of Object.keys(PERIODS)) {
+    const sum = (type) => Number((rows.find(r => r.entry_type === type) || {})[period] || 0);
+    const wagered = -sum('bet');
+    usage[period] = {
+      wager: wagered,
+      // net loss only; a player who is up has 0 loss, not a negative one
+      loss: Math.max(0, wagered - sum('win') - sum('jackpot') - sum('refund')),
+      deposit: sum('deposit')
+    };
+  }
+  return usage;
+}
+
+// Check a stake at bet acceptance. Run it inside the submit transaction after the users row is
+// locked, so concurrent submits of the same user can't both slip under a limit.
+// Resolves to null, or a bet error ({ code, message, details }).
+async function checkStake(db, userId, stake, now = new Date()) {
+  const [users] = await db.execute('SELECT exclusion_type, excluded_until FROM users WHERE id = ?', [userId]);
+  const exclusion = activeExclusion(users[0], now);
+  if (exclusion) {
+    return betError(exclusionCode(exclusion), exclusionMessage(exclusion), { until: exclusion.until });
+  }
+
+  const limits = Object.values(await loadUserLimits(db, userId, now))
+    .filter(l => l.amount !== null && (l.kind === 'loss' || l.kind === 'wager'));
+  if (!limits.length) return null;
+
+  const usage = await loadUsage(db, userId, now);
+  for (const limit of limits) {
+    // the whole stake counts against a loss limit: it can all be lost
+    const used = usage[limit.period][limit.kind];
+    if (used + stake > limit.amount) {
+      const code = limit.kind === 'loss' ? BET_ERROR_CODES.LOSS_LIMIT_REACHED : BET_ERROR_CODES.WAGER_LIMIT_REACHED;
+      return betError(code, `${PERIOD_LABELS[limit.period]} ${limit.kind} limit reached`, {
+        period: limit.period,
+        limit: limit.amount,
+        used,
+        remaining: Math.max(0, limit.amount - used),
+        stake
+      });
+    }
+  }
+  return null;
+}
+
+// Resolves to null or { message, details } if the deposit breaks a limit (see postDeposit)
+async function checkDeposit(db, userId, amount, now = new Date()) {
+  const limits = Object.values(await loadUserLimits(db, userId, now)).filter(l => l.kind === 'deposit' && l.amount !== null);
+  if (!limits.length) return null;
+  const usage = await loadUsage(db, userId, now);
+  for (const limit of limits) {
+    const used = usage[limit.period].deposit;
+    if (used + amount > limit.amount) {
+      return { message: `Deposit limit reached (${limit.period})`, details: { period: limit.period, limit: limit.amount, used } };
+    }
+  }
+  return null;
+}
+
+// Credit a deposit on the caller's transaction, refusing one that breaks a deposit limit. Every
+// deposit goes through here (ledger.post itself knows nothing about limits); the users row is
+// locked first so two deposits of one player can't both slip under the limit.
+async function postDeposit(conn, { userId, amount, reference = null, description = null, now = new Date() }) {
+  await conn.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+  const limitErr = await checkDeposit(conn, userId, Number(amount), now);
+  if (limitErr) {
+    const err = rgError(limitErr.message, 409);
+    err.code = 'DEPOSIT_LIMIT_REACHED';
+    err.details = limitErr.details;
+    throw err;
+  }
+  return ledger.post(conn, { userId, type: 'deposit', amount, reference, description });
+}
+
+// Set (amount) or remove (null) a limit. Resolves to { applied: 'now' | 'pending', effectiveAt }.
+async function setLimit(userId, kind, period, amount, now = new Date()) {
+  if (!LIMIT_KINDS.includes(kind)) throw rgError(`kind must be one of ${LIMIT_KINDS.join(', ')}`);
+  if (!PERIODS[period]) throw rgError(`period must be one of ${Object.keys(PERIODS).join(', ')}`);
+  if (amount !== null && (!Number.isFinite(amount) || amount <= 0)) throw rgError('amount must be a positive number or null');
+
+  const current = (await loadUserLimits(promisePool, userId, now))[`${kind}:${period}`];
+  const currentAmount = current ? current.amount : null;
+
+  // tighter (or first) limit: immediately, and it cancels any queued raise
+  const tightening = amount !== null && (currentAmount === null || amount <= currentAmount);
+  if (tightening) {
+    await promisePool.execute(
+      `INSERT INTO rg_limits (user_id, kind, period, amount, pending_amount, pending_effective_at) VALUES (?, ?, ?, ?, NULL, NULL)
+       ON DUPLICATE KEY UPDATE amount = VALUES(amount), pending_amount = NULL, pending_effective_at = NULL`,
+      [userId, kind, period, amount]
+    );
+    return { applied: 'now', amount, effectiveAt: now };
+  }
+
+  if (currentAmount === null) {
+    // removing a limit that isn't in force: just drop any queued change
+    await promisePool.execute('DELETE FROM rg_limits WHERE user_id = ? AND kind = ? AND period = ?', [userId, kind, period]);
+    return { applied: 'now', amount: null, effectiveAt: now };
+  }
+
+  const effectiveAt = new Date(now.getTime() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000);
+  await promisePool.execute(
+    'UPDATE rg_limits SET pending_amount = ?, pending_effective_at = ? WHERE user_id = ? AND kind = ? AND period = ?',
+    [amount, effectiveAt, userId, kind, period]
+  );
+  return { applied: 'pending', amount, effectiveAt };
+}
+
+// Cool-off (1..COOL_OFF_MAX_DAYS days) or self-exclusion (SELF_EXCLUSION_MONTHS, or permanent).
+// Can only be extended, never shortened or lifted early.
+async function startExclusion(userId, { type, days, months, permanent = false }, now = new Date()) {
+  let until;
+  if (type === EXCLUSION_TYPES.COOL_OFF) {
+    if (!Number.isInteger(days) || days < 1 || days > COOL_OFF_MAX_DAYS) {
+      throw rgError(`days must be a whole number between 1 and ${COOL_OFF_MAX_DAYS}`);
+    }
+    until = new Date(now.getTime() + days * PERIODS.day);
+  } else if (type === EXCLUSION_TYPES.SELF_EXCLUSION) {
+    if (permanent) {
+      until = null;
+    } else {
+      if (!SELF_EXCLUSION_MONTHS.includes(months)) {
+        throw rgError(`months must be one of ${SELF_EXCLUSION_MONTHS.join(', ')} (or permanent: true)`);
+      }
+      until = new Date(now);
+      until.setMonth(until.getMonth() + months);
+    }
+  } else {
+    throw rgError(`type must be ${EXCLUSION_TYPES.COOL_OFF} or ${EXCLUSION_TYPES.SELF_EXCLUSION}`);
+  }
+
+  const [users] = await promisePool.execute('SELECT exclusion_type, excluded_until FROM users WHERE id = ?', [userId]);
+  const running = activeExclusion(users[0], now);
+  if (running && (running.until === null || (until !== null && until <= running.until))) {
+    throw rgError('An exclusion that lasts at least as long is already active', 409);
+  }
+
+  await promisePool.execute(
+    'UPDATE users SET exclusion_type = ?, excluded_until = ? WHERE id = ?',
+    [type, until, userId]
+  );
+  return { type, until };
+}
+
+async function setSessionReminder(userId, minutes) {
+  if (!Number.isInteger(minutes) || (minutes !== 0 && (minutes < 5 || minutes > 240))) {
+    throw rgError('minutes must be 0 (off) or between 5 and 240');
+  }
+  await promisePool.execute('UPDATE users SET session_reminder_minutes = ? WHERE id = ?', [minutes, userId]);
+  return minutes;
+}
+
+// users.session_reminder_minutes -> interval in minutes (0 = off)
+function reminderMinutesFor(user) {
+  if (!user || user.session_reminder_minutes === null || user.session_reminder_minutes === undefined) {
+    return DEFAULT_SESSION_REMINDER_MINUTES;
+  }
+  return Number(user.session_reminder_minutes);
+}
+
+// Wagered and net result since `since` (session reminders)
+async function sessionSummary(db, userId, since) {
+  const [rows] = await db.execute(
+    `SELECT t.entry_type, SUM(e.amount) AS total
+       FROM ledger_entries e
+       JOIN ledger_transactions t ON t.id = e.transaction_id
+      WHERE e.account = ? AND e.created_at >= ? AND t.entry_type IN ('bet', 'win', 'jackpot', 'refund')
+      GROUP BY t.entry_type`,
+    [ledger.walletAccount(userId), since]
+  );
+  const sum = (type) => Number((rows.find(r => r.entry_type === type) || {}).total || 0);
+  return {
+    wagered: -sum('bet'),
+    net: sum('bet') + sum('win') + sum('jackpot') + sum('refund')
+  };
+}
+
+module.exports = {
+  LIMIT_KINDS,
+  PERIODS,
+  EXCLUSION_TYPES,
+  LIMIT_INCREASE_DELAY_HOURS,
+  COOL_OFF_MAX_DAYS,
+  SELF_EXCLUSION_MONTHS,
+  DEFAULT_SESSION_REMINDER_MINUTES,
+  activeExclusion,
+  exclusionMessage,
+  exclusionCode,
+  loadUserLimits,
+  loadUsage,
+  checkStake,
+  checkDeposit,
+  postDeposit,
+  setLimit,
+  startExclusion,
+  setSessionReminder,
+  reminderMinutesFor,
+  sessionSummary
+};
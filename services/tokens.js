@@ -0,0 +1,224 @@
+// ------------------ tokens.js ------------------
+// Access / refresh token handling shared by the auth API and the socket engine.
+//
+// - access token: short-lived JWT { userId, username, email, jti, tv }
+//     jti -> can be revoked one by one (revoked_tokens)
+//     tv  -> users.token_version at issue time; bumping it logs out every device
+// - refresh token: random opaque string, only its sha256 is stored (refresh_tokens).
+//     Every refresh rotates it; presenting an already-rotated token revokes the whole family.
+//
+// Tables: db/migrations/005_auth_tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { promisePool } = require('../db/dbConfig');
+const { ACCOUNT_STATUSES, accountBlock, blockMessage } = require('./accountStatus');
+const rg = require('./responsibleGaming');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Error carrying the HTTP status the caller should answer with
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const randomId = () => crypto.randomBytes(16).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function signAccessToken(user) {
+  const jti = randomId();
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      jti,
+      tv: Number(user.token_version || 0)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+}
+
+async function createRefreshToken(userId, familyId = randomId()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const [result] = await promisePool.execute(
+    'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, hashToken(token), familyId, expiresAt]
+  );
+  return { token, id: result.insertId, familyId, expiresAt };
+}
+
+// Login / register: fresh access token + a new refresh token family
+async function issueTokens(user) {
+  const access = signAccessToken(user);
+  const refresh = await createRefreshToken(user.id);
+  return {
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+}
+
+// Same standing checks as /login: banned / suspended or self-excluded players get no new tokens
+function standingError(user) {
+  const block = accountBlock(user);
+  if (block) {
+    const err = authError(blockMessage(block), 403);
+    err.code = block.status === ACCOUNT_STATUSES.BANNED ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED';
+    return err;
+  }
+  const exclusion = rg.activeExclusion(user);
+  if (exclusion) {
+    const err = authError(rg.exclusionMessage(exclusion), 403);
+    err.code = rg.exclusionCode(exclusion);
+    return err;
+  }
+  return null;
+}
+
+// Exchange a refresh token for a new pair (rotation with reuse detection)
+async function rotateRefreshToken(refreshToken) {
+  if (!refreshToken) throw authError('Refresh token required', 400);
+
+  const [rows] = await promisePool.execute(
+    'SELECT id, user_id, family_id, expires_at, revoked_at FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+  if (rows.length === 0) throw authError('Invalid refresh token');
+
+  const stored = rows[0];
+  if (stored.revoked_at) {
+    // an already-rotated token came back: assume it leaked and kill the whole chain
+    await promisePool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+      [stored.family_id]
+    );
+    throw authError('Refresh token reuse detected');
+  }
+  if (new Date(stored.expires_at).getTime() <= Date.now()) {
+    throw authError('Refresh token expired');
+  }
+
+  const [users] = await promisePool.execute(
+    `SELECT id, username, email, token_version, status, status_reason, suspended_until, exclusion_type, excluded_until
+       FROM users WHERE id = ?`,
+    [stored.user_id]
+  );
+  if (users.length === 0) throw authError('User not found');
+  const user = users[0];
+  const standingErr = standingError(user);
+  if (standingErr) throw standingErr;
+
+  const next = await createRefreshToken(user.id, stored.family_id);
+  const [update] = await promisePool.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+    [next.id, stored.id]
+  );
+  if (update.affectedRows === 0) {
+    // lost a race with a concurrent refresh of the same token
+    await promisePool.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ?', [next.id]);
+    throw authError('Refresh token already used');
+  }
+
+  const access = signAccessToken(user);
+  return {
+    user,
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken: next.token,
+    refreshTokenExpiresAt: next.expiresAt
+  };
+}
+
+// Verify signature, expiry, per-token revocation and the user's token version.
+// Resolves to the decoded payload; rejects with an authError (status 401).
+async function verifyAccessToken(token) {
+  if (!token) throw authError('Access token required');
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw authError(err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token');
+  }
+
+  if (decoded.jti) {
+    const [revoked] = await promisePool.execute('SELECT jti FROM revoked_tokens WHERE jti = ?', [decoded.jti]);
+    if (revoked.length > 0) throw authError('Token revoked');
+  }
+
+  const [users] = await promisePool.execute('SELECT token_version FROM users WHERE id = ?', [decoded.userId]);
+  if (users.length === 0) throw authError('User not found');
+  if (Number(decoded.tv || 0) !== Number(users[0].token_version || 0)) {
+    throw authError('Token revoked');
+  }
+
+  return decoded;
+}
+
+// Revoke one access token (by its decoded payload) until it would have expired anyway
+async function revokeAccessToken(decoded) {
+  if (!decoded || !decoded.jti) return;
+  await promisePool.execute(
+    'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+    [decoded.jti, decoded.userId, new Date(decoded.exp * 1000)]
+  );
+  // opportunistic cleanup; rows are useless once the token has expired
+  await promisePool.execute('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+}
+
+async function revokeRefreshToken(refreshToken, userId) {
+  if (!refreshToken) return 0;
+  const [result] = await promisePool.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND user_id = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken), userId]
+  );
+  return result.affectedRows;
+}
+
+// "Log out all devices": invalidates every access token and refresh token of the user
+async function revokeAllForUser(userId) {
+  await promisePool.execute('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+  await promisePool.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+// "Bearer <token>" -> token, or null
+function tokenFromHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// socket.io handshake: io({ auth: { token } }), or an Authorization header for non-browser clients
+function tokenFromHandshake(handshake) {
+  if (!handshake) return null;
+  const fromAuth = handshake.auth && handshake.auth.token;
+  if (fromAuth) return String(fromAuth).replace(/^Bearer /, '');
+  return tokenFromHeader(handshake.headers && handshake.headers.authorization);
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  authError,
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  tokenFromHeader,
+  tokenFromHandshake
+};
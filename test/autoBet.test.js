@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const autoBet = require('../game/autoBet');
+const { emptySlip } = require('../game/betSlip');
+const { DEFAULT_LIMITS } = require('../game/betValidation');
+
+const slip = (bets) => ({ ...emptySlip(), ...bets });
+
+test('auto-bet settings are checked against the strategy and the table limits', () => {
+  const check = (payload, lastSlip = null, limits = DEFAULT_LIMITS) => autoBet.validateAutoBet(payload, limits, lastSlip)?.code ?? null;
+
+  assert.equal(check({ strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 10, loss: 500 } }), null);
+  assert.equal(check({ strategy: 'martingale', bets: { line1: 100 } }), 'INVALID_AUTO_BET');
+  assert.equal(check({ strategy: 'fixed' }), 'INVALID_AUTO_BET');
+  assert.equal(check({ strategy: 'fixed', bets: { line1: 5 } }, null, { ...DEFAULT_LIMITS, denominations: [5, 10] }), 'STAKE_BELOW_MIN');
+  assert.equal(check({ strategy: 'fixed', bets: { line9: 100 } }), 'INVALID_LINE');
+  assert.equal(check({ strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 0 } }), 'INVALID_AUTO_BET');
+  assert.equal(check({ strategy: 'fixed', bets: { line1: 100 }, stop: { profit: '50' } }), 'INVALID_AUTO_BET');
+  assert.equal(check({ strategy: 'fixed', bets: { line1: 100 }, stop: { after: 3 } }), 'INVALID_AUTO_BET');
+
+  // repeat_last needs a previous slip; double_on_loss falls back to it
+  assert.equal(check({ strategy: 'repeat_last' }), 'NO_PREVIOUS_SLIP');
+  assert.equal(check({ strategy: 'repeat_last' }, slip({ odd: 50 })), null);
+  assert.equal(check({ strategy: 'repeat_last', bets: { line1: 100 } }, slip({ odd: 50 })), 'INVALID_AUTO_BET');
+  assert.equal(check({ strategy: 'double_on_loss' }, slip({ odd: 50 })), null);
+});
+
+test('each stake of a sent slip must be an allowed chip, as with place_bet', () => {
+  const check = (bets) => autoBet.validateAutoBet({ strategy: 'fixed', bets }, DEFAULT_LIMITS, null);
+
+  assert.equal(check({ line1: 100, line2: 0 }), null);
+  assert.equal(check({ line1: 30 }).code, 'INVALID_DENOMINATION');
+  assert.deepEqual(check({ line1: 30 }).details, { amount: 30, allowed: DEFAULT_LIMITS.denominations });
+  assert.equal(check({ line1: 12.5 }).code, 'INVALID_AMOUNT');
+  assert.equal(check({ line1: '50' }), null);
+  // the last slip was built chip by chip already: a stake of two chips repeats fine
+  assert.equal(autoBet.validateAutoBet({ strategy: 'repeat_last' }, DEFAULT_LIMITS, slip({ line1: 60 })), null);
+});
+
+test('double_on_loss doubles after a losing round and resets after a win', () => {
+  const run = autoBet.createAutoBet({ strategy: 'double_on_loss', bets: { line2: 10 } }, { tableId: 't' });
+  const play = (won) => {
+    const stake = autoBet.nextSlip(run).line2;
+    autoBet.recordBet(run, stake);
+    autoBet.recordResult(run, { roundId: run.rounds, stake, won: won ? stake * 5 : 0 });
+    return stake;
+  };
+
+  assert.deepEqual([play(false), play(false), play(true), play(false)], [10, 20, 40, 10]);
+  assert.equal(autoBet.nextSlip(run).line2, 20);
+  assert.equal(run.net, -10 - 20 + 160 - 10);
+  assert.equal(run.rounds, 4);
+});
+
+test('a run stops on rounds, profit, loss and the balance floor; refunds do not count', () => {
+  const run = autoBet.createAutoBet(
+    { strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 3, profit: 300, loss: 150, balanceBelow: 500 } },
+    { tableId: 't' }
+  );
+  assert.equal(autoBet.stopBeforeBet(run, 650, 100), null);
+  assert.equal(autoBet.stopBeforeBet(run, 550, 100), autoBet.STOP_REASONS.BALANCE);
+
+  autoBet.recordBet(run, 100);
+  autoBet.recordResult(run, { roundId: 1, stake: 100, won: 0 });
+  assert.equal(autoBet.stopAfterResult(run), null);
+  autoBet.recordBet(run, 100);
+  autoBet.recordResult(run, { roundId: 2, stake: 100, won: 0 });
+  assert.equal(autoBet.stopAfterResult(run), autoBet.STOP_REASONS.LOSS);
+
+  const lucky = autoBet.createAutoBet({ strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 2, profit: 300 } }, { tableId: 't' });
+  autoBet.recordBet(lucky, 100);
+  autoBet.recordResult(lucky, { roundId: 1, stake: 100, won: 500 });
+  assert.equal(autoBet.stopAfterResult(lucky), autoBet.STOP_REASONS.PROFIT);
+
+  const voided = autoBet.createAutoBet({ strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 1 } }, { tableId: 't' });
+  autoBet.recordBet(voided, 100);
+  assert.equal(autoBet.stopBeforeBet(voided, 1000, 100), autoBet.STOP_REASONS.ROUNDS);
+  autoBet.recordRefund(voided, 100);
+  assert.equal(autoBet.stopBeforeBet(voided, 1000, 100), null);
+  assert.equal(voided.net, 0);
+});
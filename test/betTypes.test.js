@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const betTypes = require('../game/betTypes');
+const { LINE_COUNT } = require('../game/fairness');
+
+test('the registry covers straight, odd/even, low/high and neighbouring splits', () => {
+  assert.deepEqual(betTypes.betFor('odd'), { key: 'odd', type: 'odd', lines: [1, 3, 5] });
+  assert.deepEqual(betTypes.betFor('even').lines, [2, 4]);
+  assert.deepEqual(betTypes.betFor('low').lines, [1, 2]);
+  assert.deepEqual(betTypes.betFor('high').lines, [4, 5]);
+  assert.deepEqual(betTypes.betFor('split3-4'), { key: 'split3-4', type: 'split', lines: [3, 4] });
+  assert.equal(betTypes.betFor('split1-3'), null);
+  assert.deepEqual(betTypes.BET_KEYS.slice(0, 5), ['line1', 'line2', 'line3', 'line4', 'line5']);
+});
+
+test('every bet has the same expected return as a straight bet', () => {
+  for (const winMultiplier of [5, 4.5]) {
+    for (const key of betTypes.BET_KEYS) {
+      let returned = 0;
+      for (let line = 1; line <= LINE_COUNT; line++) returned += betTypes.winAmount(key, 300, line, winMultiplier);
+      // within the cent rounding of each win
+      assert.ok(Math.abs(returned / LINE_COUNT - 300 * winMultiplier / LINE_COUNT) < 0.01, `${key} at ${winMultiplier}x`);
+    }
+  }
+});
+
+test('a slip settles bet by bet, in whole cents rounded down', () => {
+  const wins = betTypes.settleSlip({ line3: 100, odd: 100, even: 50, 'split2-3': 10, low: 0 }, 3, 5);
+  assert.deepEqual(wins, [
+    { key: 'line3', stake: 100, amount: 500 },
+    { key: 'odd', stake: 100, amount: 166.66 },
+    { key: 'split2-3', stake: 10, amount: 25 }
+  ]);
+  assert.equal(betTypes.describeBets(5).find(b => b.key === 'odd').multiplier, 1.6667);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LIMITS, validatePlaceBet, validateSlip, validateClientBets } = require('../game/betValidation');
+
+const limits = { ...DEFAULT_LIMITS, lines: { line5: { maxStake: 100 } } };
+const empty = { line1: 0, line2: 0, line3: 0, line4: 0, line5: 0 };
+
+test('place_bet accepts allowed chips and rejects the rest', () => {
+  assert.equal(validatePlaceBet(empty, { line: 'line1', amount: 50, operation: 'add' }, limits), null);
+  assert.equal(validatePlaceBet(empty, { line: 'line9', amount: 50, operation: 'add' }, limits).code, 'INVALID_LINE');
+  assert.equal(validatePlaceBet(empty, { line: 'line1', amount: 30, operation: 'add' }, limits).code, 'INVALID_DENOMINATION');
+  assert.equal(validatePlaceBet(empty, { line: 'line1', amount: -10, operation: 'add' }, limits).code, 'INVALID_AMOUNT');
+  assert.equal(validatePlaceBet(empty, { line: 'line1', amount: 10, operation: 'double' }, limits).code, 'INVALID_OPERATION');
+});
+
+test('outside bets are placed like lines and take per-bet limits', () => {
+  const outside = { ...limits, lines: { odd: { maxStake: 50 } } };
+  assert.equal(validatePlaceBet(empty, { line: 'split4-5', amount: 50, operation: 'add' }, outside), null);
+  assert.equal(validatePlaceBet({ ...empty, odd: 50 }, { line: 'odd', amount: 10, operation: 'add' }, outside).code, 'STAKE_ABOVE_MAX');
+  assert.equal(validateSlip({ ...empty, even: 100, high: 10 }, outside), null);
+});
+
+test('per-line and per-round maximums', () => {
+  assert.equal(validatePlaceBet({ ...empty, line5: 100 }, { line: 'line5', amount: 10, operation: 'add' }, limits).code, 'STAKE_ABOVE_MAX');
+  const full = { ...empty, line1: 5000, line2: 5000 };
+  assert.equal(validatePlaceBet(full, { line: 'line3', amount: 10, operation: 'add' }, limits).code, 'ROUND_TOTAL_EXCEEDED');
+});
+
+test('minimum stake is only enforced on the submitted slip', () => {
+  const slip = { ...empty, line1: 5 };
+  assert.equal(validateSlip(slip, limits).code, 'STAKE_BELOW_MIN');
+  assert.equal(validateSlip({ ...empty, line1: 10 }, limits), null);
+});
+
+test('client-sent bets only allow known lines', () => {
+  assert.equal(validateClientBets(undefined), null);
+  assert.equal(validateClientBets({ line1: 10 }), null);
+  assert.equal(validateClientBets({ jackpot: 10 }).code, 'INVALID_LINE');
+  assert.equal(validateClientBets([1, 2]).code, 'INVALID_AMOUNT');
+});
@@ -0,0 +1,101 @@
+// Several engines on one memory bus (game/cluster.js): leader election, command relay, admin acks.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairness = require('../game/fairness');
+const { TEST_TABLE, createClusterHarness } = require('./helpers/engineHarness');
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const ROOM = `table:${TEST_TABLE.id}`;
+
+async function startCluster(t, options) {
+  const h = await createClusterHarness(options);
+  t.after(h.close);
+  return h;
+}
+
+test('the first node leads and drives the rounds; the follower mirrors them', async (t) => {
+  const h = await startCluster(t, { users: [{ id: 1 }] });
+  const [leader, follower] = h.nodes;
+  assert.equal(leader.engine.isLeader(), true);
+  assert.equal(follower.engine.isLeader(), false);
+
+  const socket = await follower.connect(1);
+  await h.tick(0);
+  assert.equal(leader.io.roomEvents(ROOM, 'start_round').length, 1);
+  assert.equal(follower.io.roomEvents(ROOM, 'start_round').length, 0);
+  // the leader's broadcast reaches a socket on the follower through the bus
+  assert.equal(socket.events('start_round').length, 1);
+  assert.equal(follower.engine.getTable(TEST_TABLE.id).roundId, leader.engine.getTable(TEST_TABLE.id).roundId);
+});
+
+test('a follower relays place_bet and submit_final_bets to the leader', async (t) => {
+  const h = await startCluster(t, { users: [{ id: 1, balance: 1000 }] });
+  const [, follower] = h.nodes;
+  const socket = await follower.connect(1);
+  await h.tick(0);
+  const start = socket.last('start_round');
+  const line = fairness.computeWinningLine(h.seedFor(start.serverSeedHash), start.clientSeed, start.nonce);
+
+  socket.send('place_bet', { line: `line${line}`, amount: 100, operation: 'add' });
+  await h.tick(0);
+  assert.equal(socket.last('place_bet_ack').success, true);
+  assert.equal(socket.last('place_bet_ack').bets[`line${line}`], 100);
+
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'relay-1' });
+  await h.tick(0);
+  assert.equal(socket.last('bet_accepted').newBalance, 900);
+  assert.equal(h.db.user(1).balance, 900);
+
+  // the leader pays the follower's player and finds its socket across the bus
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  const personal = socket.events('round_result').find(r => 'winAmount' in r);
+  assert.equal(personal.winAmount, 500);
+  assert.equal(h.db.user(1).balance, 1400);
+});
+
+test('an admin action on a follower runs on the leader and acks back', async (t) => {
+  const h = await startCluster(t);
+  const [leader, follower] = h.nodes;
+  await h.tick(0);
+
+  const [paused] = await follower.engine.admin.pause({ tableId: TEST_TABLE.id, reason: 'maintenance' });
+  assert.equal(paused.paused, true);
+  assert.equal(leader.engine.getTable(TEST_TABLE.id).paused, true);
+  await h.tick(0);
+  assert.equal(follower.engine.getTable(TEST_TABLE.id).paused, true);
+
+  // the leader's error comes back with its status
+  await assert.rejects(follower.engine.admin.pause({ tableId: 'nope' }), { status: 404 });
+});
+
+test('a leader handover re-bootstraps the tables on the new leader', async (t) => {
+  const h = await startCluster(t, { users: [{ id: 1, balance: 1000 }] });
+  const [oldLeader, newLeader] = h.nodes;
+  const socket = await oldLeader.connect(1);
+  await h.tick(0);
+  const start = socket.last('start_round');
+  socket.send('place_bet', { line: 'line1', amount: 100, operation: 'add' });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(h.db.user(1).balance, 900);
+
+  oldLeader.elector.stop();
+  await h.tick(0);
+  assert.equal(oldLeader.engine.isLeader(), false);
+  assert.equal(newLeader.engine.isLeader(), true);
+
+  // the new leader settled the interrupted round and started its own
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.ok(h.db.rows('player_bets').every(b => b.settled === 1));
+  assert.equal(newLeader.io.roomEvents(ROOM, 'start_round').length, 1);
+  const restart = socket.last('start_round');
+  assert.notEqual(restart.roundId, start.roundId);
+
+  // the old leader's round timers are gone: only the new leader's rounds follow
+  await h.tick(TEST_TABLE.roundDurationMs);
+  assert.equal(oldLeader.io.roomEvents(ROOM, 'start_round').length, 1);
+  assert.equal(newLeader.io.roomEvents(ROOM, 'start_round').length, 2);
+});
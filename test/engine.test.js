@@ -0,0 +1,893 @@
+// End-to-end rounds through the engine: fake time, fake sockets, in-memory DB.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairness = require('../game/fairness');
+const { emptySlip } = require('../game/betSlip');
+const { TEST_TABLE, createHarness } = require('./helpers/engineHarness');
+
+// engine logs every step; keep test output readable
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+const ROOM = `table:${TEST_TABLE.id}`;
+
+// start the first round and return its start_round payload
+async function firstRound(h) {
+  await h.tick(0);
+  const [start] = h.io.roomEvents(ROOM, 'start_round');
+  assert.ok(start, 'start_round was broadcast');
+  return start;
+}
+
+function winningLineOf(h, start) {
+  return fairness.computeWinningLine(h.seedFor(start.serverSeedHash), start.clientSeed, start.nonce);
+}
+
+async function placeSlip(socket, slip) {
+  for (const [line, amount] of Object.entries(slip)) {
+    await socket.send('place_bet', { line, amount, operation: 'add' });
+  }
+}
+
+test('a full round: start -> bets -> freeze -> result -> payout', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }, { id: 2, balance: 1000 }] });
+  const winner = await h.connect(1);
+  const loser = await h.connect(2);
+  const { sessionId, ...authenticated } = winner.last('authenticated');
+  assert.deepEqual(authenticated, { userId: 1, balance: 1000, emailVerified: true, resumed: false });
+  assert.match(sessionId, /^[0-9a-f]{32}$/);
+
+  const start = await firstRound(h);
+  assert.equal(start.tableId, TEST_TABLE.id);
+  assert.equal(start.freezeIn, TEST_TABLE.freezeOffsetMs);
+  assert.match(start.serverSeedHash, /^[0-9a-f]{64}$/);
+
+  const line = winningLineOf(h, start);
+  const otherLine = (line % 5) + 1;
+  await placeSlip(winner, { [`line${line}`]: 100 });
+  await placeSlip(loser, { [`line${otherLine}`]: 50 });
+  assert.deepEqual(winner.last('place_bet_ack').bets[`line${line}`], 100);
+
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  assert.equal(h.io.roomEvents(ROOM, 'freeze_bets').length, 1);
+
+  await winner.send('submit_final_bets', { roundId: start.roundId });
+  await loser.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(winner.last('bet_accepted').newBalance, 900);
+  assert.equal(loser.last('bet_accepted').newBalance, 950);
+
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+
+  const [roomResult] = h.io.roomEvents(ROOM, 'round_result');
+  assert.equal(roomResult.winningLine, line);
+  const personal = winner.events('round_result').find(r => 'winAmount' in r);
+  assert.equal(personal.winAmount, 500);
+  assert.equal(Number(personal.newBalance), 1400);
+  assert.equal(loser.events('round_result').find(r => 'winAmount' in r).winAmount, 0);
+
+  // balances, ledger and round rows agree
+  assert.equal(h.db.user(1).balance, 1400);
+  assert.equal(h.db.user(2).balance, 950);
+  assert.equal(h.walletBalance(1), 1400);
+  assert.equal(h.walletBalance(2), 950);
+  assert.equal(h.db.rows('ledger_entries').reduce((s, e) => s + Number(e.amount), 0), 0);
+  assert.ok(h.db.rows('player_bets').every(b => b.settled === 1));
+  const [round] = h.db.rows('game_rounds');
+  assert.equal(round.winning_line, line);
+  assert.ok(round.settled_at);
+
+  // the revealed seed verifies, and the next round is already on the clock
+  assert.equal(fairness.verifyRound(roomResult).verified, true);
+  await h.tick(TEST_TABLE.roundDurationMs - TEST_TABLE.resultOffsetMs);
+  assert.equal(h.io.roomEvents(ROOM, 'start_round').length, 2);
+});
+
+test('rounds follow each other on a fixed cadence', async () => {
+  const h = await createHarness();
+  const first = await firstRound(h);
+  await h.tick(TEST_TABLE.roundDurationMs * 3);
+  const starts = h.io.roomEvents(ROOM, 'start_round');
+  assert.equal(starts.length, 4);
+  assert.deepEqual(starts.map(s => s.roundId - first.roundId), [0, 1, 2, 3].map(i => i * TEST_TABLE.roundDurationMs));
+  assert.equal(h.io.roomEvents(ROOM, 'round_result').length, 3);
+});
+
+test('submit is refused when the balance does not cover the slip', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 40 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+
+  await placeSlip(socket, { line1: 50 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+
+  assert.equal(socket.last('bet_error').code, 'INSUFFICIENT_BALANCE');
+  assert.equal(h.db.user(1).balance, 40);
+  assert.equal(h.db.rows('player_bets').length, 0);
+});
+
+test('a retried submit with the same requestId gets the original answer and is charged once', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+
+  await placeSlip(socket, { line1: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-1' });
+  await h.tick(0);
+  const original = socket.last('bet_accepted');
+  assert.equal(original.requestId, 'req-1');
+
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-1' });
+  await h.tick(0);
+  assert.deepEqual(socket.last('bet_accepted'), { ...original, duplicate: true });
+
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-2' });
+  await h.tick(0);
+  assert.equal(socket.last('bet_error').code, 'ALREADY_SUBMITTED');
+
+  assert.equal(h.db.user(1).balance, 900);
+  assert.equal(h.db.rows('player_bets').length, 1);
+  assert.equal(h.db.rows('bet_submissions').length, 1);
+});
+
+test('two submits racing while the round row is stored reserve once and charge once', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const release = h.db.holdOn('INSERT INTO game_rounds');
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  const line = winningLineOf(h, start);
+  await placeSlip(socket, { [`line${line}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+
+  const first = socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-a' });
+  const second = socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-b' });
+  release();
+  await Promise.all([first, second]);
+  await h.tick(0);
+  assert.equal(socket.last('bet_error').code, 'ALREADY_SUBMITTED');
+  assert.equal(socket.last('bet_accepted').requestId, 'req-a');
+  assert.equal(h.db.user(1).balance, 900);
+
+  // the reservation that won is still there to be replayed and paid
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-a' });
+  assert.equal(socket.last('bet_accepted').duplicate, true);
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  assert.equal(h.db.user(1).balance, 1400);
+});
+
+test('a retry that arrives after its round has ended still gets the original answer', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+
+  await placeSlip(socket, { line1: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-1' });
+  await h.tick(0);
+  const original = socket.last('bet_accepted');
+
+  await h.tick(TEST_TABLE.roundDurationMs - TEST_TABLE.freezeOffsetMs);
+  assert.notEqual(socket.last('start_round').roundId, start.roundId);
+
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-1' });
+  assert.deepEqual(socket.last('bet_accepted'), { ...original, duplicate: true });
+
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-2' });
+  assert.equal(socket.last('bet_error').code, 'ROUND_MISMATCH');
+  assert.equal(h.db.rows('bet_submissions').length, 1);
+});
+
+test('a submission already stored for the round is replayed from the DB, never charged again', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  const roundId = h.db.rows('game_rounds')[0].id;
+  const stored = { success: true, newBalance: 900, bets: { line2: 100 }, requestId: 'req-1' };
+  // committed by a request this instance no longer tracks in memory
+  h.db.insert('bet_submissions', { user_id: 1, round_id: roundId, request_id: 'req-1', total_amount: 100, response: JSON.stringify(stored) });
+
+  await placeSlip(socket, { line1: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-1' });
+  await h.tick(0);
+  assert.deepEqual(socket.last('bet_accepted'), { ...stored, duplicate: true });
+
+  await socket.send('submit_final_bets', { roundId: start.roundId, requestId: 'req-2' });
+  await h.tick(0);
+  assert.equal(socket.last('bet_error').code, 'ALREADY_SUBMITTED');
+
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.db.rows('player_bets').length, 0);
+});
+
+test('place_bet after freeze is rejected', async () => {
+  const h = await createHarness({ users: [{ id: 1 }] });
+  const socket = await h.connect(1);
+  await firstRound(h);
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+
+  await socket.send('place_bet', { line: 'line1', amount: 10, operation: 'add' });
+  assert.equal(socket.last('bet_error').code, 'BETTING_CLOSED');
+});
+
+test('guests can watch but not bet', async () => {
+  const h = await createHarness();
+  const guest = await h.connect();
+  await firstRound(h);
+
+  await guest.send('place_bet', { line: 'line1', amount: 10, operation: 'add' });
+  assert.equal(guest.last('bet_error').code, 'NOT_AUTHENTICATED');
+  assert.equal(guest.events('start_round').length, 1);
+});
+
+test('a daily loss limit stops the stake that would break it', async () => {
+  const h = await createHarness({
+    users: [{ id: 1, balance: 1000 }],
+    before: (db) => { db.insert('rg_limits', { user_id: 1, kind: 'loss', period: 'day', amount: 100 }); }
+  });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+
+  await placeSlip(socket, { line1: 100, line2: 50 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+
+  const err = socket.last('bet_error');
+  assert.equal(err.code, 'LOSS_LIMIT_REACHED');
+  assert.equal(err.details.remaining, 100);
+  assert.equal(h.db.user(1).balance, 1000);
+});
+
+test('voiding a round refunds every accepted submission', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 500 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+
+  await placeSlip(socket, { line1: 100, line3: 50 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(h.db.user(1).balance, 350);
+
+  const result = await h.engine.admin.voidRound({ tableId: TEST_TABLE.id, reason: 'dealer error' });
+  await h.tick(0);
+
+  assert.equal(result.totalRefunded, 150);
+  assert.equal(h.db.user(1).balance, 500);
+  assert.equal(h.walletBalance(1), 500);
+  assert.equal(socket.last('bet_refunded').amount, 150);
+  assert.equal(h.io.roomEvents(ROOM, 'round_voided')[0].reason, 'dealer error');
+  const [round] = h.db.rows('game_rounds');
+  assert.ok(round.voided_at);
+  assert.ok(round.settled_at);
+  // the voided round never produces a result; a fresh round starts instead
+  assert.equal(h.io.roomEvents(ROOM, 'round_result').length, 0);
+  assert.equal(h.io.roomEvents(ROOM, 'start_round').length, 2);
+});
+
+test('a paused table finishes its round and waits for resume', async () => {
+  const h = await createHarness();
+  await firstRound(h);
+
+  await h.engine.admin.pause({ tableId: TEST_TABLE.id });
+  await h.tick(TEST_TABLE.roundDurationMs * 2);
+  assert.equal(h.io.roomEvents(ROOM, 'round_result').length, 1);
+  assert.equal(h.io.roomEvents(ROOM, 'start_round').length, 1);
+  assert.equal(h.engine.getTable(TEST_TABLE.id).isBettingOpen, false);
+
+  await h.engine.admin.resume({ tableId: TEST_TABLE.id });
+  await h.tick(0);
+  assert.equal(h.io.roomEvents(ROOM, 'start_round').length, 2);
+});
+
+// bet 100 on the winning line and run the round up to its result
+async function winningSubmission(h) {
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  await placeSlip(socket, { [`line${winningLineOf(h, start)}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  return { socket, start };
+}
+
+const PAYOUT_UPDATE = 'UPDATE player_bets SET settled = 1 WHERE round_id = ? AND user_id = ?';
+
+test('a failed payout is retried with backoff until it lands', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  h.db.failOn(PAYOUT_UPDATE, { times: 2 });
+  const { socket } = await winningSubmission(h);
+
+  assert.equal(h.db.user(1).balance, 900);
+  assert.equal(h.db.rows('game_rounds')[0].settled_at, null);
+  assert.equal(h.db.rows('player_bets')[0].payout_attempts, 1);
+  assert.ok(!socket.events('round_result').some(r => 'winAmount' in r));
+
+  await h.tick(500 + 1000);
+  assert.equal(h.db.user(1).balance, 1400);
+  assert.equal(h.walletBalance(1), 1400);
+  assert.equal(socket.events('round_result').find(r => 'winAmount' in r).winAmount, 500);
+  assert.equal(h.db.rows('player_bets')[0].payout_attempts, 2);
+  assert.ok(h.db.rows('game_rounds')[0].settled_at);
+  assert.equal(h.io.roomEvents(ROOM, 'round_voided').length, 0);
+});
+
+test('a round whose payouts keep failing is voided and the stakes refunded', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  h.db.failOn(PAYOUT_UPDATE);
+  const { socket, start } = await winningSubmission(h);
+
+  await h.tick(500 + 1000 + 2000 + 4000);
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.walletBalance(1), 1000);
+  assert.equal(socket.last('bet_refunded').amount, 100);
+  assert.deepEqual(h.io.roomEvents(ROOM, 'round_voided').map(e => [e.roundId, e.reason]), [[start.roundId, 'settlement_failed']]);
+  const round = h.db.rows('game_rounds')[0];
+  assert.ok(round.voided_at);
+  assert.ok(round.settled_at);
+  assert.equal(h.db.rows('player_bets')[0].payout_attempts, 5);
+  // the voided round drops out of the results window
+  assert.equal(h.io.roomEvents(ROOM, 'results_summary').at(-1).size, 0);
+});
+
+test('a submission still committing when the result fires is paid once it lands', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  const line = winningLineOf(h, start);
+  await placeSlip(socket, { [`line${line}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+
+  const release = h.db.holdOn('INSERT INTO bet_submissions');
+  const submitted = socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  assert.equal(h.io.roomEvents(ROOM, 'round_result').length, 1);
+  assert.equal(h.db.rows('game_rounds')[0].settled_at, null);
+
+  release();
+  await submitted;
+  await h.tick(0);
+  assert.equal(socket.last('bet_accepted').newBalance, 900);
+  assert.equal(socket.events('round_result').find(r => 'winAmount' in r).winAmount, 500);
+  assert.equal(h.db.user(1).balance, 1400);
+  assert.equal(h.walletBalance(1), 1400);
+  assert.ok(h.db.rows('player_bets').every(b => b.settled === 1));
+
+  // the next settlement pass finds nothing left and closes the round
+  await h.tick(500);
+  assert.ok(h.db.rows('game_rounds')[0].settled_at);
+  assert.equal(h.io.roomEvents(ROOM, 'round_voided').length, 0);
+});
+
+test('a result that cannot be stored voids the round instead of announcing it', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  h.db.failOn('UPDATE game_rounds SET end_time = ?, winning_line = ?');
+  await winningSubmission(h);
+  await h.tick(500 + 1000 + 2000 + 4000);
+
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.io.roomEvents(ROOM, 'round_result').length, 0);
+  assert.equal(h.io.roomEvents(ROOM, 'round_voided')[0].reason, 'result_not_stored');
+  assert.ok(h.db.rows('game_rounds')[0].voided_at);
+  // the table carries on with the next round
+  assert.equal(h.io.roomEvents(ROOM, 'start_round').length, 2);
+});
+
+test('outside bets are stored with their type and each pays its own multiplier', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  const line = winningLineOf(h, start);
+  const parity = line % 2 ? 'odd' : 'even';
+  const split = line < 5 ? `split${line}-${line + 1}` : 'split4-5';
+  const miss = line <= 2 ? 'high' : 'low';
+
+  await placeSlip(socket, { [parity]: 100, [split]: 50, [miss]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+
+  const parityWin = parity === 'odd' ? 166.66 : 250; // 5x over 3 lines / over 2 lines
+  const expected = parityWin + 125;
+  assert.equal(socket.events('round_result').find(r => 'winAmount' in r).winAmount, expected);
+  assert.equal(h.db.user(1).balance, 1000 - 250 + expected);
+  assert.equal(h.walletBalance(1), 1000 - 250 + expected);
+
+  const stored = Object.fromEntries(h.db.rows('player_bets').map(b => [b.line, [b.bet_type, b.covered_lines]]));
+  assert.deepEqual(stored[split], ['split', split.slice(5).replace('-', ',')]);
+  assert.equal(stored[parity][0], parity);
+  assert.equal(h.db.rows('ledger_transactions').filter(tx => tx.entry_type === 'win').length, 2);
+});
+
+test('startup recovery prices outside bets through the registry', async () => {
+  const h = await createHarness({
+    users: [{ id: 1, balance: 800 }],
+    before: (db) => {
+      db.insert('game_rounds', { id: 7, table_id: TEST_TABLE.id, start_time: new Date(0), winning_line: 3, win_multiplier: 5 });
+      db.insert('player_bets', { round_id: 7, user_id: 1, line: 'odd', bet_type: 'odd', covered_lines: '1,3,5', amount: 100 });
+      db.insert('player_bets', { round_id: 7, user_id: 1, line: 'high', bet_type: 'high', covered_lines: '4,5', amount: 100 });
+    }
+  });
+  await h.tick(0);
+
+  assert.equal(h.db.user(1).balance, 800 + 166.66);
+  assert.ok(h.db.rows('player_bets').every(b => b.settled === 1));
+});
+
+test('startup recovery refunds bets of a round left unsettled', async () => {
+  const h = await createHarness({
+    users: [{ id: 1, balance: 900 }],
+    before: (db) => {
+      db.insert('game_rounds', { id: 7, table_id: TEST_TABLE.id, start_time: new Date(0) });
+      db.insert('player_bets', { round_id: 7, user_id: 1, line: 'line2', amount: 100 });
+    }
+  });
+  await h.tick(0);
+
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.db.rows('game_rounds').find(r => r.id === 7).settled_at instanceof Date, true);
+  assert.ok(h.db.rows('player_bets').every(b => b.settled === 1));
+});
+
+test('startup recovery pays the jackpot shares a proven hit still owes', async (t) => {
+  process.env.JACKPOT_ODDS = '1'; // every seed hits
+  t.after(() => { delete process.env.JACKPOT_ODDS; });
+
+  const h = await createHarness({
+    users: [{ id: 1, balance: 900 }, { id: 2, balance: 1000 }, { id: 3, balance: 900 }],
+    before: (db) => {
+      db.insert('game_rounds', {
+        id: 7, table_id: TEST_TABLE.id, start_time: new Date(0), winning_line: 2, win_multiplier: 5,
+        server_seed: 'seed', server_seed_hash: fairness.hashServerSeed('seed'), client_seed: 'luckyfive', nonce: 'test:7'
+      });
+      // user 2 was paid (win and a 450 share of the 600 pool) before the process died
+      db.insert('jackpots', { table_id: TEST_TABLE.id, amount: 150 });
+      db.insert('player_bets', { round_id: 7, user_id: 1, line: 'line2', amount: 100 });
+      db.insert('player_bets', { round_id: 7, user_id: 2, line: 'line2', amount: 300, settled: 1 });
+      db.insert('player_bets', { round_id: 7, user_id: 3, line: 'line1', amount: 100 });
+      db.insert('ledger_transactions', { id: 50, entry_type: 'jackpot', user_id: 2, round_id: 7 });
+      db.insert('ledger_entries', { transaction_id: 50, account: 'user:2', user_id: 2, amount: 450 });
+      db.insert('ledger_entries', { transaction_id: 50, account: 'house:jackpot', user_id: null, amount: -450 });
+    }
+  });
+  await h.tick(0);
+
+  assert.equal(h.db.user(1).balance, 900 + 500 + 150);
+  assert.equal(h.db.user(2).balance, 1000);
+  assert.equal(h.db.user(3).balance, 900);
+  assert.equal(h.db.rows('jackpots')[0].amount, 0);
+  assert.equal(h.db.rows('jackpots')[0].last_hit_round_id, 7);
+  assert.equal(h.engine.getTable(TEST_TABLE.id).jackpot, 0);
+  assert.ok(h.db.rows('ledger_transactions').some(tx => tx.entry_type === 'jackpot' && tx.user_id === 1 && tx.round_id === 7));
+});
+
+test('startup recovery takes a refunded stake\'s jackpot contribution back out', async () => {
+  const h = await createHarness({
+    users: [{ id: 1, balance: 900 }],
+    before: (db) => {
+      db.insert('game_rounds', { id: 8, table_id: TEST_TABLE.id, start_time: new Date(0) });
+      db.insert('jackpots', { table_id: TEST_TABLE.id, amount: 1 });
+      db.insert('player_bets', { round_id: 8, user_id: 1, line: 'line2', amount: 100 });
+      db.insert('ledger_transactions', { id: 60, entry_type: 'jackpot_fund', user_id: 1, round_id: 8 });
+      db.insert('ledger_entries', { transaction_id: 60, account: 'house:jackpot', user_id: null, amount: 1 });
+      db.insert('ledger_entries', { transaction_id: 60, account: 'house:game', user_id: null, amount: -1 });
+    }
+  });
+  await h.tick(0);
+
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.db.rows('jackpots')[0].amount, 0);
+  assert.equal(h.engine.getTable(TEST_TABLE.id).jackpot, 0);
+  const pool = h.db.rows('ledger_entries').filter(e => e.account === 'house:jackpot').reduce((sum, e) => sum + Number(e.amount), 0);
+  assert.equal(pool, 0);
+});
+
+test('blocked accounts are refused at the handshake', async () => {
+  const h = await createHarness({ users: [{ id: 1, status: 'banned' }, { id: 2, exclusion_type: 'cool_off', excluded_until: new Date(Date.UTC(2030, 0, 1)) }] });
+  await assert.rejects(h.connect(1), /banned/);
+  await assert.rejects(h.connect(2), /Cool-off/);
+  await assert.rejects(h.io.connect({ token: 'garbage' }), /Invalid token/);
+});
+
+test('round_stats aggregates the slips and is throttled', async () => {
+  const h = await createHarness({ users: [{ id: 1 }, { id: 2 }] });
+  const a = await h.connect(1);
+  const b = await h.connect(2);
+  await firstRound(h);
+
+  await placeSlip(a, { line1: 100 });
+  await placeSlip(b, { line1: 50, line4: 20 });
+  await b.send('place_bet', { line: 'line4', amount: 0, operation: 'remove' });
+
+  // the first change goes out at once, the rest are coalesced into one trailing update
+  let stats = h.io.roomEvents(ROOM, 'round_stats');
+  assert.equal(stats.length, 1);
+  assert.equal(stats[0].activePlayers, 1);
+
+  await h.tick(1000);
+  stats = h.io.roomEvents(ROOM, 'round_stats');
+  assert.equal(stats.length, 2);
+  assert.deepEqual(stats[1].lines.line1, { total: 150, players: 2 });
+  assert.deepEqual(stats[1].lines.line4, { total: 0, players: 0 });
+  assert.equal(stats[1].totalStake, 150);
+  assert.equal(stats[1].activePlayers, 2);
+
+  // late joiners get the same numbers in current_state
+  const watcher = await h.connect();
+  await watcher.send('join_game', { tableId: TEST_TABLE.id });
+  assert.deepEqual(watcher.last('current_state').stats, { lines: stats[1].lines, bets: stats[1].bets, totalStake: 150, activePlayers: 2 });
+});
+
+test('results_summary keeps a rolling window of winning lines, seeded from the DB', async () => {
+  const h = await createHarness({
+    before: (db) => {
+      for (const [id, line] of [[1, 3], [2, 5]]) {
+        db.insert('game_rounds', { id, table_id: TEST_TABLE.id, start_time: new Date(0), winning_line: line, settled_at: new Date(0) });
+      }
+    }
+  });
+  const start = await firstRound(h);
+  await h.tick(TEST_TABLE.resultOffsetMs);
+
+  const [summary] = h.io.roomEvents(ROOM, 'results_summary');
+  const line = winningLineOf(h, start);
+  assert.deepEqual(summary.winningLines, [line, 5, 3]);
+  assert.equal(summary.size, 3);
+  assert.equal(Object.values(summary.counts).reduce((s, n) => s + n, 0), 3);
+
+  const watcher = await h.connect();
+  await watcher.send('join_game', {});
+  assert.deepEqual(watcher.last('current_state').recentResults.winningLines, [line, 5, 3]);
+});
+
+test('a resumed session returns to its table with the slip intact', async () => {
+  const second = { ...TEST_TABLE, id: 'second', name: 'Second table' };
+  const h = await createHarness({ tables: [TEST_TABLE, second], users: [{ id: 1 }] });
+  const phone = await h.connect(1);
+  await h.tick(0);
+  await phone.send('join_game', { tableId: 'second' });
+  await placeSlip(phone, { line2: 50 });
+  const { sessionId } = phone.last('authenticated');
+
+  phone.disconnect();
+  await h.tick(5_000);
+  const again = await h.connect(1, { sessionId });
+  await h.tick(0);
+
+  assert.equal(again.last('authenticated').resumed, true);
+  assert.equal(again.last('authenticated').sessionId, sessionId);
+  const state = again.last('current_state');
+  assert.equal(state.tableId, 'second');
+  assert.equal(state.bets.line2, 50);
+  assert.ok(again.rooms.has('table:second'));
+  assert.ok(!again.rooms.has(ROOM));
+});
+
+test('an unknown or expired sessionId starts a new session', async () => {
+  const h = await createHarness({ users: [{ id: 1 }] });
+  const first = await h.connect(1);
+  const { sessionId } = first.last('authenticated');
+  first.disconnect();
+
+  await h.tick(120_000);
+  const later = await h.connect(1, { sessionId });
+  assert.equal(later.last('authenticated').resumed, false);
+  assert.notEqual(later.last('authenticated').sessionId, sessionId);
+  assert.equal(later.events('current_state').length, 0);
+});
+
+test('a held session is only resumed with its own sessionId', async () => {
+  const second = { ...TEST_TABLE, id: 'second', name: 'Second table' };
+  const h = await createHarness({ tables: [TEST_TABLE, second], users: [{ id: 1 }] });
+  const phone = await h.connect(1);
+  await phone.send('join_game', { tableId: 'second' });
+  const { sessionId } = phone.last('authenticated');
+  phone.disconnect();
+
+  for (const auth of [{}, { sessionId: 'f'.repeat(32) }]) {
+    const other = await h.connect(1, auth);
+    assert.equal(other.last('authenticated').resumed, false);
+    assert.notEqual(other.last('authenticated').sessionId, sessionId);
+    assert.ok(!other.rooms.has('table:second'));
+    other.disconnect();
+  }
+
+  // the old session is gone, not waiting to be resumed
+  const late = await h.connect(1, { sessionId });
+  assert.equal(late.last('authenticated').resumed, false);
+});
+
+test('a result missed while offline is replayed on the next join_game', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  const line = winningLineOf(h, start);
+
+  await placeSlip(socket, { [`line${line}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  socket.disconnect();
+
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  assert.equal(socket.events('round_result').length, 0);
+
+  const back = await h.connect(1);
+  await back.send('join_game', {});
+  const replayed = back.last('round_result');
+  assert.equal(replayed.replayed, true);
+  assert.equal(replayed.winAmount, 500);
+  assert.equal(Number(replayed.newBalance), 1400);
+
+  // delivered once only
+  await back.send('join_game', {});
+  assert.equal(back.events('round_result').filter(r => r.replayed).length, 1);
+});
+
+test('personal events reach every device of the user', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const phone = await h.connect(1);
+  const laptop = await h.connect(1);
+  const start = await firstRound(h);
+  const line = winningLineOf(h, start);
+
+  await placeSlip(phone, { [`line${line}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await phone.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+
+  for (const device of [phone, laptop]) {
+    assert.equal(device.last('bet_accepted').newBalance, 900);
+    assert.deepEqual(device.last('balance_update'), { balance: 900, reason: 'bet', serverTime: h.clock.now() });
+  }
+
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  for (const device of [phone, laptop]) {
+    assert.equal(device.events('round_result').find(r => 'winAmount' in r).winAmount, 500);
+  }
+});
+
+test('with SINGLE_BETTING_DEVICE only one device bets per round until it drops', async (t) => {
+  process.env.SINGLE_BETTING_DEVICE = 'true';
+  t.after(() => { delete process.env.SINGLE_BETTING_DEVICE; });
+
+  const h = await createHarness({ users: [{ id: 1 }] });
+  const phone = await h.connect(1);
+  const laptop = await h.connect(1);
+  await firstRound(h);
+
+  await placeSlip(phone, { line1: 50 });
+  await laptop.send('place_bet', { line: 'line2', amount: 50, operation: 'add' });
+  assert.equal(laptop.last('bet_error').code, 'OTHER_DEVICE_ACTIVE');
+  assert.equal(laptop.last('place_bet_ack').bets.line1, 50);
+
+  await laptop.send('join_game', {});
+  assert.equal(laptop.last('current_state').bettingOnOtherDevice, true);
+
+  // the phone goes away: the laptop takes over the same slip
+  phone.disconnect();
+  await placeSlip(laptop, { line2: 50 });
+  assert.deepEqual(laptop.last('place_bet_ack'), { success: true, bets: { ...emptySlip(), line1: 50, line2: 50 } });
+});
+
+test('a game_config change applies at the next round boundary and is announced', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  assert.equal(start.configChanged, false);
+  assert.equal(start.config.winMultiplier, 5);
+
+  const line = winningLineOf(h, start);
+  await placeSlip(socket, { [`line${line}`]: 100 });
+
+  h.db.insert('game_config', { table_id: TEST_TABLE.id, freeze_offset_ms: 5_000, win_multiplier: 3 });
+  await h.engine.admin.reloadConfig();
+  assert.equal(h.engine.getTable(TEST_TABLE.id).configPending, true);
+
+  // the running round keeps its announced timings and multiplier
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  assert.equal(socket.events('round_result').find(r => 'winAmount' in r).winAmount, 500);
+
+  await h.tick(TEST_TABLE.roundDurationMs - TEST_TABLE.resultOffsetMs);
+  const next = h.io.roomEvents(ROOM, 'start_round')[1];
+  assert.equal(next.configChanged, true);
+  assert.equal(next.config.winMultiplier, 3);
+  assert.equal(next.freezeIn, 5_000);
+  assert.equal(h.db.rows('game_rounds')[1].win_multiplier, 3);
+
+  await h.tick(5_000);
+  assert.equal(h.io.roomEvents(ROOM, 'freeze_bets').length, 2);
+});
+
+test('an invalid game_config row is ignored', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const h = await createHarness({
+    before: (db) => { db.insert('game_config', { table_id: TEST_TABLE.id, freeze_offset_ms: 13_000 }); }
+  });
+  const start = await firstRound(h);
+
+  assert.equal(start.config.freezeOffsetMs, TEST_TABLE.freezeOffsetMs);
+  assert.equal(start.configChanged, false);
+  assert.match(String(errors.mock.calls[0].arguments[0]), /rejected game_config for table test/);
+});
+
+test('stakes fund the table jackpot, a hit splits it between the winning-line stakes', async (t) => {
+  process.env.JACKPOT_CONTRIBUTION_RATE = '0.1';
+  process.env.JACKPOT_ODDS = '1'; // every round hits
+  t.after(() => { delete process.env.JACKPOT_CONTRIBUTION_RATE; delete process.env.JACKPOT_ODDS; });
+
+  const h = await createHarness({
+    users: [{ id: 1, balance: 1000 }, { id: 2, balance: 1000 }, { id: 3, balance: 1000 }],
+    before: (db) => { db.insert('jackpots', { table_id: TEST_TABLE.id, amount: 1000 }); }
+  });
+  const sockets = [await h.connect(1), await h.connect(2), await h.connect(3)];
+  const start = await firstRound(h);
+  assert.equal(start.jackpot, 1000);
+
+  const line = winningLineOf(h, start);
+  await placeSlip(sockets[0], { [`line${line}`]: 100 });
+  await placeSlip(sockets[1], { [`line${line}`]: 500 });
+  await placeSlip(sockets[2], { [`line${(line % 5) + 1}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  for (const socket of sockets) await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(h.engine.getTable(TEST_TABLE.id).jackpot, 1070);
+
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  // 1070 split 100 : 500 between the two stakes on the winning line
+  assert.deepEqual(h.io.roomEvents(ROOM, 'round_result')[0].jackpot, { amount: 0.01, hit: true, won: 1069.99 });
+  assert.equal(sockets[0].events('round_result').find(r => 'jackpotWin' in r).jackpotWin, 178.33);
+  assert.equal(sockets[1].events('round_result').find(r => 'jackpotWin' in r).jackpotWin, 891.66);
+  assert.equal(h.db.user(1).balance, 1000 - 100 + 500 + 178.33);
+  assert.equal(h.db.user(3).balance, 900);
+
+  // the cent left over stays in the pool; the ledger account moved exactly as the pool did
+  // (the opening 1000 was inserted above without a ledger entry)
+  const jackpotAccount = h.db.rows('ledger_entries').filter(e => e.account === 'house:jackpot').reduce((sum, e) => sum + e.amount, 0);
+  assert.equal(Math.round(jackpotAccount * 100) / 100, -999.99);
+  assert.equal(Math.round(h.db.rows('jackpots')[0].amount * 100) / 100, 0.01);
+  assert.equal(h.db.rows('jackpots')[0].last_hit_round_id, h.db.rows('game_rounds')[0].id);
+  assert.ok(h.db.rows('ledger_transactions').some(tx => tx.entry_type === 'jackpot' && tx.user_id === 2));
+});
+
+test('a refunded stake takes its jackpot contribution back out', async (t) => {
+  process.env.JACKPOT_CONTRIBUTION_RATE = '0.05';
+  t.after(() => { delete process.env.JACKPOT_CONTRIBUTION_RATE; });
+
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  const start = await firstRound(h);
+  await placeSlip(socket, { line1: 100, line2: 50 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await socket.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(h.db.rows('jackpots')[0].amount, 7.5);
+
+  await h.engine.admin.voidRound({ tableId: TEST_TABLE.id, reason: 'dealer error' });
+  await h.tick(0);
+  assert.equal(h.db.rows('jackpots')[0].amount, 0);
+  assert.equal(h.engine.getTable(TEST_TABLE.id).jackpot, 0);
+  assert.equal(h.db.user(1).balance, 1000);
+  assert.equal(h.db.rows('ledger_entries').reduce((sum, e) => sum + Number(e.amount), 0), 0);
+});
+
+test('a matrix table reveals its grid column by column and pays the top column', async () => {
+  const h = await createHarness({ tables: [{ ...TEST_TABLE, mode: 'matrix' }], users: [{ id: 1, balance: 1000 }, { id: 2, balance: 1000 }] });
+  const early = await h.connect(1);
+  const late = await h.connect(2);
+  const start = await firstRound(h);
+  assert.equal(start.config.mode, 'matrix');
+  assert.equal('matrix' in start, false);
+
+  const seed = h.seedFor(start.serverSeedHash);
+  const { winningLine, matrix } = fairness.computeRoundResult(seed, start.clientSeed, start.nonce, 'matrix');
+  await placeSlip(early, { [`line${winningLine}`]: 100 });
+  await placeSlip(late, { [`line${winningLine}`]: 100 });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+  await early.send('submit_final_bets', { roundId: start.roundId });
+  await h.tick(0);
+  assert.equal(early.last('bet_accepted').newBalance, 900);
+
+  // the first column is out: too late to submit, and a late joiner sees only that column
+  await h.tick(Math.ceil((TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs) / 6));
+  assert.deepEqual(h.io.roomEvents(ROOM, 'reveal_column').map(r => r.column), [1]);
+  await late.send('submit_final_bets', { roundId: start.roundId });
+  assert.equal(late.last('bet_error').code, 'BETTING_CLOSED');
+  await late.send('join_game', {});
+  assert.deepEqual(late.last('current_state').matrix, [matrix[0], null, null, null, null]);
+
+  await h.tick(TEST_TABLE.resultOffsetMs - TEST_TABLE.freezeOffsetMs);
+  const reveals = h.io.roomEvents(ROOM, 'reveal_column');
+  assert.deepEqual(reveals.map(r => r.column), [1, 2, 3, 4, 5]);
+  assert.deepEqual(reveals.map(r => r.numbers), matrix);
+  assert.ok(reveals.every(r => r.sum === r.numbers.reduce((s, n) => s + n, 0)));
+  assert.equal(Math.max(...reveals.map(r => r.sum)), reveals[winningLine - 1].sum);
+
+  const [result] = h.io.roomEvents(ROOM, 'round_result');
+  assert.equal(result.winningLine, winningLine);
+  assert.deepEqual(result.matrix, matrix);
+  assert.equal(h.db.user(1).balance, 1400);
+  assert.equal(h.db.user(2).balance, 1000);
+
+  // stored with the round for history, and the verify check covers the grid
+  const [round] = h.db.rows('game_rounds');
+  assert.equal(round.mode, 'matrix');
+  assert.deepEqual(JSON.parse(round.matrix), matrix);
+  assert.equal(fairness.verifyRound(result).verified, true);
+});
+
+test('an auto-bet run keeps betting while the player is offline and stops after its rounds', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 1000 }] });
+  const socket = await h.connect(1);
+  await firstRound(h);
+  await socket.send('auto_bet_start', { strategy: 'fixed', bets: { line1: 100 }, stop: { rounds: 2 } });
+  assert.deepEqual(
+    (({ active, strategy, rounds, net }) => ({ active, strategy, rounds, net }))(socket.last('auto_bet_status')),
+    { active: true, strategy: 'fixed', rounds: 0, net: 0 }
+  );
+
+  socket.disconnect();
+  await h.tick(TEST_TABLE.roundDurationMs * 3);
+
+  const submissions = h.db.rows('bet_submissions');
+  assert.deepEqual(submissions.map(s => s.request_id.startsWith('auto:')), [true, true]);
+  const wins = h.db.rows('game_rounds').slice(0, 2).filter(r => r.winning_line === 1).length;
+  assert.equal(h.db.user(1).balance, 1000 - 200 + 500 * wins);
+  assert.equal(h.walletBalance(1), h.db.user(1).balance);
+
+  const again = await h.connect(1);
+  await again.send('join_game', {});
+  assert.equal(again.last('current_state').autoBet, null);
+});
+
+test('double_on_loss doubles the stake after a loss and reports every round', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 10000 }] });
+  const socket = await h.connect(1);
+  await firstRound(h);
+  await socket.send('auto_bet_start', { strategy: 'double_on_loss', bets: { line1: 10 }, stop: { rounds: 4 } });
+
+  const expected = [];
+  let stake = 10;
+  let net = 0;
+  for (let i = 0; i < 4; i++) {
+    const line = winningLineOf(h, h.io.roomEvents(ROOM, 'start_round')[i]);
+    expected.push(stake);
+    await h.tick(TEST_TABLE.roundDurationMs);
+    const won = line === 1 ? stake * TEST_TABLE.winMultiplier : 0;
+    net += won - stake;
+    stake = won ? 10 : stake * 2;
+  }
+  await h.tick(TEST_TABLE.roundDurationMs);
+
+  assert.deepEqual(h.db.rows('player_bets').map(b => b.amount), expected);
+  const last = socket.last('auto_bet_status');
+  assert.equal(last.active, false);
+  assert.equal(last.reason, 'rounds');
+  assert.equal(last.net, net);
+  assert.equal(h.db.user(1).balance, 10000 + net);
+  assert.ok(socket.events('auto_bet_status').some(s => s.betRoundId));
+});
+
+test('auto-bet stops when a submission is rejected', async () => {
+  const h = await createHarness({ users: [{ id: 1, balance: 50 }] });
+  const socket = await h.connect(1);
+  await firstRound(h);
+  await socket.send('auto_bet_start', { strategy: 'fixed', bets: { line2: 100 } });
+  await h.tick(TEST_TABLE.freezeOffsetMs);
+
+  const stopped = socket.last('auto_bet_status');
+  assert.equal(stopped.active, false);
+  assert.equal(stopped.reason, 'bet_rejected');
+  assert.equal(stopped.error.code, 'INSUFFICIENT_BALANCE');
+  await h.tick(TEST_TABLE.roundDurationMs);
+  assert.equal(h.db.rows('bet_submissions').length, 0);
+  assert.equal(h.db.user(1).balance, 50);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairness = require('../game/fairness');
+const { createSeededRng } = require('./helpers/engineHarness');
+
+test('a round seed commits to its server seed and verifies after reveal', () => {
+  const seed = fairness.createRoundSeed('test:1', createSeededRng());
+  assert.equal(seed.serverSeedHash, fairness.hashServerSeed(seed.serverSeed));
+
+  const winningLine = fairness.computeWinningLine(seed.serverSeed, seed.clientSeed, seed.nonce);
+  assert.ok(winningLine >= 1 && winningLine <= fairness.LINE_COUNT);
+  assert.equal(fairness.verifyRound({ ...seed, winningLine }).verified, true);
+  assert.equal(fairness.verifyRound({ ...seed, winningLine: (winningLine % 5) + 1 }).verified, false);
+});
+
+test('the same RNG seed produces the same rounds', () => {
+  const a = fairness.createRoundSeed('test:1', createSeededRng('x'));
+  const b = fairness.createRoundSeed('test:1', createSeededRng('x'));
+  const c = fairness.createRoundSeed('test:1', createSeededRng('y'));
+  assert.equal(a.serverSeed, b.serverSeed);
+  assert.notEqual(a.serverSeed, c.serverSeed);
+});
+
+test('every line comes up', () => {
+  const rng = createSeededRng();
+  const seen = new Set();
+  for (let i = 0; i < 200; i++) {
+    const s = fairness.createRoundSeed(`test:${i}`, rng);
+    seen.add(fairness.computeWinningLine(s.serverSeed, s.clientSeed, s.nonce));
+  }
+  assert.deepEqual([...seen].sort(), [1, 2, 3, 4, 5]);
+});
+
+test('a matrix round wins on its top column and verifies against the stored grid', () => {
+  const seed = fairness.createRoundSeed('test:1', createSeededRng());
+  const { winningLine, matrix } = fairness.computeRoundResult(seed.serverSeed, seed.clientSeed, seed.nonce, 'matrix');
+  assert.equal(matrix.length, fairness.LINE_COUNT);
+  assert.ok(matrix.every(column => column.length === fairness.MATRIX_ROWS && column.every(n => n >= 1 && n <= 99)));
+  const sums = matrix.map(column => column.reduce((s, n) => s + n, 0));
+  assert.equal(sums[winningLine - 1], Math.max(...sums));
+
+  assert.equal(fairness.verifyRound({ ...seed, mode: 'matrix', winningLine, matrix }).verified, true);
+  const tampered = matrix.map(column => [...column]);
+  tampered[0][0] = tampered[0][0] === 1 ? 2 : 1;
+  assert.equal(fairness.verifyRound({ ...seed, mode: 'matrix', winningLine, matrix: tampered }).verified, false);
+});
+
+test('a tie between matrix columns is broken by the draw, not by position', () => {
+  const matrix = [[10], [50], [20], [50], [5]];
+  assert.equal(fairness.matrixWinningLine(matrix, 0), 2);
+  assert.equal(fairness.matrixWinningLine(matrix, 0.99), 4);
+});
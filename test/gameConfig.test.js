@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTableConfigs } = require('../game/tables');
+const gameConfig = require('../game/gameConfig');
+const { TEST_TABLE } = require('./helpers/engineHarness');
+
+const [base] = loadTableConfigs([TEST_TABLE]);
+
+test('overrides merge over the static config field by field', () => {
+  const merged = gameConfig.mergeTableConfig(base, { winMultiplier: 4, limits: { maxStake: 200 } });
+  assert.equal(merged.winMultiplier, 4);
+  assert.equal(merged.freezeOffsetMs, TEST_TABLE.freezeOffsetMs);
+  assert.equal(merged.limits.maxStake, 200);
+  assert.equal(merged.limits.minStake, base.limits.minStake);
+
+  const lines = gameConfig.mergeTableConfig(base, { limits: { lines: { odd: { maxStake: 8000 }, line5: { minStake: 50 } } } });
+  assert.deepEqual(lines.limits.lines, { odd: { maxStake: 8000 }, line5: { minStake: 50 } });
+});
+
+test('invalid combinations are rejected with a 400', () => {
+  const cases = [
+    { freezeOffsetMs: 13_000 },                 // freeze after result
+    { resultOffsetMs: 20_000 },                 // result after the round ends
+    { winMultiplier: 0 },
+    { limits: { minStake: 500, maxStake: 100 } },
+    { limits: { denominations: [] } },
+    { limits: { lines: { line9: { maxStake: 100 } } } },                // not a bet
+    { limits: { lines: { line1: { maxStake: -5 } } } },
+    { limits: { lines: { line1: { maxBet: 100 } } } },
+    { limits: { lines: { line1: { minStake: 6000 } } } },               // above the table's maxStake
+    { limits: { lines: { odd: { minStake: 20_000, maxStake: 30_000 } } } }, // above maxRoundTotal
+    { limits: { lines: [] } }
+  ];
+  for (const override of cases) {
+    assert.throws(() => gameConfig.mergeTableConfig(base, override), (err) => err.status === 400, JSON.stringify(override));
+  }
+});
+
+test('parseOverride only takes known fields with the right types', () => {
+  assert.deepEqual(gameConfig.parseOverride({ freezeOffsetMs: '9000', name: ' Fast ' }), { freezeOffsetMs: 9000, name: 'Fast' });
+  assert.throws(() => gameConfig.parseOverride({ speed: 2 }), /Unknown config field/);
+  assert.throws(() => gameConfig.parseOverride({ winMultiplier: 'lots' }), /must be a number/);
+  assert.throws(() => gameConfig.parseOverride({ limits: { maxBet: 1 } }), /Unknown limits field/);
+});
+
+test('game_config rows map NULL columns to "keep the static value"', () => {
+  const override = gameConfig.rowToOverride({
+    table_id: 'test', name: null, freeze_offset_ms: 8000, result_offset_ms: null, round_duration_ms: null,
+    win_multiplier: '3.00', limits: '{"maxStake":100}'
+  });
+  assert.deepEqual(override, { freezeOffsetMs: 8000, winMultiplier: 3, limits: { maxStake: 100 } });
+});
@@ -0,0 +1,148 @@
+// Builds a LuckyFive engine wired to fakes: fake clock/timers, seeded RNG, fake io, memory DB.
+const crypto = require('crypto');
+const startLuckyFive = require('../../game/luckyFive');
+const ledger = require('../../services/ledger');
+const { createFakeClock, flush } = require('./fakeClock');
+const { createMemoryBus, createBusAdapter, createMemoryElector } = require('../../game/cluster');
+const { createFakeIo } = require('./fakeIo');
+const { createMemoryDb } = require('./memoryDb');
+
+const TEST_TABLE = {
+  id: 'test',
+  name: 'Test table',
+  freezeOffsetMs: 10_000,
+  resultOffsetMs: 12_000,
+  roundDurationMs: 15_000,
+  winMultiplier: 5,
+  limits: {}
+};
+
+// Deterministic randomBytes; remembers every buffer so tests can find a round's seed
+function createSeededRng(seed = 'luckyfive-test') {
+  let counter = 0;
+  const issued = [];
+  return {
+    issued,
+    randomBytes(n) {
+      const chunks = [];
+      while (Buffer.concat(chunks).length < n) {
+        chunks.push(crypto.createHash('sha256').update(`${seed}:${counter++}`).digest());
+      }
+      const buf = Buffer.concat(chunks).subarray(0, n);
+      issued.push(buf.toString('hex'));
+      return buf;
+    }
+  };
+}
+
+// Seed a user with an opening ledger entry so users.balance and the ledger agree from the start
+async function seedUser(db, { id, username = `player${id}`, balance = 1000, ...rest }) {
+  db.insert('users', { id, username, email: `${username}@example.test`, balance: 0, email_verified_at: new Date(0), ...rest });
+  if (balance > 0) {
+    const conn = await db.pool.getConnection();
+    await conn.beginTransaction();
+    await ledger.post(conn, { userId: id, type: 'deposit', amount: balance, description: 'test funds' });
+    await conn.commit();
+  }
+  return db.user(id);
+}
+
+// tokens in tests are just "token-<userId>"
+async function verifyToken(token) {
+  const m = /^token-(\d+)$/.exec(token);
+  if (!m) {
+    const err = new Error('Invalid token');
+    err.status = 401;
+    throw err;
+  }
+  return { userId: Number(m[1]) };
+}
+
+async function createHarness({ tables = [TEST_TABLE], users = [], before } = {}) {
+  const fake = createFakeClock();
+  const db = createMemoryDb({ clock: fake.clock });
+  const io = createFakeIo();
+  const rng = createSeededRng();
+
+  for (const u of users) await seedUser(db, u);
+  if (before) await before(db);
+
+  const engine = startLuckyFive(io, {
+    promisePool: db.pool,
+    clock: fake.clock,
+    timers: fake.timers,
+    rng,
+    verifyToken,
+    tables
+  });
+  await flush();
+
+  return {
+    engine,
+    io,
+    db,
+    rng,
+    clock: fake.clock,
+    tick: fake.tick,
+    tickTo: fake.tickTo,
+    // extra handshake auth fields (e.g. sessionId) go in `auth`
+    connect: (userId, auth = {}) => io.connect(userId ? { token: `token-${userId}`, ...auth } : auth),
+    // the raw server seed behind a published hash (the RNG remembers what it handed out)
+    seedFor: (serverSeedHash) => rng.issued.find(hex => crypto.createHash('sha256').update(hex).digest('hex') === serverSeedHash),
+    walletBalance: (userId) => db.rows('ledger_entries')
+      .filter(e => e.account === ledger.walletAccount(userId))
+      .reduce((sum, e) => sum + Number(e.amount), 0)
+  };
+}
+
+let clusterCount = 0;
+
+// Several engines sharing one DB and one clock, joined like CLUSTER_BUS=memory: a bus adapter on
+// each fake io and a memory elector (fresh names per harness). The first node leads.
+async function createClusterHarness({ nodes = 2, tables = [TEST_TABLE], users = [], before } = {}) {
+  const name = `test-cluster-${++clusterCount}`;
+  const bus = createMemoryBus(name);
+  const fake = createFakeClock();
+  const db = createMemoryDb({ clock: fake.clock });
+  const rng = createSeededRng();
+
+  for (const u of users) await seedUser(db, u);
+  if (before) await before(db);
+
+  const started = [];
+  for (let i = 0; i < nodes; i++) {
+    const io = createFakeIo();
+    const cluster = { nodeId: `node-${i + 1}`, kind: 'memory', adapter: createBusAdapter(bus), elector: createMemoryElector(`${name}:leader`) };
+    io.adapter(cluster.adapter);
+    const engine = startLuckyFive(io, {
+      promisePool: db.pool,
+      clock: fake.clock,
+      timers: fake.timers,
+      rng,
+      verifyToken,
+      tables,
+      cluster
+    });
+    started.push({
+      engine,
+      io,
+      elector: cluster.elector,
+      connect: (userId, auth = {}) => io.connect(userId ? { token: `token-${userId}`, ...auth } : auth)
+    });
+  }
+  await flush();
+
+  return {
+    nodes: started,
+    db,
+    rng,
+    clock: fake.clock,
+    tick: fake.tick,
+    tickTo: fake.tickTo,
+    seedFor: (serverSeedHash) => rng.issued.find(hex => crypto.createHash('sha256').update(hex).digest('hex') === serverSeedHash),
+    // stops the adapters' heartbeat timers
+    close: () => { for (const node of started) node.io.close(); }
+  };
+}
+
+module.exports = { TEST_TABLE, createSeededRng, seedUser, createHarness, createClusterHarness };
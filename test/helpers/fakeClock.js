@@ -0,0 +1,66 @@
+// Fake clock + timers for the engine's `clock` / `timers` options.
+// Time only moves when a test calls tick()/tickTo(); due timers fire in order and pending
+// promise callbacks (DB calls, emits) are flushed after each one.
+
+// let queued microtasks and async continuations run (several rounds, DB fakes resolve immediately)
+async function flush(rounds = 20) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function createFakeClock(start = Date.UTC(2026, 0, 1, 12, 0, 0)) {
+  let now = start;
+  let nextId = 1;
+  const pending = new Map(); // id -> { at, fn, interval }
+
+  function schedule(fn, delay, interval) {
+    const id = nextId++;
+    pending.set(id, { at: now + Math.max(0, Number(delay) || 0), fn, interval });
+    return id;
+  }
+
+  const clock = {
+    now: () => now
+  };
+
+  const timers = {
+    setTimeout: (fn, delay) => schedule(fn, delay, null),
+    clearTimeout: (id) => { pending.delete(id); },
+    setInterval: (fn, delay) => schedule(fn, delay, Math.max(1, Number(delay) || 0)),
+    clearInterval: (id) => { pending.delete(id); }
+  };
+
+  function nextDue(until) {
+    let found = null;
+    for (const [id, t] of pending) {
+      if (t.at > until) continue;
+      if (!found || t.at < found.t.at || (t.at === found.t.at && id < found.id)) found = { id, t };
+    }
+    return found;
+  }
+
+  // advance to an absolute time, firing every timer due on the way
+  async function tickTo(target) {
+    await flush();
+    for (let due = nextDue(target); due; due = nextDue(target)) {
+      now = due.t.at;
+      if (due.t.interval) due.t.at += due.t.interval;
+      else pending.delete(due.id);
+      due.t.fn();
+      await flush();
+    }
+    now = Math.max(now, target);
+    await flush();
+  }
+
+  return {
+    clock,
+    timers,
+    tick: (ms) => tickTo(now + ms),
+    tickTo,
+    pendingCount: () => pending.size
+  };
+}
+
+module.exports = { createFakeClock, flush };
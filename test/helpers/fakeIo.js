@@ -0,0 +1,163 @@
+// Minimal in-process stand-in for a socket.io Server: rooms, handshake middleware,
+// server -> client emits recorded per socket, client -> server events via socket.send().
+// With io.adapter(factory) rooms, broadcasts, fetchSockets and serverSideEmit go through a real
+// socket.io adapter instead (e.g. game/cluster.js's bus adapter), so several fake servers can
+// share one bus.
+const { Encoder, Decoder, PacketType } = require('socket.io-parser');
+
+// [event, data] of an encoded EVENT packet
+function decodeEvent(encoded) {
+  let packet = null;
+  const decoder = new Decoder();
+  decoder.on('decoded', (p) => { packet = p; });
+  decoder.add(encoded);
+  return packet.data;
+}
+
+class FakeSocket {
+  constructor(io, id, auth) {
+    this.io = io;
+    this.id = id;
+    this.data = {};
+    this.handshake = { auth: auth || {}, headers: {} };
+    this.rooms = new Set([id]);
+    this.connected = false;
+    this.handlers = new Map();
+    this.received = []; // [{ event, data }]
+    // what an adapter writes to; packets are decoded back into received events
+    this.client = {
+      writeToEngine: (packets) => {
+        for (const encoded of packets) this.emit(...decodeEvent(encoded));
+      }
+    };
+  }
+
+  join(room) {
+    this.rooms.add(room);
+    this.io.nsp.adapter?.addAll(this.id, new Set([room]));
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+    this.io.nsp.adapter?.del(this.id, room);
+  }
+
+  on(event, fn) { this.handlers.set(event, fn); }
+  emit(event, data) { this.received.push({ event, data }); }
+
+  // client -> server
+  send(event, payload) {
+    const fn = this.handlers.get(event);
+    if (!fn) throw new Error(`no server handler for ${event}`);
+    return fn(payload);
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.io.sockets.delete(this.id);
+    this.io.nsp.adapter?.delAll(this.id);
+    const fn = this.handlers.get("disconnect");
+    if (fn) fn("server namespace disconnect");
+  }
+
+  // received events, optionally filtered by name
+  events(event) {
+    return this.received.filter(e => !event || e.event === event).map(e => e.data);
+  }
+
+  last(event) {
+    const all = this.events(event);
+    return all[all.length - 1];
+  }
+}
+
+function createFakeIo() {
+  const middlewares = [];
+  const listeners = new Map();
+  const sockets = new Map();
+  const broadcasts = []; // [{ room, event, data }]
+  let nextId = 1;
+
+  const inRoom = (room) => [...sockets.values()].filter(s => s.rooms.has(room));
+  const roomOpts = (room) => ({ rooms: new Set([room]), except: new Set(), flags: {} });
+
+  // the part of a socket.io Namespace an adapter talks to
+  const nsp = {
+    name: '/',
+    sockets,
+    server: { encoder: new Encoder(), opts: {} },
+    adapter: null,
+    _ids: 0,
+    // events other servers sent with serverSideEmit (an ack callback comes last)
+    _onServerSideEmit([event, ...args]) {
+      const fn = listeners.get(event);
+      if (fn) fn(...args);
+    }
+  };
+
+  const io = {
+    sockets,
+    broadcasts,
+    nsp,
+
+    use(fn) { middlewares.push(fn); },
+    on(event, fn) { listeners.set(event, fn); },
+
+    adapter(factory) {
+      nsp.adapter = factory(nsp);
+      nsp.adapter.init();
+    },
+
+    serverSideEmit(event, ...args) {
+      if (!nsp.adapter) throw new Error('serverSideEmit needs an adapter');
+      nsp.adapter.serverSideEmit([event, ...args]);
+    },
+
+    to(room) {
+      return {
+        emit(event, data) {
+          broadcasts.push({ room, event, data });
+          if (nsp.adapter) nsp.adapter.broadcast({ type: PacketType.EVENT, data: [event, data] }, roomOpts(room));
+          else for (const s of inRoom(room)) s.emit(event, data);
+        }
+      };
+    },
+
+    in(room) {
+      return {
+        fetchSockets: async () => (nsp.adapter ? nsp.adapter.fetchSockets(roomOpts(room)) : inRoom(room)),
+        disconnectSockets: () => {
+          if (nsp.adapter) nsp.adapter.disconnectSockets(roomOpts(room), true);
+          else for (const s of inRoom(room)) s.disconnect();
+        }
+      };
+    },
+
+    // runs the handshake middlewares, then the connection handler; rejects like a refused handshake
+    async connect(auth) {
+      const socket = new FakeSocket(io, `sock-${nextId++}`, auth);
+      for (const mw of middlewares) {
+        await new Promise((resolve, reject) => mw(socket, (err) => (err ? reject(err) : resolve())));
+      }
+      socket.connected = true;
+      sockets.set(socket.id, socket);
+      nsp.adapter?.addAll(socket.id, new Set([socket.id]));
+      listeners.get("connection")(socket);
+      return socket;
+    },
+
+    close() {
+      nsp.adapter?.close();
+    },
+
+    // events broadcast to a room, optionally filtered by name
+    roomEvents(room, event) {
+      return broadcasts.filter(b => b.room === room && (!event || b.event === event)).map(b => b.data);
+    }
+  };
+
+  return io;
+}
+
+module.exports = { createFakeIo, FakeSocket };
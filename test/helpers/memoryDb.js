@@ -0,0 +1,396 @@
+// In-memory stand-in for the mysql2 promise pool, enough for the engine, ledger and
+// responsible-gaming paths: execute()/query(), getConnection() with begin/commit/rollback.
+//
+// It understands the simple statement shapes the code base uses (single-table INSERT with
+// `?`/NULL values, UPDATE ... SET ... WHERE a = ? AND b IS NULL, SELECT cols FROM t WHERE ...
+// [ORDER BY col [DESC]] [LIMIT n])
+// plus the ledger aggregate queries (player-limit usage, session summary, reconciliation) and
+// the bet history queries of controller/me.js. `col IN (?)` takes an array param. Anything else throws, so a new query shows up as a
+// failing test instead of silently returning nothing.
+//
+// Transactions snapshot the whole state on begin and restore it on rollback. There is no
+// isolation between connections; tests drive one thing at a time.
+//
+// holdOn(fragment) parks statements containing `fragment` until the returned release() is
+// called, to line a transaction up against a timer.
+//
+// failOn(fragment, { times }) makes statements containing `fragment` throw, to exercise
+// the engine's retry / void paths.
+
+const TABLE_DEFAULTS = {
+  users: () => ({ balance: 0, email_verified_at: null, status: 'active', status_reason: null, suspended_until: null,
+    exclusion_type: null, excluded_until: null, session_reminder_minutes: null, token_version: 0, role: 'player' }),
+  game_rounds: () => ({ end_time: null, winning_line: null, settled_at: null, voided_at: null, void_reason: null, mode: 'classic', matrix: null }),
+  player_bets: () => ({ settled: 0, payout_attempts: 0, payout_error: null, bet_type: 'straight', covered_lines: null }),
+  ledger_transactions: () => ({ round_id: null, bet_id: null, reference: null, description: null }),
+  ledger_entries: () => ({ user_id: null, balance_after: null }),
+  rg_limits: () => ({ amount: null, pending_amount: null, pending_effective_at: null }),
+  game_config: () => ({ name: null, freeze_offset_ms: null, result_offset_ms: null, round_duration_ms: null,
+    win_multiplier: null, limits: null, updated_by: null }),
+  bet_submissions: () => ({ request_id: null }),
+  jackpots: () => ({ amount: 0, last_hit_round_id: null, last_hit_at: null }),
+  ledger_discrepancies: () => ({ resolved_at: null }),
+  refresh_tokens: () => ({ revoked_at: null, replaced_by: null })
+};
+
+// unique keys enforced on INSERT (NULLs never collide, as in MySQL)
+const UNIQUE_KEYS = {
+  bet_submissions: [['round_id', 'user_id']]
+};
+
+// MySQL-style `=`: NULL matches nothing, a number against a string compares numerically
+function sqlEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return String(a) === String(b);
+}
+
+function duplicateKeyError(name, key) {
+  const err = new Error(`memoryDb: duplicate entry for ${name} (${key.join(', ')})`);
+  err.code = 'ER_DUP_ENTRY';
+  err.errno = 1062;
+  return err;
+}
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+// split on commas that are not inside parentheses
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function createMemoryDb({ clock = { now: () => Date.now() } } = {}) {
+  let state = Object.fromEntries(Object.keys(TABLE_DEFAULTS).map(t => [t, []]));
+  let autoIds = {};
+  const log = []; // every statement run, for assertions
+  const faults = []; // { fragment, times } from failOn()
+  const holds = []; // { fragment, released } from holdOn()
+
+  const now = () => new Date(clock.now());
+  const nextId = (table) => (autoIds[table] = (autoIds[table] || 0) + 1);
+
+  function table(name) {
+    if (!state[name]) throw new Error(`memoryDb: unknown table ${name}`);
+    return state[name];
+  }
+
+  // expression evaluator for SET values / IF / COALESCE; `take` consumes the next param
+  function evaluate(expr, row, take) {
+    expr = expr.trim();
+    if (expr === '?') return take();
+    if (expr === 'NULL') return null;
+    if (expr === 'NOW()') return now();
+    if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+    if (/^'.*'$/.test(expr)) return expr.slice(1, -1);
+
+    const call = expr.match(/^(COALESCE|IF)\((.*)\)$/);
+    if (call) {
+      const args = splitTopLevel(call[2]);
+      if (call[1] === 'COALESCE') {
+        for (const a of args) {
+          const v = evaluate(a, row, take);
+          if (v !== null && v !== undefined) return v;
+        }
+        return null;
+      }
+      const cond = evaluate(args[0], row, take);
+      // both branches are evaluated so params are consumed in order
+      const yes = evaluate(args[1], row, take);
+      const no = evaluate(args[2], row, take);
+      return cond ? yes : no;
+    }
+
+    const arith = expr.match(/^(\w+) ([+-]) (.+)$/);
+    if (arith) {
+      const base = Number(row[arith[1]]);
+      const delta = Number(evaluate(arith[3], row, take));
+      return arith[2] === '+' ? base + delta : base - delta;
+    }
+    if (/^\w+$/.test(expr)) return row ? row[expr] : undefined;
+    throw new Error(`memoryDb: unsupported expression "${expr}"`);
+  }
+
+  // WHERE a = ? AND b IS NULL AND c = 0 -> predicate; params consumed in order when built
+  function compileWhere(where, take) {
+    if (!where) return () => true;
+    const checks = where.split(/ AND /i).map((cond) => {
+      let m = cond.match(/^(\w+) IS NULL$/i);
+      if (m) return (row) => row[m[1]] === null || row[m[1]] === undefined;
+      m = cond.match(/^(\w+) IS NOT NULL$/i);
+      if (m) return (row) => row[m[1]] !== null && row[m[1]] !== undefined;
+      m = cond.match(/^(\w+) IN \(\?\)$/i);
+      if (m) {
+        const values = take();
+        return (row) => values.some(v => sqlEquals(row[m[1]], v));
+      }
+      m = cond.match(/^(\w+) (=|<|>|<=|>=) (.+)$/);
+      if (m) {
+        const value = evaluate(m[3], null, take);
+        const [, col, op] = m;
+        return (row) => {
+          const a = row[col] instanceof Date ? row[col].getTime() : row[col];
+          const b = value instanceof Date ? value.getTime() : value;
+          switch (op) {
+            case '=': return sqlEquals(a, b);
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            default: return a >= b;
+          }
+        };
+      }
+      throw new Error(`memoryDb: unsupported condition "${cond}"`);
+    });
+    return (row) => checks.every(fn => fn(row));
+  }
+
+  function runInsert(m, params) {
+    const [, name, colText, valuesText] = m;
+    const cols = colText.split(',').map(c => c.trim());
+    const groups = [...valuesText.matchAll(/\(([^()]*)\)/g)].map(g => g[1]);
+    let i = 0;
+    const take = () => params[i++];
+    let insertId = null;
+    for (const group of groups) {
+      const values = splitTopLevel(group).map(v => evaluate(v, null, take));
+      const row = { ...TABLE_DEFAULTS[name](), created_at: now() };
+      cols.forEach((c, idx) => { row[c] = values[idx]; });
+      if (row.id === undefined && !['rg_limits', 'game_config', 'jackpots'].includes(name)) row.id = nextId(name);
+      if (insertId === null) insertId = row.id;
+      for (const key of UNIQUE_KEYS[name] || []) {
+        const clash = table(name).some(other => key.every(c => row[c] !== null && row[c] !== undefined && other[c] === row[c]));
+        if (clash) throw duplicateKeyError(name, key);
+      }
+      table(name).push(row);
+    }
+    return [{ insertId, affectedRows: groups.length }];
+  }
+
+  function runUpdate(m, params) {
+    const [, name, setText, where] = m;
+    let i = 0;
+    const take = () => params[i++];
+    // SET params come before WHERE params: bind the assignments lazily per row but
+    // consume their params once, up front
+    const assignments = splitTopLevel(setText).map((a) => {
+      const [, col, expr] = a.match(/^(\w+) = (.+)$/);
+      const captured = [];
+      const probe = () => { const v = take(); captured.push(v); return v; };
+      // dry run to consume params in order (row-independent parts)
+      evaluate(expr, {}, probe);
+      return { col, expr, captured };
+    });
+    const match = compileWhere(where, take);
+
+    let affectedRows = 0;
+    for (const row of table(name)) {
+      if (!match(row)) continue;
+      const updates = {};
+      for (const a of assignments) {
+        let k = 0;
+        updates[a.col] = evaluate(a.expr, row, () => a.captured[k++]);
+      }
+      Object.assign(row, updates);
+      affectedRows++;
+    }
+    return [{ affectedRows, changedRows: affectedRows }];
+  }
+
+  function runSelect(m, params) {
+    const [, colText, name, where, orderBy, desc, limit] = m;
+    let i = 0;
+    const take = () => params[i++];
+    const match = compileWhere(where, take);
+    let rows = table(name).filter(match);
+    if (orderBy) rows = [...rows].sort((a, b) => (desc ? b[orderBy] - a[orderBy] : a[orderBy] - b[orderBy]));
+    if (limit) rows = rows.slice(0, Number(limit));
+    const cols = colText === '*' ? null : colText.split(',').map(c => c.trim());
+    return [rows.map(r => (cols ? Object.fromEntries(cols.map(c => [c, r[c] === undefined ? null : r[c]])) : { ...r }))];
+  }
+
+  // controller/me.js bet history: the player's bets grouped per round, then the HAVING filter
+  function betHistoryRounds(sql, params) {
+    const [, where, having, limit] = sql.match(/ WHERE (.+?) GROUP BY .+? (?:HAVING (.+?) )?ORDER BY r\.id DESC LIMIT (\d+)$/);
+    const unprefix = (text) => text && text.replace(/\b(?:pb|r)\./g, '');
+    let i = 0;
+    const matchWhere = compileWhere(unprefix(where), () => params[i++]);
+    const matchHaving = compileWhere(unprefix(having), () => undefined);
+    const rounds = new Map();
+    for (const bet of table('player_bets')) {
+      const round = table('game_rounds').find(r => r.id === bet.round_id);
+      if (!round || !matchWhere({ ...round, user_id: bet.user_id })) continue;
+      if (!rounds.has(round.id)) rounds.set(round.id, { ...round, staked: 0, hits: 0 });
+      const group = rounds.get(round.id);
+      group.staked += Number(bet.amount);
+      if (String(bet.covered_lines).split(',').some(l => sqlEquals(l, round.winning_line))) group.hits++;
+    }
+    return [...rounds.values()].filter(matchHaving).sort((a, b) => b.id - a.id).slice(0, Number(limit));
+  }
+
+  // wallet entries joined with their transaction type, for the ledger aggregate queries
+  function walletEntries(account, since) {
+    const txById = new Map(table('ledger_transactions').map(t => [t.id, t]));
+    return table('ledger_entries')
+      .filter(e => e.account === account && e.created_at >= since)
+      .map(e => ({ ...e, entry_type: txById.get(e.transaction_id).entry_type }))
+      .filter(e => ['bet', 'win', 'jackpot', 'refund', 'deposit'].includes(e.entry_type));
+  }
+
+  function groupByType(entries, sums) {
+    const out = new Map();
+    for (const e of entries) {
+      if (!out.has(e.entry_type)) out.set(e.entry_type, Object.fromEntries(Object.keys(sums).map(k => [k, 0])));
+      const row = out.get(e.entry_type);
+      for (const [k, fn] of Object.entries(sums)) row[k] += fn(e);
+    }
+    return [...out].map(([entry_type, row]) => ({ entry_type, ...row }));
+  }
+
+  function run(rawSql, params = []) {
+    const sql = normalize(rawSql);
+    log.push({ sql, params });
+
+    const fault = faults.find(f => f.times > 0 && sql.includes(f.fragment));
+    if (fault) {
+      fault.times--;
+      throw new Error(`memoryDb: injected failure (${fault.fragment})`);
+    }
+
+    let m = sql.match(/^INSERT INTO (\w+) \(([^)]+)\) VALUES (.+)$/);
+    if (m) return runInsert(m, params);
+
+    m = sql.match(/^UPDATE (\w+) SET (.+?)(?: WHERE (.+))?$/);
+    if (m) return runUpdate(m, params);
+
+    // responsibleGaming.loadUsage
+    if (sql.startsWith('SELECT t.entry_type, SUM(CASE')) {
+      const [daySince, weekSince, account, monthSince] = params;
+      return [groupByType(walletEntries(account, monthSince), {
+        day: e => (e.created_at >= daySince ? e.amount : 0),
+        week: e => (e.created_at >= weekSince ? e.amount : 0),
+        month: e => e.amount
+      })];
+    }
+    // responsibleGaming.sessionSummary
+    if (sql.startsWith('SELECT t.entry_type, SUM(e.amount) AS total')) {
+      const [account, since] = params;
+      return [groupByType(walletEntries(account, since), { total: e => e.amount })];
+    }
+
+    // controller/me.js bet history
+    if (sql.startsWith('SELECT r.id, r.table_id, r.start_time')) return [betHistoryRounds(sql, params)];
+    if (sql.startsWith('SELECT t.round_id, t.entry_type, SUM(e.amount) AS amount')) {
+      const [account, userId, roundIds] = params;
+      const txById = new Map(table('ledger_transactions').map(t => [t.id, t]));
+      const sums = new Map();
+      for (const e of table('ledger_entries').filter(e => e.account === account)) {
+        const tx = txById.get(e.transaction_id);
+        if (tx.user_id !== userId || !roundIds.includes(tx.round_id) || !['win', 'jackpot', 'refund'].includes(tx.entry_type)) continue;
+        const key = `${tx.round_id}:${tx.entry_type}`;
+        if (!sums.has(key)) sums.set(key, { round_id: tx.round_id, entry_type: tx.entry_type, amount: 0 });
+        sums.get(key).amount += Number(e.amount);
+      }
+      return [[...sums.values()]];
+    }
+
+    // ledger.reconcile
+    if (sql.startsWith('SELECT u.id AS userId, u.balance AS usersBalance')) {
+      const [tolerance] = params;
+      return [table('users')
+        .map(u => ({
+          userId: u.id,
+          usersBalance: Number(u.balance),
+          ledgerBalance: table('ledger_entries').filter(e => e.user_id === u.id).reduce((sum, e) => sum + Number(e.amount), 0)
+        }))
+        .filter(r => Math.abs(r.usersBalance - r.ledgerBalance) > tolerance)];
+    }
+    if (sql === 'SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries') {
+      return [[{ total: table('ledger_entries').reduce((sum, e) => sum + Number(e.amount), 0) }]];
+    }
+
+    m = sql.match(/^SELECT (.+?) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY (\w+)( DESC)?)?(?: LIMIT (\d+))?(?: FOR UPDATE)?$/);
+    if (m && !/[()]/.test(m[1])) return runSelect(m, params);
+
+    if (/^DELETE FROM (\w+)/.test(sql)) {
+      const [, name, where] = sql.match(/^DELETE FROM (\w+)(?: WHERE (.+))?$/);
+      let i = 0;
+      const match = compileWhere(where, () => params[i++]);
+      const before = table(name).length;
+      state[name] = table(name).filter(r => !match(r));
+      return [{ affectedRows: before - state[name].length }];
+    }
+
+    throw new Error(`memoryDb: unsupported SQL: ${sql}`);
+  }
+
+  const execute = async (sql, params) => {
+    const hold = holds.find(h => normalize(sql).includes(h.fragment));
+    if (hold) await hold.released;
+    return run(sql, params);
+  };
+
+  const pool = {
+    execute,
+    query: execute,
+    async getConnection() {
+      let snapshot = null;
+      return {
+        execute,
+        query: execute,
+        async beginTransaction() {
+          snapshot = { state: structuredClone(state), autoIds: { ...autoIds } };
+        },
+        async commit() { snapshot = null; },
+        async rollback() {
+          if (!snapshot) return;
+          state = snapshot.state;
+          autoIds = snapshot.autoIds;
+          snapshot = null;
+        },
+        release() {}
+      };
+    }
+  };
+
+  return {
+    pool,
+    log,
+    rows: (name) => table(name),
+    insert(name, values) {
+      const row = { ...TABLE_DEFAULTS[name](), created_at: now(), ...values };
+      if (row.id === undefined) row.id = nextId(name);
+      else autoIds[name] = Math.max(autoIds[name] || 0, row.id);
+      table(name).push(row);
+      return row;
+    },
+    user: (id) => table('users').find(u => u.id === id),
+    failOn(fragment, { times = Infinity } = {}) {
+      faults.push({ fragment: normalize(fragment), times });
+    },
+    holdOn(fragment) {
+      let release;
+      const hold = { fragment: normalize(fragment), released: new Promise(resolve => { release = resolve; }) };
+      holds.push(hold);
+      return () => {
+        holds.splice(holds.indexOf(hold), 1);
+        release();
+      };
+    }
+  };
+}
+
+module.exports = { createMemoryDb };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fairness = require('../game/fairness');
+const jackpot = require('../game/jackpot');
+const { createSeededRng } = require('./helpers/engineHarness');
+
+test('the jackpot draw is reproducible from the revealed seed and roughly matches the odds', () => {
+  const rng = createSeededRng();
+  let hits = 0;
+  for (let i = 0; i < 2000; i++) {
+    const s = fairness.createRoundSeed(`test:${i}`, rng);
+    const draw = fairness.computeJackpotDraw(s.serverSeed, s.clientSeed, s.nonce);
+    assert.ok(draw >= 0 && draw < 1);
+    assert.equal(fairness.computeJackpotDraw(s.serverSeed, s.clientSeed, s.nonce), draw);
+    if (jackpot.isJackpotHit(s, 100)) hits++;
+  }
+  assert.ok(hits > 5 && hits < 40, `hits=${hits}`);
+});
+
+test('the pool is split by stake in whole cents, never more than it holds', () => {
+  const shares = jackpot.splitPool(100, new Map([[1, 10], [2, 10], [3, 10]]));
+  assert.deepEqual([...shares], [[1, 33.33], [2, 33.33], [3, 33.33]]);
+  assert.equal(jackpot.splitPool(0, new Map([[1, 10]])).size, 0);
+  assert.equal(jackpot.splitPool(100, new Map()).size, 0);
+  assert.equal(jackpot.contributionFor(155, 0.01), 1.55);
+  assert.equal(jackpot.contributionFor(5, 0.01), 0.05);
+});
+
+test('settings come from the environment and are validated', () => {
+  assert.deepEqual(jackpot.loadJackpotSettings({}), { enabled: true, contributionRate: 0.01, odds: 1000 });
+  assert.equal(jackpot.loadJackpotSettings({ JACKPOT_CONTRIBUTION_RATE: '0' }).enabled, false);
+  assert.throws(() => jackpot.loadJackpotSettings({ JACKPOT_CONTRIBUTION_RATE: '1.5' }), /CONTRIBUTION_RATE/);
+  assert.throws(() => jackpot.loadJackpotSettings({ JACKPOT_ODDS: '0.5' }), /ODDS/);
+});
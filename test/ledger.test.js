@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../services/ledger');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+async function deposit(db, userId, amount) {
+  const conn = await db.pool.getConnection();
+  await ledger.post(conn, { userId, type: 'deposit', amount });
+}
+
+test('reconcile keeps one open discrepancy per user across runs', async () => {
+  const db = createMemoryDb();
+  db.insert('users', { id: 1 });
+  db.insert('users', { id: 2 });
+  await deposit(db, 1, 100);
+  await deposit(db, 2, 100);
+  db.user(1).balance = 150;
+
+  const first = await ledger.reconcile({ pool: db.pool });
+  assert.deepEqual(first.discrepancies, [{ userId: 1, usersBalance: 150, ledgerBalance: 100, difference: 50 }]);
+  assert.equal(first.balanced, true);
+
+  db.user(1).balance = 170;
+  const second = await ledger.reconcile({ pool: db.pool });
+  assert.equal(second.discrepancies.length, 1);
+  const rows = db.rows('ledger_discrepancies');
+  assert.equal(rows.length, 1);
+  assert.equal(Number(rows[0].users_balance), 170);
+
+  // once an operator resolves it, a mismatch found later is a new case
+  rows[0].resolved_at = new Date();
+  await ledger.reconcile({ pool: db.pool });
+  assert.equal(db.rows('ledger_discrepancies').length, 2);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dbConfig = require('../db/dbConfig');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+// the router reads promisePool when it is required
+const db = createMemoryDb();
+dbConfig.promisePool = db.pool;
+const meRouter = require('../controller/me');
+
+// runs a GET route of the router as the signed-in user 1 (requireAuth is not part of the route)
+async function get(path, query = {}) {
+  const layer = meRouter.stack.find(l => l.route && l.route.path === path);
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await layer.route.stack[0].handle({ query, user: { userId: 1 } }, res, () => {});
+  return res;
+}
+
+function round(id, { winningLine = null, voided = false, line, amount = 100 }) {
+  db.insert('game_rounds', {
+    id, table_id: 'test', start_time: new Date(Date.UTC(2026, 0, 1, 12, id)), winning_line: winningLine,
+    settled_at: winningLine === null && !voided ? null : new Date(), voided_at: voided ? new Date() : null
+  });
+  db.insert('player_bets', { round_id: id, user_id: 1, line: `line${line}`, covered_lines: String(line), amount });
+}
+
+function credit(roundId, type, amount) {
+  const tx = db.insert('ledger_transactions', { entry_type: type, user_id: 1, round_id: roundId });
+  db.insert('ledger_entries', { transaction_id: tx.id, account: 'user:1', user_id: 1, amount });
+}
+
+round(1, { winningLine: 2, line: 2 });
+credit(1, 'win', 500);
+round(2, { winningLine: 4, line: 1 });
+round(3, { winningLine: 3, line: 3, voided: true }); // voided after its result
+credit(3, 'refund', 100);
+round(4, { line: 5 });
+
+test('the result filters agree with each item\'s result, voided rounds included', async () => {
+  const all = await get('/bets');
+  assert.deepEqual(all.body.bets.map(b => [b.roundId, b.result]), [[4, 'open'], [3, 'refunded'], [2, 'loss'], [1, 'win']]);
+  assert.equal(all.body.bets.find(b => b.roundId === 3).voided, true);
+
+  for (const result of ['win', 'loss', 'open']) {
+    const res = await get('/bets', { result });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.bets.map(b => b.result), [result], result);
+  }
+});
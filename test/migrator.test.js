@@ -0,0 +1,108 @@
+// Migration runner bookkeeping against a scripted connection (no MySQL needed).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migrator = require('../db/migrator');
+
+// Pool whose single connection answers the runner's own statements and logs the rest.
+// columns: 'table.column' names the schema helpers should find already there
+function createScriptedPool({ lockFree = true, columns = [] } = {}) {
+  const applied = new Map();
+  const ran = [];
+  let lockHeld = false;
+
+  const conn = {
+    async query(sql, params = []) {
+      if (sql.startsWith('SELECT GET_LOCK')) {
+        lockHeld = lockFree;
+        return [[{ locked: lockFree ? 1 : 0 }]];
+      }
+      if (sql.startsWith('SELECT RELEASE_LOCK')) { lockHeld = false; return [[{}]]; }
+      if (sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) return [{}];
+      if (sql.startsWith('SELECT version, applied_at FROM schema_migrations')) {
+        return [[...applied].sort().map(([version, at]) => ({ version, applied_at: at }))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) { applied.set(params[0], new Date(0)); return [{}]; }
+      if (sql.startsWith('DELETE FROM schema_migrations')) { applied.delete(params[0]); return [{}]; }
+      if (sql.includes('information_schema.COLUMNS')) return [[{ n: columns.includes(params.join('.')) ? 1 : 0 }]];
+      if (sql.includes('information_schema.')) return [[{ n: 0 }]];
+      ran.push(sql);
+      return [{}];
+    },
+    release() {}
+  };
+
+  return { pool: { getConnection: async () => conn }, applied, ran, isLocked: () => lockHeld };
+}
+
+function fakeMigration(version, name) {
+  return {
+    version,
+    name,
+    up: (schema) => schema.query(`up ${version}`),
+    down: (schema) => schema.query(`down ${version}`)
+  };
+}
+
+const MIGRATIONS = [fakeMigration('001', 'a'), fakeMigration('002', 'b'), fakeMigration('003', 'c')];
+const quiet = { log: () => {}, migrations: MIGRATIONS };
+
+test('the shipped migrations load in version order with up and down', () => {
+  const loaded = migrator.loadMigrations();
+  const versions = loaded.map(m => m.version);
+  assert.deepEqual(versions, [...versions].sort());
+  assert.equal(new Set(versions).size, versions.length);
+  assert.equal(versions[0], '001');
+});
+
+test('up applies pending migrations once, in order, and can stop at a version', async () => {
+  const db = createScriptedPool();
+
+  assert.deepEqual(await migrator.migrateUp(db.pool, { ...quiet, to: '002' }), ['001', '002']);
+  assert.deepEqual(await migrator.migrateUp(db.pool, quiet), ['003']);
+  assert.deepEqual(await migrator.migrateUp(db.pool, quiet), []);
+
+  assert.deepEqual(db.ran, ['up 001', 'up 002', 'up 003']);
+  assert.equal(db.isLocked(), false);
+});
+
+test('down reverts the newest applied migrations first', async () => {
+  const db = createScriptedPool();
+  await migrator.migrateUp(db.pool, quiet);
+
+  assert.deepEqual(await migrator.migrateDown(db.pool, { ...quiet, steps: 2 }), ['003', '002']);
+  assert.deepEqual(db.ran.slice(3), ['down 003', 'down 002']);
+
+  const status = await migrator.status(db.pool, { migrations: MIGRATIONS });
+  assert.deepEqual(status.map(s => s.applied), [true, false, false]);
+});
+
+test('a failing migration is not recorded and the lock is released', async () => {
+  const db = createScriptedPool();
+  const broken = { ...fakeMigration('002', 'broken'), up: async () => { throw new Error('boom'); } };
+
+  await assert.rejects(migrator.migrateUp(db.pool, { log: () => {}, migrations: [MIGRATIONS[0], broken] }), /boom/);
+  assert.deepEqual([...db.applied.keys()], ['001']);
+  assert.equal(db.isLocked(), false);
+});
+
+test('a second runner is refused while the lock is held', async () => {
+  const db = createScriptedPool({ lockFree: false });
+  await assert.rejects(migrator.migrateUp(db.pool, quiet), /holds the lock/);
+  assert.deepEqual(db.ran, []);
+});
+
+test('adding email_verified_at marks the existing accounts verified', async () => {
+  const accountTokens = migrator.loadMigrations().filter(m => m.name === 'account_tokens');
+  const backfill = 'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL';
+
+  const fresh = createScriptedPool();
+  await migrator.migrateUp(fresh.pool, { log: () => {}, migrations: accountTokens });
+  const alter = fresh.ran.findIndex(sql => sql.includes('ADD COLUMN `email_verified_at`'));
+  assert.ok(alter >= 0);
+  assert.equal(fresh.ran[alter + 1], backfill);
+
+  // column already there (set up by hand): accounts created since are left as they are
+  const existing = createScriptedPool({ columns: ['users.email_verified_at'] });
+  await migrator.migrateUp(existing.pool, { log: () => {}, migrations: accountTokens });
+  assert.ok(!existing.ran.includes(backfill));
+});
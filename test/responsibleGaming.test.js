@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rg = require('../services/responsibleGaming');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+test('a deposit over the player\'s deposit limit is refused', async () => {
+  const db = createMemoryDb();
+  db.insert('users', { id: 1 });
+  db.insert('rg_limits', { user_id: 1, kind: 'deposit', period: 'day', amount: 500 });
+  const conn = await db.pool.getConnection();
+
+  await rg.postDeposit(conn, { userId: 1, amount: 300 });
+  await assert.rejects(rg.postDeposit(conn, { userId: 1, amount: 300 }), (err) => {
+    assert.equal(err.code, 'DEPOSIT_LIMIT_REACHED');
+    assert.equal(err.status, 409);
+    assert.deepEqual(err.details, { period: 'day', limit: 500, used: 300 });
+    return true;
+  });
+  await rg.postDeposit(conn, { userId: 1, amount: 200 });
+
+  assert.equal(db.user(1).balance, 500);
+  assert.equal(db.rows('ledger_transactions').filter(tx => tx.entry_type === 'deposit').length, 2);
+});
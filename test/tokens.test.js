@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dbConfig = require('../db/dbConfig');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+// tokens.js reads promisePool when it is required
+const db = createMemoryDb();
+dbConfig.promisePool = db.pool;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const tokens = require('../services/tokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('a refresh is refused while the account is blocked or self-excluded, like a login', async () => {
+  db.insert('users', { id: 1, username: 'player1', email: 'player1@example.test' });
+  const { refreshToken } = await tokens.issueTokens(db.user(1));
+
+  db.user(1).status = 'banned';
+  await assert.rejects(tokens.rotateRefreshToken(refreshToken), { status: 403, code: 'ACCOUNT_BANNED' });
+
+  db.user(1).status = 'active';
+  Object.assign(db.user(1), { exclusion_type: 'self_exclusion', excluded_until: new Date(Date.now() + DAY) });
+  await assert.rejects(tokens.rotateRefreshToken(refreshToken), { status: 403, code: 'SELF_EXCLUDED' });
+
+  // refused refreshes leave the token usable once the player is back
+  db.user(1).excluded_until = new Date(Date.now() - DAY);
+  const rotated = await tokens.rotateRefreshToken(refreshToken);
+  assert.ok(rotated.accessToken);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+});